@@ -5,40 +5,72 @@
 // DOM要素
 const searchInput = document.getElementById('searchInput');
 const searchButton = document.getElementById('searchButton');
+const searchSuggestions = document.getElementById('searchSuggestions');
 const filterLaw = document.getElementById('filterLaw');
 const filterOrdinance = document.getElementById('filterOrdinance');
+const filterAsOf = document.getElementById('filterAsOf');
+const sortOrder = document.getElementById('sortOrder');
 const searchInfo = document.getElementById('searchInfo');
+const corpusStatus = document.getElementById('corpusStatus');
+const resultsLayout = document.getElementById('resultsLayout');
+const facetSidebar = document.getElementById('facetSidebar');
 const loadingIndicator = document.getElementById('loadingIndicator');
 const resultsContainer = document.getElementById('resultsContainer');
 const noResults = document.getElementById('noResults');
+const suggestion = document.getElementById('suggestion');
 const articleModal = document.getElementById('articleModal');
 const modalClose = document.getElementById('modalClose');
+const modalContent = articleModal.querySelector('.modal-content');
 const modalBody = document.getElementById('modalBody');
+const updateNotice = document.getElementById('updateNotice');
+const updateNoticeMessage = document.getElementById('updateNoticeMessage');
+const updateNoticeButton = document.getElementById('updateNoticeButton');
+const bookmarksButton = document.getElementById('bookmarksButton');
+const searchHistoryButton = document.getElementById('searchHistoryButton');
+const synonymsButton = document.getElementById('synonymsButton');
+const resultsActions = document.getElementById('resultsActions');
+const exportCsvButton = document.getElementById('exportCsvButton');
+const exportMarkdownButton = document.getElementById('exportMarkdownButton');
+const printResultsButton = document.getElementById('printResultsButton');
 
 // 状態管理
-let currentResults = { articles: [], pdfs: [] };
+let currentResults = { summary: null, ranked: [] };
 let searchTimeout = null;
+let completionItems = [];
+let activeCompletion = -1;
+let completionRequest = 0;
+let lastSearch = null;
+let currentView = null;
+let selectedFacets = FacetCounter.emptySelection();
+let bookmarksAvailable = false;
+let bookmarkedKeys = new Set();
+let detailResult = null;
+let pendingQuote = null;
+
+// 画面に出す文字列は HTML に入れる前にエスケープする（render.js を参照）。
+// 検索結果の highlighted〜 はエスケープ済みの HTML
+const escapeHtml = HtmlRenderer.escape;
+
+// 検索条件の既定値（search.js を参照）
+const DEFAULT_FILTERS = SearchEngine.DEFAULT_FILTERS;
 
 // ========================================
 // 初期化
 // ========================================
 async function init() {
     showLoading(true);
+    registerServiceWorker();
 
-    const success = await searchEngine.loadData();
+    const [status] = await Promise.all([searchClient.load(synonymStore.getEntries()), loadBookmarks()]);
 
-    if (success) {
+    if (status.ready) {
         showLoading(false);
-        displayStats();
+        displayStats(status);
+        displayCorpusStatus(status);
         setupEventListeners();
 
-        // URLパラメータから検索クエリを取得
-        const urlParams = new URLSearchParams(window.location.search);
-        const query = urlParams.get('q');
-        if (query) {
-            searchInput.value = query;
-            performSearch();
-        }
+        // URLに残っている検索条件・開いていた資料を復元
+        restoreState();
     } else {
         showError('データの読み込みに失敗しました。ページを再読み込みしてください。');
     }
@@ -48,29 +80,85 @@ async function init() {
 // イベントリスナー
 // ========================================
 function setupEventListeners() {
-    // 検索ボタン
-    searchButton.addEventListener('click', performSearch);
+    // 検索ボタン（引用表記なら該当箇所を直接開く）
+    searchButton.addEventListener('click', () => {
+        closeCompletions();
+        performSearch({ openCitation: true });
+    });
 
-    // Enterキーで検索
-    searchInput.addEventListener('keypress', (e) => {
+    // Enterキーで検索（入力補完の操作を優先、日本語入力の変換確定は除く）
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.isComposing || e.keyCode === 229) return;
+        if (handleCompletionKey(e)) return;
         if (e.key === 'Enter') {
-            performSearch();
+            performSearch({ openCitation: true });
+        }
+    });
+
+    // 入力補完の候補（クリックで選択、フォーカスは入力欄に残す）
+    searchSuggestions.addEventListener('mousedown', (e) => e.preventDefault());
+    searchSuggestions.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) {
+            selectCompletion(parseInt(option.dataset.index, 10));
         }
     });
+    searchInput.addEventListener('blur', closeCompletions);
 
     // リアルタイム検索（デバウンス）
     searchInput.addEventListener('input', () => {
+        updateCompletions();
         clearTimeout(searchTimeout);
         searchTimeout = setTimeout(() => {
             if (searchInput.value.trim().length >= 2) {
-                performSearch();
+                performSearch({ history: 'typing' });
             }
         }, 500);
     });
 
     // フィルター変更
-    filterLaw.addEventListener('change', performSearch);
-    filterOrdinance.addEventListener('change', performSearch);
+    filterLaw.addEventListener('change', () => performSearch());
+    filterOrdinance.addEventListener('change', () => performSearch());
+    filterAsOf.addEventListener('change', () => performSearch());
+    sortOrder.addEventListener('change', () => performSearch());
+
+    // 絞り込み（値を選ぶたびに検索し直す）
+    facetSidebar.addEventListener('change', (e) => {
+        const option = e.target.closest('input[data-facet]');
+        if (!option) return;
+
+        const { facet } = option.dataset;
+        selectedFacets[facet] = option.checked
+            ? [...selectedFacets[facet], option.value]
+            : selectedFacets[facet].filter(value => value !== option.value);
+        performSearch();
+    });
+    facetSidebar.addEventListener('click', (e) => {
+        if (e.target.closest('.facet-clear')) {
+            selectedFacets = FacetCounter.emptySelection();
+            performSearch();
+            return;
+        }
+
+        const more = e.target.closest('.facet-more');
+        if (more) {
+            const expanded = more.closest('.facet-group').classList.toggle('expanded');
+            more.textContent = expanded ? '少なく表示' : more.dataset.label;
+        }
+    });
+
+    // ブックマーク一覧、検索履歴・保存した検索の一覧、チームの同義語
+    bookmarksButton.addEventListener('click', () => showBookmarks());
+    searchHistoryButton.addEventListener('click', () => showSearchHistory());
+    synonymsButton.addEventListener('click', () => showSynonyms());
+
+    // 検索結果の書き出し・印刷
+    exportCsvButton.addEventListener('click', () => exportResults('csv'));
+    exportMarkdownButton.addEventListener('click', () => exportResults('markdown'));
+    printResultsButton.addEventListener('click', () => window.print());
+
+    // ブラウザの戻る・進む
+    window.addEventListener('popstate', restoreState);
 
     // モーダル閉じる
     modalClose.addEventListener('click', closeModal);
@@ -80,6 +168,82 @@ function setupEventListeners() {
         }
     });
 
+    // 本文中の引用・参照元一覧のリンク、項へのリンク、ブックマークとメモの操作
+    modalBody.addEventListener('click', (e) => {
+        if (handleBookmarkClick(e) || handleSearchHistoryClick(e) || handleSynonymClick(e)) return;
+
+        // 詳細表示の引用表記のコピー・印刷
+        const copyButton = e.target.closest('.copy-citation-button');
+        if (copyButton) {
+            copyCitation(copyButton);
+            return;
+        }
+        if (e.target.closest('.print-button')) {
+            window.print();
+            return;
+        }
+
+        const link = e.target.closest('.reference-link');
+        if (link) {
+            e.preventDefault();
+            openReference(link);
+            return;
+        }
+
+        const paragraphLink = e.target.closest('.paragraph-link');
+        if (paragraphLink) {
+            e.preventDefault();
+            if (currentView && currentView.type === 'document') {
+                const paragraph = Number(new URL(paragraphLink.href).searchParams.get('paragraph'));
+                currentView = { ...currentView, paragraph, item: null, passage: null };
+                updateHistory('replace');
+            }
+            paragraphLink.closest('.structure-paragraph').scrollIntoView({ block: 'start' });
+            return;
+        }
+
+        // 比較表示: 検索語を押すと、左右それぞれでその語の次の出現位置へ
+        const term = e.target.closest('.comparison-term');
+        if (term) {
+            showNextComparisonTerm(term.dataset.group);
+        }
+    });
+
+    // 比較表示: 比較する資料の切り替え、改正履歴: 比べる版の切り替え、ブックマーク・同義語の読み込み
+    modalBody.addEventListener('change', (e) => {
+        if (e.target.id === 'comparisonSelect') {
+            openComparison(e.target.dataset.docId, e.target.value, { history: 'replace' });
+        } else if (e.target.classList.contains('version-select')) {
+            showVersionDiff(e.target.closest('.version-history'));
+        } else if (e.target.id === 'bookmarksImport') {
+            importBookmarks(e.target);
+        } else if (e.target.id === 'synonymsImport') {
+            importSynonyms(e.target);
+        }
+    });
+
+    // メモ: 本文の一部を選ぶと、その箇所へのメモとして保存できる
+    modalBody.addEventListener('mouseup', updatePendingQuote);
+    modalBody.addEventListener('keyup', updatePendingQuote);
+    modalBody.addEventListener('submit', (e) => {
+        if (e.target.classList.contains('note-form')) {
+            e.preventDefault();
+            saveNote(e.target);
+        } else if (e.target.classList.contains('saved-search-form')) {
+            e.preventDefault();
+            saveCurrentSearch(e.target);
+        } else if (e.target.classList.contains('synonym-form')) {
+            e.preventDefault();
+            saveSynonym(e.target);
+        }
+    });
+
+    // 検索語にマウスを重ねると、左右の同じ語（同義語を含む）をまとめて強調
+    modalBody.addEventListener('mouseover', (e) => {
+        const highlight = e.target.closest('.highlight[data-group], .comparison-term');
+        setActiveComparisonTerm(highlight ? highlight.dataset.group : null);
+    });
+
     // ESCキーでモーダルを閉じる
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && !articleModal.classList.contains('hidden')) {
@@ -91,73 +255,156 @@ function setupEventListeners() {
 // ========================================
 // 検索実行
 // ========================================
-function performSearch() {
+// history: 履歴の残し方（updateHistory を参照）。URLの状態を復元するとき（none）以外は検索履歴にも残す
+async function performSearch({ openCitation = false, history = 'search' } = {}) {
     const query = searchInput.value.trim();
+    const filters = readFilters();
+    // 入力中の検索の続きなら、検索履歴も直前のものを置き換える
+    const continuesTyping = history !== 'none' && history !== 'push' &&
+        Boolean(window.history.state && window.history.state.typing);
+    lastSearch = { query, filters };
+    updateHistory(history);
 
     if (query.length === 0) {
+        searchClient.cancelSearch();
         clearResults();
         return;
     }
 
-    const filters = {
-        law: filterLaw.checked,
-        ordinance: filterOrdinance.checked,
-        details: true,
-        appendices: true
-    };
+    // 結果は順位の高いものから少しずつ届く（新しい検索を始めると古い検索の結果は届かない）
+    try {
+        await searchClient.search(query, filters, {
+            onStart: (summary) => {
+                currentResults = { summary, ranked: [] };
+                startResults(summary);
+                if (history !== 'none' && !summary.error) {
+                    searchHistory.record({ query, filters, total: summary.total }, { replaceLast: continuesTyping });
+                }
+            },
+            onBatch: (results, offset) => {
+                currentResults.ranked.push(...results);
+                appendResults(results, offset);
 
-    currentResults = searchEngine.search(query, filters);
-    displayResults(currentResults);
-
-    // URLを更新（履歴に追加せず）
-    const url = new URL(window.location);
-    url.searchParams.set('q', query);
-    window.history.replaceState({}, '', url);
+                // 引用表記なら該当箇所を直接開く
+                if (openCitation && offset === 0 && currentResults.summary.hasCitationResult) {
+                    showPDFDetail(results[0]);
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ 検索エラー:', error);
+        showError('検索中にエラーが発生しました。');
+    }
 }
 
 // ========================================
 // 結果表示
 // ========================================
-function displayResults(results) {
+// 検索結果の見出しを表示し、一覧を空にする
+function startResults(summary) {
     resultsContainer.innerHTML = '';
     noResults.classList.add('hidden');
+    resultsActions.classList.toggle('hidden', !(summary.total > 0));
+    renderFacets(summary.facets);
 
-    const totalResults = results.articles.length + results.pdfs.length;
+    if (summary.error) {
+        searchInfo.textContent = `⚠️ 検索式を解釈できません: ${summary.error.message}`;
+        return;
+    }
 
-    if (totalResults === 0) {
+    // 引用表記として解釈できたが該当文書が無い（検索条件から外れた）場合は通常検索の結果を表示する
+    const citationNote = summary.citation && !summary.hasCitationResult
+        ? `（「${summary.citation.label}」は見つからないか検索条件に当てはまらないため、キーワード検索の結果を表示しています）`
+        : '';
+    const dateNote = summary.excludedByDate > 0
+        ? `（指定した施行日より後に改正され、その時点の版のデータが無い${summary.excludedByDate}件を除外）`
+        : '';
+    const selected = FacetCounter.FACETS.flatMap(({ key }) => selectedFacets[key].map(value => formatFacetValue(key, value)));
+    const facetNote = selected.length > 0 ? `（絞り込み: ${selected.join('、')}）` : '';
+
+    if (summary.total === 0) {
         noResults.classList.remove('hidden');
-        searchInfo.textContent = '検索結果: 0件';
+        displaySuggestion(summary.suggestion);
+        searchInfo.textContent = `検索結果: 0件${citationNote}${dateNote}${facetNote}`;
         return;
     }
 
-    searchInfo.textContent = `検索結果: ${totalResults}件（条文${results.articles.length}件、PDF資料${results.pdfs.length}件）`;
+    searchInfo.textContent = `検索結果: ${summary.total}件（条文${summary.articleCount}件、PDF資料${summary.pdfCount}件）${citationNote}${dateNote}${facetNote}`;
+}
+
+// ========================================
+// 絞り込み（ファセット）
+// ========================================
+// 項目ごとに最初に表示する値の数（それ以外は「他N件」で開く。選んだ値は常に表示）
+const FACET_VALUE_LIMIT = 8;
 
-    // 条文結果を表示
-    if (results.articles.length > 0) {
-        const articleSection = document.createElement('div');
-        articleSection.className = 'results-section-header';
-        articleSection.innerHTML = '<h3>📜 条文</h3>';
-        resultsContainer.appendChild(articleSection);
+// 検索結果の値ごとの件数（summary.facets）から絞り込みの一覧を表示
+function renderFacets(facets) {
+    const groups = FacetCounter.FACETS
+        .filter(({ key }) => facets && facets[key] && facets[key].length > 0)
+        .map(({ key, label }) => {
+            const values = facets[key];
+            const hidden = values.filter((value, i) => i >= FACET_VALUE_LIMIT && !value.selected).length;
+            const options = values.map((value, i) => `
+                <label class="facet-option${i >= FACET_VALUE_LIMIT && !value.selected ? ' facet-extra' : ''}">
+                    <input type="checkbox" data-facet="${key}" value="${escapeHtml(value.value)}"${value.selected ? ' checked' : ''}>
+                    <span class="facet-value">${escapeHtml(formatFacetValue(key, value.value))}</span>
+                    <span class="facet-count">${value.count}</span>
+                </label>
+            `).join('');
 
-        results.articles.forEach((result, index) => {
-            const card = createArticleCard(result, index);
-            resultsContainer.appendChild(card);
+            return `
+                <fieldset class="facet-group">
+                    <legend>${label}</legend>
+                    ${options}
+                    ${hidden > 0 ? `<button type="button" class="facet-more" data-label="他${hidden}件を表示">他${hidden}件を表示</button>` : ''}
+                </fieldset>
+            `;
         });
-    }
 
-    // PDF資料結果を表示
-    if (results.pdfs.length > 0) {
-        const pdfSection = document.createElement('div');
-        pdfSection.className = 'results-section-header';
-        pdfSection.innerHTML = '<h3>📄 関連資料（保安基準・細目告示・別添）</h3>';
-        pdfSection.style.marginTop = '30px';
-        resultsContainer.appendChild(pdfSection);
+    const hasSelection = FacetCounter.FACETS.some(({ key }) => selectedFacets[key].length > 0);
+    facetSidebar.innerHTML = groups.length === 0 ? '' : `
+        <div class="facet-header">
+            <h3>絞り込み</h3>
+            ${hasSelection ? '<button type="button" class="facet-clear">解除</button>' : ''}
+        </div>
+        ${groups.join('')}
+    `;
+    facetSidebar.classList.toggle('hidden', groups.length === 0);
+    resultsLayout.classList.toggle('with-facets', groups.length > 0);
+}
 
-        results.pdfs.forEach((result, index) => {
-            const card = createPDFCard(result, index);
-            resultsContainer.appendChild(card);
-        });
-    }
+function formatFacetValue(key, value) {
+    return key === 'year' ? `${value}年` : value;
+}
+
+// もしかして: クリックで直した検索式で検索し直す
+function displaySuggestion(suggested) {
+    suggestion.innerHTML = '';
+    suggestion.classList.toggle('hidden', !suggested);
+    if (!suggested) return;
+
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'suggestion-link';
+    link.textContent = suggested.query;
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        searchInput.value = suggested.query;
+        performSearch();
+    });
+
+    suggestion.append('もしかして: ', link);
+}
+
+// 条文・PDF資料を関連度順にまとめて表示（offset は一覧全体での位置）
+function appendResults(results, offset) {
+    results.forEach((result, i) => {
+        const card = result.kind === 'article'
+            ? createArticleCard(result, offset + i)
+            : createPDFCard(result, offset + i);
+        resultsContainer.appendChild(card);
+    });
 }
 
 function createArticleCard(result, index) {
@@ -170,22 +417,29 @@ function createArticleCard(result, index) {
     card.innerHTML = `
         <div class="result-header">
             <div class="result-title">
-                <div class="article-number">${result.articleNumber}</div>
+                <div class="article-number">${escapeHtml(result.articleNumber)}</div>
                 <div class="article-title">${result.highlightedTitle}</div>
             </div>
-            <div class="law-badge ${lawTypeClass}">${result.lawName}</div>
+            <div class="law-badge ${lawTypeClass}">${escapeHtml(result.lawName)}</div>
         </div>
         <div class="result-content">${result.highlightedContent}</div>
+        ${bookmarksAvailable ? `<div class="result-actions">${renderBookmarkButton(result)}</div>` : ''}
     `;
 
-    card.addEventListener('click', () => showArticleDetail(result));
+    card.addEventListener('click', (e) => {
+        if (e.target.closest('.bookmark-button')) {
+            toggleBookmark(result);
+            return;
+        }
+        showArticleDetail(result);
+    });
 
     return card;
 }
 
 function createPDFCard(result, index) {
     const card = document.createElement('div');
-    card.className = 'result-card pdf-card';
+    card.className = result.citation ? 'result-card pdf-card citation-card' : 'result-card pdf-card';
     card.setAttribute('data-index', index);
 
     const typeLabels = {
@@ -196,67 +450,130 @@ function createPDFCard(result, index) {
     };
 
     const typeLabel = typeLabels[result.type] || result.typeLabel || 'PDF';
-    const typeClass = result.type;
+    const typeClass = typeLabels[result.type] ? result.type : 'other';
+    const url = HtmlRenderer.safeUrl(result.url);
 
     card.innerHTML = `
         <div class="result-header">
             <div class="result-title">
-                <div class="article-number">${result.displayName || result.id}</div>
+                ${result.citation ? `<div class="citation-label">📌 ${escapeHtml(result.citation.label)}</div>` : ''}
+                ${result.asOfVersion ? `<div class="as-of-label">📜 ${formatRevisionDate(result.asOfVersion.revisionDate)}改正の版（指定した施行日の時点）で一致</div>` : ''}
+                <div class="article-number">${escapeHtml(result.displayName || result.id)}</div>
                 <div class="article-title">${result.highlightedTitle}</div>
             </div>
-            <div class="law-badge ${typeClass}">${typeLabel}</div>
+            <div class="law-badge ${typeClass}">${escapeHtml(typeLabel)}</div>
         </div>
+        ${result.passages && result.passages.length > 0 ? renderPassagePreviews(result.passages) : `
         <div class="result-content">
-            ${result.highlightedContent || result.content || ''}
+            ${result.highlightedContent || escapeHtml(result.content)}
         </div>
+        `}
         ${result.keywords && result.keywords.length > 0 ? `
-        <div style="margin-top: 10px; font-size: 0.85rem; color: var(--text-secondary);">
-            🏷️ ${result.keywords.join(', ')}
+        <div class="result-meta">
+            🏷️ ${escapeHtml(result.keywords.join(', '))}
         </div>
         ` : ''}
-        <div style="margin-top: 10px; font-size: 0.85rem; color: var(--text-secondary);">
-            📊 全文字数: ${(result.fullTextLength || 0).toLocaleString()}文字
+        <div class="result-meta">
+            ${result.revisionDate ? `🗓️ 改正: ${formatRevisionDate(result.revisionDate)} | ` : ''}📊 全文字数: ${(result.fullTextLength || 0).toLocaleString()}文字
         </div>
-        ${result.url ? `
-        <div style="margin-top: 15px;">
-            <a href="${result.url}" target="_blank" rel="noopener noreferrer" class="pdf-link-button" onclick="event.stopPropagation();">
+        ${url || canCompare(result.id) || bookmarksAvailable ? `
+        <div class="result-actions">
+            ${url ? `
+            <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="pdf-link-button">
                 📥 PDFを開く
             </a>
+            ` : ''}
+            ${canCompare(result.id) ? `
+            <button type="button" class="compare-button" title="保安基準と細目告示を並べて表示">⇔ 比較</button>
+            ` : ''}
+            ${renderBookmarkButton(result)}
         </div>
         ` : ''}
     `;
 
-    // クリックで詳細表示
-    card.addEventListener('click', () => {
-        showPDFDetail(result);
+    // クリックで詳細表示（一致した箇所のプレビューをクリックした場合はその箇所を開く）
+    card.addEventListener('click', (e) => {
+        // PDFのリンクは新しいタブで開くだけ（詳細は開かない）
+        if (e.target.closest('.pdf-link-button')) return;
+        if (e.target.closest('.bookmark-button')) {
+            toggleBookmark(result);
+            return;
+        }
+        if (e.target.closest('.compare-button')) {
+            openComparison(result.id);
+            return;
+        }
+
+        const preview = e.target.closest('.passage-preview');
+        const passages = result.passages || [];
+        showPDFDetail(result, preview ? passages[Number(preview.dataset.passage)] : passages[0]);
     });
 
     return card;
 }
 
+// 一致した箇所（パッセージ）のプレビュー
+function renderPassagePreviews(passages) {
+    return `
+        <ul class="passage-previews">
+            ${passages.map((passage, i) => `
+            <li class="passage-preview" data-passage="${i}" title="この箇所を開く">
+                ${passage.label ? `<span class="passage-label">${escapeHtml(passage.label)}</span>` : ''}
+                <span class="result-content">${passage.highlightedPreview}</span>
+            </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
 // ========================================
 // 条文詳細表示
 // ========================================
-function showArticleDetail(result) {
+function showArticleDetail(result, { history = 'push' } = {}) {
     const paragraphsHtml = result.paragraphs.map((p, i) => `
-        <p><strong>第${p.paragraphNumber}項:</strong> ${p.content}</p>
+        <p><strong>第${escapeHtml(p.paragraphNumber)}項:</strong> ${escapeHtml(p.content)}</p>
     `).join('');
 
     modalBody.innerHTML = `
-        <h2>${result.articleNumber} ${result.title}</h2>
-        <p style="color: var(--text-secondary); margin-bottom: 20px;">
-            ${result.lawName}（${result.lawType}）
+        <h2>${escapeHtml(result.articleNumber)} ${escapeHtml(result.title)}</h2>
+        <p class="detail-meta">
+            ${escapeHtml(result.lawName)}（${escapeHtml(result.lawType)}）
         </p>
-        <div style="line-height: 1.8;">
-            ${paragraphsHtml || `<p>${result.content}</p>`}
+        <div class="result-actions detail-actions">
+            ${renderBookmarkButton(result)}
+            ${renderDetailTools()}
+        </div>
+        <div id="articleText" class="detail-text">
+            ${paragraphsHtml || `<p>${escapeHtml(result.content)}</p>`}
         </div>
+        ${renderNotesSection(result)}
     `;
 
+    openModal();
+    detailResult = result;
+    pendingQuote = null;
+    currentView = { type: 'article', lawId: result.lawId, articleNumber: result.articleNumber };
+    updateHistory(history);
+    showNotes();
+}
+
+// 法令ID・条番号の条文を開く
+async function openArticle(lawId, articleNumber, options = {}) {
+    const result = await searchClient.getArticleResult(lawId, articleNumber);
+    if (result) {
+        showArticleDetail(result, options);
+    }
+}
+
+// モーダルを開く（wide: 比較表示用の広い表示）
+function openModal({ wide = false } = {}) {
+    modalContent.classList.toggle('modal-wide', wide);
     articleModal.classList.remove('hidden');
-    document.body.style.overflow = 'hidden';
+    document.body.classList.add('modal-open');
 }
 
-function showPDFDetail(result) {
+// passage を指定すると、その箇所（一致したパッセージ）を強調してスクロールする
+async function showPDFDetail(result, passage = null, { history = 'push' } = {}) {
     const typeLabels = {
         'standard': '保安基準',
         'detail': '細目告示',
@@ -266,75 +583,1797 @@ function showPDFDetail(result) {
 
     const typeLabel = typeLabels[result.type] || result.typeLabel || 'PDF資料';
     const displayName = result.displayName || result.id;
+    const url = HtmlRenderer.safeUrl(result.url);
+
+    // 全文と相互参照は検索結果に含まれないため、開くときに取得する
+    const detail = await getDocumentDetail(result);
 
     modalBody.innerHTML = `
-        <h2>${displayName} ${result.title}</h2>
-        <p style="color: var(--text-secondary); margin-bottom: 20px;">
-            ${typeLabel} | 全文字数: ${(result.fullTextLength || 0).toLocaleString()}文字
+        <h2>${escapeHtml(displayName)} ${escapeHtml(result.title)}</h2>
+        <p class="detail-meta">
+            ${escapeHtml(typeLabel)}${result.revisionDate ? ` | 改正: ${formatRevisionDate(result.revisionDate)}` : ''} | 全文字数: ${(result.fullTextLength || 0).toLocaleString()}文字
+            ${result.asOfVersion ? `
+            <br>📜 指定した施行日の時点の版（${formatRevisionDate(result.asOfVersion.revisionDate)}改正）の本文です。現行の版との違いは「改正による変更」で確かめられます
+            ` : ''}
         </p>
-        ${result.url ? `
-        <div style="margin-bottom: 20px;">
-            <a href="${result.url}" target="_blank" rel="noopener noreferrer" class="pdf-link-button">
+        <div class="result-actions detail-actions">
+            ${url ? `
+            <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="pdf-link-button">
                 📥 PDFを開く
             </a>
+            ` : ''}
+            ${renderBookmarkButton(result)}
+            ${renderDetailTools()}
         </div>
-        ` : ''}
         ${result.keywords && result.keywords.length > 0 ? `
-        <div style="margin-bottom: 20px; padding: 10px; background: var(--bg-secondary); border-radius: 8px;">
-            <strong>🏷️ キーワード:</strong> ${result.keywords.join(', ')}
+        <div class="detail-keywords">
+            <strong>🏷️ キーワード:</strong> ${escapeHtml(result.keywords.join(', '))}
         </div>
         ` : ''}
-        <div style="line-height: 1.8; white-space: pre-wrap; max-height: 60vh; overflow-y: auto;">
-            ${result.fullContent || result.content || 'テキストが利用できません'}
+        <div id="pdfFullText" class="detail-text detail-full-text">
+            ${renderDocumentText(result, detail, passage)}
         </div>
+        ${renderNotesSection(result)}
+        ${renderReferencedBy(detail)}
+        ${renderVersionHistory(result, detail)}
     `;
 
-    articleModal.classList.remove('hidden');
-    document.body.style.overflow = 'hidden';
+    openModal();
+    detailResult = result;
+    pendingQuote = null;
+    currentView = {
+        type: 'document',
+        id: result.id,
+        paragraph: result.citation ? result.citation.paragraph : null,
+        item: result.citation ? result.citation.item : null,
+        passage: passage ? { start: passage.start, end: passage.end } : null,
+        version: result.asOfVersion ? result.asOfVersion.index : null
+    };
+    updateHistory(history);
+    showNotes();
+
+    // 過去の版があれば、1つ前の版から現行の版への変更を表示
+    const versionHistory = modalBody.querySelector('.version-history');
+    if (versionHistory) {
+        showVersionDiff(versionHistory);
+    }
+
+    // 引用表記で指定された項・号、または一致した箇所までスクロール
+    const citationTarget = document.getElementById('citationTarget');
+    const passageTarget = document.getElementById('passageTarget');
+    if (citationTarget) {
+        citationTarget.scrollIntoView({ block: 'start' });
+    } else if (passageTarget) {
+        passageTarget.scrollIntoView({ block: 'center' });
+    }
+}
+
+// 詳細表示用の全文と相互参照、検索中の語の位置（取得できなければ検索結果の内容だけ）
+// 指定した施行日の時点の版で一致した資料は、その版の本文
+async function getDocumentDetail(result) {
+    const versionIndex = result.asOfVersion ? result.asOfVersion.index : null;
+    return await searchClient.getDocumentDetail(result.id, searchInput.value.trim(), versionIndex) ||
+        { fullContent: result.content, referenceLinks: [], referencedBy: [], highlights: [], highlightGroups: [] };
+}
+
+// 資料の本文（条・項・号に分けられれば条文と同じ形、分けられなければ抽出したテキストのまま）
+function renderDocumentText(result, detail, passage = null) {
+    const structure = StructureParser.parse(detail.fullContent);
+    if (structure.articles.some(article => article.paragraphs.length > 0)) {
+        return `<div class="structured-text">${renderStructuredContent(result, detail, structure, passage)}</div>`;
+    }
+    return `<div class="extracted-text">${renderFullContent(result, detail, passage)}</div>`;
+}
+
+// 全文の表示（本文中の引用をリンクにし、引用された項・号や一致した箇所があれば強調する）
+function renderFullContent(result, detail, passage = null) {
+    const content = detail.fullContent;
+    if (!content) {
+        return 'テキストが利用できません';
+    }
+
+    const decorations = [
+        ...detail.referenceLinks.map(reference => referenceDecoration(reference, reference.start, reference.end)),
+        ...(detail.highlights || []).map(highlight => highlightDecoration(highlight, highlight.start, highlight.end))
+    ];
+
+    const range = result.citation && result.citation.range;
+    if (range) {
+        decorations.push({
+            start: range.start,
+            end: range.end,
+            open: '<span id="citationTarget" class="citation-target">',
+            close: '</span>'
+        });
+    } else if (passage) {
+        decorations.push({
+            start: passage.start,
+            end: passage.end,
+            open: '<span id="passageTarget" class="passage-target">',
+            close: '</span>'
+        });
+    }
+
+    return HtmlRenderer.decorate(content, decorations);
+}
+
+// 本文中の引用を参照先へのリンクにする装飾
+function referenceDecoration(reference, start, end) {
+    return {
+        start,
+        end,
+        open: `<a href="#" class="reference-link" data-doc-id="${escapeHtml(reference.id)}"` +
+            ` data-paragraph="${escapeHtml(reference.paragraph || '')}" data-item="${escapeHtml(reference.item || '')}"` +
+            ` title="${escapeHtml(reference.label)}">`,
+        close: '</a>'
+    };
+}
+
+// 検索語の強調（group は検索語の組の番号。比較表示で左右の同じ語を対応付けるのに使う）
+function highlightDecoration(highlight, start, end) {
+    return {
+        start,
+        end,
+        open: `<span class="highlight" data-group="${escapeHtml(highlight.group)}">`,
+        close: '</span>'
+    };
+}
+
+// 条・項・号に分けた本文の表示（条文の詳細表示と同じ「第N項:」の形、項ごとにリンクを付ける）
+function renderStructuredContent(result, detail, structure, passage) {
+    // 引用された項・号はその全体を、一致した箇所はそれを含む段落・号を強調する
+    const citationRange = result.citation && result.citation.range;
+    const targets = {
+        citation: citationRange ? findStructureBlock(structure, citationRange) : null,
+        passage: !citationRange && passage ? findStructureBlock(structure, passage) : null
+    };
+
+    const showArticleHeadings = structure.articles.length > 1;
+    return structure.articles.map(article => `
+        ${showArticleHeadings ? `<h3 class="structure-article">${escapeHtml(article.number)}${article.caption ? `（${escapeHtml(article.caption)}）` : ''}</h3>` : ''}
+        ${article.paragraphs.map(paragraph => `
+        <div${targetAttributes(paragraph, { citation: targets.citation }, ['structure-paragraph'])}>
+            <p${targetAttributes(paragraph, { passage: targets.passage })}>
+                <strong><a href="${escapeHtml(paragraphUrl(result.id, paragraph.number))}" class="paragraph-link" title="この項へのリンク">第${paragraph.number}項</a>:</strong>
+                ${renderStructureText(paragraph, detail)}
+            </p>
+            ${paragraph.items.length > 0 ? `
+            <ol class="structure-items">
+                ${paragraph.items.map(item => `
+                <li${targetAttributes(item, targets)}>
+                    <span class="item-number">${CitationParser.toKanji(item.number)}</span>
+                    ${renderStructureText(item, detail)}
+                </li>
+                `).join('')}
+            </ol>
+            ` : ''}
+        </div>
+        `).join('')}
+    `).join('');
+}
+
+// 強調する段落・号の id と class 属性
+function targetAttributes(block, targets, classNames = []) {
+    const classes = classNames.slice();
+    let id = null;
+    if (targets.citation === block) {
+        id = 'citationTarget';
+        classes.push('citation-target');
+    } else if (targets.passage === block) {
+        id = 'passageTarget';
+        classes.push('passage-target');
+    }
+    return (id ? ` id="${id}"` : '') + (classes.length > 0 ? ` class="${classes.join(' ')}"` : '');
+}
+
+// 範囲（引用された項・号、一致した箇所）にかかる最初の段落。範囲の先頭を含む号があればその号
+function findStructureBlock(structure, range) {
+    for (const article of structure.articles) {
+        for (const paragraph of article.paragraphs) {
+            if (paragraph.start >= range.end || range.start >= paragraph.end) continue;
+            const item = paragraph.items.find(item => item.start <= range.start && range.start < item.end);
+            return item || paragraph;
+        }
+    }
+    return null;
+}
+
+// 段落・号の本文（本文中の引用はリンクにする）
+function renderStructureText(block, detail) {
+    const decorations = [];
+    for (const reference of detail.referenceLinks) {
+        const range = StructureParser.toTextRange(block, reference.start, reference.end);
+        if (range) decorations.push(referenceDecoration(reference, range.start, range.end));
+    }
+    for (const highlight of detail.highlights || []) {
+        const range = StructureParser.toTextRange(block, highlight.start, highlight.end);
+        if (range) decorations.push(highlightDecoration(highlight, range.start, range.end));
+    }
+    return `<span class="structure-text">${HtmlRenderer.decorate(block.text, decorations)}</span>`;
 }
 
+// 資料の項を直接開くURL
+function paragraphUrl(id, paragraph) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set('doc', id);
+    url.searchParams.set('paragraph', paragraph);
+    return url.pathname + url.search;
+}
+
+// この文書を参照している資料の一覧
+function renderReferencedBy(detail) {
+    const referencing = detail.referencedBy;
+    if (referencing.length === 0) {
+        return '';
+    }
+
+    const items = referencing.map(doc => `
+        <li><a href="#" class="reference-link" data-doc-id="${escapeHtml(doc.id)}">${escapeHtml(doc.displayName)}</a> ${escapeHtml(doc.title)}</li>
+    `).join('');
+
+    return `
+        <div class="referenced-by">
+            <h3>🔗 この資料を参照している資料（${referencing.length}件）</h3>
+            <ul>${items}</ul>
+        </div>
+    `;
+}
+
+// ========================================
+// 改正履歴（版どうしの差分）
+// ========================================
+// 差分の表示で、変更の前後に残す変わっていない部分の文字数
+const DIFF_CONTEXT_LENGTH = 60;
+
+// 過去の版がある資料の、比べる版の選択と差分の表示欄
+function renderVersionHistory(result, detail) {
+    const versions = detail.versions || [];
+    if (versions.length < 2) {
+        return '';
+    }
+
+    // 指定した施行日の時点の版で一致した資料は、その版から現行の版への変更を表示する
+    const from = result.asOfVersion ? result.asOfVersion.index : versions.length - 2;
+    const options = selected => versions.map(version => `
+        <option value="${version.index}"${version.index === selected ? ' selected' : ''}>${formatVersionLabel(version)}</option>
+    `).join('');
+
+    return `
+        <div class="version-history" data-doc-id="${escapeHtml(result.id)}">
+            <h3>📜 改正による変更（${versions.length}版）</h3>
+            <div class="version-controls">
+                <label>比べる版:
+                    <select class="version-select" data-role="from" aria-label="比べる元の版">${options(from)}</select>
+                </label>
+                <span aria-hidden="true">→</span>
+                <select class="version-select" data-role="to" aria-label="比べる先の版">${options(versions.length - 1)}</select>
+            </div>
+            <div class="version-diff" aria-live="polite"></div>
+        </div>
+    `;
+}
+
+function formatVersionLabel(version) {
+    const date = version.revisionDate ? formatRevisionDate(version.revisionDate) : '改正日不明';
+    return version.current ? `${date}（現行）` : date;
+}
+
+// 選ばれた2つの版の差分を取得して表示
+async function showVersionDiff(container) {
+    const from = parseInt(container.querySelector('.version-select[data-role="from"]').value, 10);
+    const to = parseInt(container.querySelector('.version-select[data-role="to"]').value, 10);
+    const output = container.querySelector('.version-diff');
+
+    output.innerHTML = '<p class="diff-summary">差分を計算しています…</p>';
+    try {
+        output.innerHTML = renderVersionDiff(await searchClient.getVersionDiff(container.dataset.docId, from, to));
+    } catch (error) {
+        console.error('差分の取得に失敗しました:', error);
+        output.innerHTML = '<p class="diff-summary">差分を取得できませんでした</p>';
+    }
+}
+
+// 差分の表示（追加は <ins>、削除は <del>。変わっていない長い部分は前後だけ残して省略する）
+function renderVersionDiff(diff) {
+    if (!diff) {
+        return '<p class="diff-summary">差分を取得できませんでした</p>';
+    }
+    if (diff.inserted === 0 && diff.deleted === 0) {
+        return '<p class="diff-summary">本文に違いはありません</p>';
+    }
+
+    const segments = diff.changes.map((change, i) => {
+        if (change.type === 'insert') return `<ins class="diff-insert">${escapeHtml(change.text)}</ins>`;
+        if (change.type === 'delete') return `<del class="diff-delete">${escapeHtml(change.text)}</del>`;
+        return renderDiffContext(change.text, i > 0, i < diff.changes.length - 1);
+    }).join('');
+
+    return `
+        <p class="diff-summary">
+            <span class="diff-insert">＋${diff.inserted.toLocaleString()}文字</span>
+            <span class="diff-delete">−${diff.deleted.toLocaleString()}文字</span>
+        </p>
+        <div class="diff-text">${segments}</div>
+    `;
+}
+
+// 変わっていない部分（hasBefore / hasAfter: 前・後ろに変更があるか）
+function renderDiffContext(text, hasBefore, hasAfter) {
+    const head = hasBefore ? DIFF_CONTEXT_LENGTH : 0;
+    const tail = hasAfter ? DIFF_CONTEXT_LENGTH : 0;
+    if (text.length <= head + tail) {
+        return escapeHtml(text);
+    }
+
+    const omitted = text.length - head - tail;
+    return `${escapeHtml(text.slice(0, head))}<span class="diff-skip">…（${omitted.toLocaleString()}文字省略）…</span>${escapeHtml(text.slice(text.length - tail))}`;
+}
+
+// 引用リンクから参照先の資料を開く
+function openReference(link) {
+    openDocument(
+        link.dataset.docId,
+        parseInt(link.dataset.paragraph, 10) || null,
+        parseInt(link.dataset.item, 10) || null
+    );
+}
+
+// 文書IDの資料を開く（項・号の指定があればその位置へ）
+// version: 過去の版（getDocumentDetail の versions の index）を開く場合
+async function openDocument(id, paragraph = null, item = null, { passage = null, version = null, history = 'push' } = {}) {
+    const citation = CitationParser.parseId(id);
+    if (!citation) return;
+
+    const result = await searchClient.getCitedResult(CitationParser.createCitation(
+        citation.prefix,
+        citation.number,
+        citation.branch,
+        paragraph,
+        item
+    ), version);
+    if (result) {
+        await showPDFDetail(result, passage, { history });
+    }
+}
+
+// 閉じる操作: このページの中で開いた場合は開く前の履歴まで戻り（popstate で閉じる）、
+// リンクから直接開いた場合は開いている資料をURLから外す
 function closeModal() {
+    const depth = (window.history.state && window.history.state.modalDepth) || 0;
+    if (depth > 0) {
+        window.history.go(-depth);
+        return;
+    }
+
+    hideModal();
+    currentView = null;
+    updateHistory('replace');
+}
+
+function hideModal() {
     articleModal.classList.add('hidden');
-    document.body.style.overflow = '';
+    document.body.classList.remove('modal-open');
+    detailResult = null;
+    pendingQuote = null;
 }
 
 // ========================================
-// UI ヘルパー
+// 比較表示（保安基準 ⇔ 細目告示）
 // ========================================
-function showLoading(show) {
-    if (show) {
-        loadingIndicator.classList.remove('hidden');
-        resultsContainer.classList.add('hidden');
-    } else {
-        loadingIndicator.classList.add('hidden');
-        resultsContainer.classList.remove('hidden');
+// 比較表示の相手を選んだ理由の表示
+const COUNTERPART_REASONS = {
+    references: '引用',
+    referencedBy: '被引用',
+    caption: '同じ見出し'
+};
+
+const COMPARISON_TYPE_LABELS = {
+    'standard': '保安基準',
+    'detail': '細目告示'
+};
+
+// 検索語ごとの、次に表示する出現位置（左右の欄ごと）
+let comparisonTermCursors = new Map();
+
+// 比較表示ができる資料（保安基準・細目告示）か
+function canCompare(id) {
+    const citation = CitationParser.parseId(id);
+    return Boolean(citation) && (citation.prefix === 'H' || citation.prefix === 'S');
+}
+
+// 資料と対になる資料（counterpartId を省くと最もつながりの強いもの）を左右に並べて表示
+async function openComparison(id, counterpartId = null, { history = 'push' } = {}) {
+    const counterparts = await searchClient.getCounterparts(id);
+    const otherId = counterpartId || (counterparts.length > 0 ? counterparts[0].id : null);
+
+    const panes = await Promise.all([id, otherId].filter(Boolean).map(loadComparisonPane));
+    if (panes.some(pane => !pane)) return;
+
+    // URLで指定された相手が候補に無ければ先頭に加える
+    const options = !otherId || counterparts.some(counterpart => counterpart.id === otherId)
+        ? counterparts
+        : [{ id: otherId, displayName: panes[1].result.displayName, title: panes[1].result.title, reasons: [] }, ...counterparts];
+
+    modalBody.innerHTML = `
+        <h2>⇔ 比較表示</h2>
+        ${otherId ? `
+        <div class="comparison-controls">
+            <label for="comparisonSelect">比較する資料:</label>
+            <select id="comparisonSelect" data-doc-id="${escapeHtml(id)}">
+                ${options.map(counterpart => `
+                <option value="${escapeHtml(counterpart.id)}"${counterpart.id === otherId ? ' selected' : ''}>
+                    ${escapeHtml(counterpart.displayName)} ${escapeHtml(counterpart.title)}${formatCounterpartReasons(counterpart.reasons)}
+                </option>
+                `).join('')}
+            </select>
+        </div>
+        ${renderComparisonTerms(panes)}
+        ` : '<p class="comparison-empty">この資料と対になる資料が見つかりませんでした。</p>'}
+        <div class="comparison">
+            ${panes.map(renderComparisonPane).join('')}
+        </div>
+    `;
+
+    comparisonTermCursors = new Map();
+    openModal({ wide: true });
+    currentView = { type: 'comparison', ids: [id, otherId].filter(Boolean) };
+    updateHistory(history);
+}
+
+// 比較する資料の結果オブジェクトと全文（見つからなければ null）
+async function loadComparisonPane(id) {
+    const citation = CitationParser.parseId(id);
+    if (!citation) return null;
+
+    const result = await searchClient.getCitedResult(
+        CitationParser.createCitation(citation.prefix, citation.number, citation.branch)
+    );
+    if (!result) return null;
+
+    return { result, detail: await getDocumentDetail(result) };
+}
+
+function formatCounterpartReasons(reasons) {
+    if (reasons.length === 0) return '';
+    return `（${reasons.map(reason => COUNTERPART_REASONS[reason]).join('・')}）`;
+}
+
+function renderComparisonPane({ result, detail }) {
+    return `
+        <section class="comparison-pane">
+            <h3>${escapeHtml(result.displayName || result.id)} ${escapeHtml(result.title)}</h3>
+            <p class="comparison-meta">
+                ${escapeHtml(COMPARISON_TYPE_LABELS[result.type] || result.typeLabel || 'PDF資料')}${result.revisionDate ? ` | 改正: ${formatRevisionDate(result.revisionDate)}` : ''}
+            </p>
+            <div class="comparison-text">
+                ${renderDocumentText(result, detail)}
+            </div>
+        </section>
+    `;
+}
+
+// 検索中の語の一覧（左右それぞれの出現数付き）
+function renderComparisonTerms(panes) {
+    const groups = panes[0].detail.highlightGroups || [];
+    if (groups.length === 0) return '';
+
+    const buttons = groups.map((label, group) => {
+        const counts = panes.map(({ detail }) => (detail.highlights || []).filter(highlight => highlight.group === group).length);
+        return `
+            <button type="button" class="comparison-term" data-group="${group}" title="左右それぞれで次の「${escapeHtml(label)}」へ">
+                ${escapeHtml(label)} <span class="comparison-term-count">${counts.join(' / ')}</span>
+            </button>
+        `;
+    }).join('');
+
+    return `<div class="comparison-terms">🔍 ${buttons}</div>`;
+}
+
+// 左右の欄それぞれで、検索語の次の出現位置までスクロール
+function showNextComparisonTerm(group) {
+    modalBody.querySelectorAll('.comparison-pane').forEach((pane, paneIndex) => {
+        const highlights = pane.querySelectorAll(`.highlight[data-group="${group}"]`);
+        if (highlights.length === 0) return;
+
+        const key = `${group}:${paneIndex}`;
+        const index = comparisonTermCursors.has(key) ? (comparisonTermCursors.get(key) + 1) % highlights.length : 0;
+        comparisonTermCursors.set(key, index);
+        highlights[index].scrollIntoView({ block: 'center' });
+    });
+    setActiveComparisonTerm(group);
+}
+
+// 検索語（の組）を左右まとめて強調（null で解除）
+function setActiveComparisonTerm(group) {
+    modalBody.querySelectorAll('.highlight-active').forEach(element => element.classList.remove('highlight-active'));
+    if (group === null || group === undefined) return;
+
+    modalBody.querySelectorAll(`.highlight[data-group="${group}"], .comparison-term[data-group="${group}"]`)
+        .forEach(element => element.classList.add('highlight-active'));
+}
+
+// ========================================
+// ブックマークとメモ
+// ========================================
+// ブックマークとメモは BookmarkStore（IndexedDB）に保存する。保存できない環境ではボタンを出さない。
+
+// メモに残す本文の引用の最大文字数
+const NOTE_QUOTE_LENGTH = 500;
+
+// 保存先を開き、ブックマーク済みの資料を読み込む
+async function loadBookmarks() {
+    bookmarksAvailable = await bookmarkStore.isAvailable();
+    bookmarksButton.classList.toggle('hidden', !bookmarksAvailable);
+    if (!bookmarksAvailable) return;
+
+    try {
+        bookmarkedKeys = new Set((await bookmarkStore.getBookmarks()).map(bookmark => bookmark.key));
+    } catch (error) {
+        console.error('ブックマークの読み込みに失敗しました:', error);
     }
 }
 
-function clearResults() {
-    resultsContainer.innerHTML = '';
-    searchInfo.textContent = '';
-    noResults.classList.add('hidden');
+function renderBookmarkButton(result) {
+    if (!bookmarksAvailable) return '';
+
+    const key = BookmarkStore.documentKey(result);
+    const pressed = bookmarkedKeys.has(key);
+    return `
+        <button type="button" class="bookmark-button" data-key="${escapeHtml(key)}" aria-pressed="${pressed}">
+            ${pressed ? '★ ブックマーク済み' : '☆ ブックマーク'}
+        </button>
+    `;
 }
 
-function displayStats() {
-    const stats = searchEngine.getStats();
-    if (stats) {
-        console.log(`📊 統計情報:`, stats);
-        const totalPdfs = (stats.standardsCount || 0) + (stats.detailsCount || 0) +
-            (stats.appendicesCount || 0) + (stats.otherCount || 0);
-        searchInfo.textContent = `${stats.lawCount}件の法令、${stats.articleCount}条文、PDF資料${totalPdfs}件を検索できます`;
+// ブックマークの追加・解除（一覧と詳細表示の同じ資料のボタンもそろえる）
+async function toggleBookmark(result) {
+    const key = BookmarkStore.documentKey(result);
+    try {
+        if (bookmarkedKeys.has(key)) {
+            await bookmarkStore.removeBookmark(key);
+            bookmarkedKeys.delete(key);
+        } else {
+            await bookmarkStore.addBookmark(result);
+            bookmarkedKeys.add(key);
+        }
+    } catch (error) {
+        console.error('ブックマークを保存できませんでした:', error);
+        return;
     }
+
+    const pressed = bookmarkedKeys.has(key);
+    document.querySelectorAll('.bookmark-button').forEach(button => {
+        if (button.dataset.key !== key) return;
+        button.setAttribute('aria-pressed', pressed);
+        button.textContent = pressed ? '★ ブックマーク済み' : '☆ ブックマーク';
+    });
 }
 
-function showError(message) {
-    resultsContainer.innerHTML = `
-        <div style="text-align: center; padding: 60px 20px; color: var(--text-secondary);">
-            <p style="font-size: 1.5rem; margin-bottom: 10px;">⚠️ エラー</p>
-            <p>${message}</p>
+// 詳細表示のメモ欄（一覧は showNotes で読み込む）
+function renderNotesSection(result) {
+    if (!bookmarksAvailable) return '';
+
+    return `
+        <div class="notes-section" data-doc-key="${escapeHtml(BookmarkStore.documentKey(result))}">
+            <h3>📝 メモ</h3>
+            <ul class="note-list"></ul>
+            <form class="note-form">
+                <div class="note-quote hidden">
+                    <blockquote></blockquote>
+                    <button type="button" class="note-quote-clear" aria-label="引用を外す">×</button>
+                </div>
+                <textarea class="note-input" rows="3" aria-label="メモ"
+                    placeholder="メモを入力（本文の一部を選んでから保存すると、その箇所へのメモになります）"></textarea>
+                <button type="submit" class="note-save">メモを保存</button>
+            </form>
+            <p class="bookmark-status" aria-live="polite"></p>
         </div>
     `;
-    loadingIndicator.classList.add('hidden');
+}
+
+// 詳細表示で開いている資料のメモを表示
+async function showNotes() {
+    const section = modalBody.querySelector('.notes-section');
+    if (!section) return;
+
+    try {
+        const notes = await bookmarkStore.getNotes(section.dataset.docKey);
+        if (!section.isConnected) return;
+        const list = section.querySelector('.note-list');
+        list.innerHTML = '';
+        notes.forEach(note => list.appendChild(createNoteItem(note)));
+    } catch (error) {
+        console.error('メモの読み込みに失敗しました:', error);
+        setBookmarkStatus('メモを読み込めませんでした');
+    }
+}
+
+// メモの表示（入力された文字列はそのまま表示するため textContent で組み立てる）
+function createNoteItem(note) {
+    const item = document.createElement('li');
+    item.className = 'note-item';
+    item.dataset.noteId = note.id;
+
+    if (note.quote) {
+        const quote = document.createElement('blockquote');
+        quote.className = 'note-item-quote';
+        quote.textContent = note.quote;
+        item.appendChild(quote);
+    }
+
+    const text = document.createElement('p');
+    text.className = 'note-text';
+    text.textContent = note.text;
+    item.appendChild(text);
+
+    const meta = document.createElement('div');
+    meta.className = 'note-meta';
+    meta.innerHTML = `
+        <span>${formatNoteDate(note.updatedAt || note.createdAt)}</span>
+        <button type="button" class="note-edit">編集</button>
+        <button type="button" class="note-delete">削除</button>
+    `;
+    item.appendChild(meta);
+
+    return item;
+}
+
+function formatNoteDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString('ja-JP') : '';
+}
+
+// 本文の一部が選ばれていれば、次に保存するメモの引用にする
+function updatePendingQuote() {
+    const form = modalBody.querySelector('.note-form');
+    const source = modalBody.querySelector('#pdfFullText, #articleText');
+    const selection = window.getSelection();
+    if (!form || !source || !selection || selection.isCollapsed) return;
+    if (!source.contains(selection.anchorNode) || !source.contains(selection.focusNode)) return;
+
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+    if (text.length === 0) return;
+
+    pendingQuote = text.length > NOTE_QUOTE_LENGTH ? `${text.slice(0, NOTE_QUOTE_LENGTH)}…` : text;
+    renderPendingQuote();
+}
+
+function renderPendingQuote() {
+    const box = modalBody.querySelector('.note-quote');
+    if (!box) return;
+    box.classList.toggle('hidden', !pendingQuote);
+    box.querySelector('blockquote').textContent = pendingQuote || '';
+}
+
+async function saveNote(form) {
+    const input = form.querySelector('.note-input');
+    const text = input.value.trim();
+    if (text.length === 0 || !detailResult) {
+        input.focus();
+        return;
+    }
+
+    try {
+        await bookmarkStore.addNote(detailResult, text, pendingQuote);
+    } catch (error) {
+        console.error('メモを保存できませんでした:', error);
+        setBookmarkStatus('メモを保存できませんでした');
+        return;
+    }
+
+    input.value = '';
+    pendingQuote = null;
+    renderPendingQuote();
+    showNotes();
+}
+
+// メモを編集欄に切り替える
+function startEditingNote(item) {
+    const text = item.querySelector('.note-text');
+    const editor = document.createElement('div');
+    editor.className = 'note-editor';
+    editor.innerHTML = `
+        <textarea class="note-input" rows="3" aria-label="メモの編集"></textarea>
+        <button type="button" class="note-update">保存</button>
+        <button type="button" class="note-cancel">キャンセル</button>
+    `;
+    editor.querySelector('textarea').value = text.textContent;
+    text.replaceWith(editor);
+    item.querySelector('.note-meta').classList.add('hidden');
+    editor.querySelector('textarea').focus();
+}
+
+// メモを変更した後の表示の更新（詳細表示ならその資料のメモ、ブックマーク一覧なら一覧全体）
+function refreshNotes() {
+    if (modalBody.querySelector('.notes-section')) {
+        showNotes();
+    } else if (modalBody.querySelector('.bookmark-panel')) {
+        renderBookmarkPanel();
+    }
+}
+
+function setBookmarkStatus(message) {
+    const status = modalBody.querySelector('.bookmark-status');
+    if (status) status.textContent = message;
+}
+
+// 詳細表示・ブックマーク一覧の中のボタン（処理した場合は true）
+function handleBookmarkClick(e) {
+    const target = e.target;
+
+    if (target.closest('.bookmark-button') && detailResult) {
+        toggleBookmark(detailResult);
+        return true;
+    }
+
+    if (target.closest('.note-quote-clear')) {
+        pendingQuote = null;
+        renderPendingQuote();
+        return true;
+    }
+
+    const item = target.closest('.note-item');
+    if (item) {
+        const id = Number(item.dataset.noteId);
+        if (target.closest('.note-edit')) {
+            startEditingNote(item);
+        } else if (target.closest('.note-cancel')) {
+            refreshNotes();
+        } else if (target.closest('.note-update')) {
+            const text = item.querySelector('.note-editor textarea').value.trim();
+            if (text.length > 0) {
+                bookmarkStore.updateNote(id, text).then(refreshNotes, error => {
+                    console.error('メモを保存できませんでした:', error);
+                    setBookmarkStatus('メモを保存できませんでした');
+                });
+            }
+        } else if (target.closest('.note-delete')) {
+            if (window.confirm('このメモを削除しますか？')) {
+                bookmarkStore.deleteNote(id).then(refreshNotes, error => {
+                    console.error('メモを削除できませんでした:', error);
+                    setBookmarkStatus('メモを削除できませんでした');
+                });
+            }
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    const open = target.closest('.bookmark-open');
+    if (open) {
+        openBookmarkedDocument(open.dataset.kind, open.dataset.id);
+        return true;
+    }
+
+    const remove = target.closest('.bookmark-remove');
+    if (remove) {
+        bookmarkStore.removeBookmark(remove.dataset.key).then(() => {
+            bookmarkedKeys.delete(remove.dataset.key);
+            renderBookmarkPanel();
+        }, error => console.error('ブックマークを解除できませんでした:', error));
+        return true;
+    }
+
+    if (target.closest('.bookmarks-export')) {
+        exportBookmarks();
+        return true;
+    }
+
+    return false;
+}
+
+// ブックマーク一覧（ブックマークした資料と、メモを付けた資料）
+async function showBookmarks({ history = 'push' } = {}) {
+    modalBody.innerHTML = `
+        <h2>★ ブックマーク</h2>
+        <div class="result-actions bookmark-tools">
+            <button type="button" class="bookmarks-export">📤 JSONに書き出す</button>
+            <label class="bookmarks-import">
+                📥 JSONを読み込む
+                <input type="file" id="bookmarksImport" class="hidden" accept="application/json,.json">
+            </label>
+        </div>
+        <p class="bookmark-status" aria-live="polite"></p>
+        <div class="bookmark-panel"></div>
+    `;
+
+    openModal();
+    detailResult = null;
+    currentView = { type: 'bookmarks' };
+    updateHistory(history);
+    await renderBookmarkPanel();
+}
+
+async function renderBookmarkPanel() {
+    const panel = modalBody.querySelector('.bookmark-panel');
+    if (!panel) return;
+    if (!bookmarksAvailable) {
+        panel.innerHTML = '<p class="bookmark-empty">このブラウザではブックマークを保存できません</p>';
+        return;
+    }
+
+    let bookmarks;
+    let notes;
+    try {
+        [bookmarks, notes] = await Promise.all([bookmarkStore.getBookmarks(), bookmarkStore.getNotes()]);
+    } catch (error) {
+        console.error('ブックマークの読み込みに失敗しました:', error);
+        panel.innerHTML = '<p class="bookmark-empty">ブックマークを読み込めませんでした</p>';
+        return;
+    }
+
+    // ブックマークした資料（新しい順）の後に、メモだけ付けた資料
+    const entries = new Map(bookmarks.map(bookmark => [bookmark.key, { doc: bookmark, bookmarked: true, notes: [] }]));
+    for (const note of notes) {
+        if (!entries.has(note.doc.key)) entries.set(note.doc.key, { doc: note.doc, bookmarked: false, notes: [] });
+        entries.get(note.doc.key).notes.push(note);
+    }
+
+    if (entries.size === 0) {
+        panel.innerHTML = '<p class="bookmark-empty">ブックマーク・メモはまだありません。検索結果の「☆ ブックマーク」で追加できます</p>';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'bookmark-list';
+    for (const { doc, bookmarked, notes: docNotes } of entries.values()) {
+        list.appendChild(createBookmarkEntry(doc, bookmarked, docNotes));
+    }
+    panel.innerHTML = '';
+    panel.appendChild(list);
+}
+
+function createBookmarkEntry(doc, bookmarked, notes) {
+    const entry = document.createElement('li');
+    entry.className = 'bookmark-entry';
+
+    const header = document.createElement('div');
+    header.className = 'bookmark-entry-header';
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'bookmark-open';
+    open.dataset.kind = doc.kind;
+    open.dataset.id = doc.id;
+    open.textContent = `${doc.kind === 'article' ? '📖' : '📄'} ${doc.displayName || doc.id} ${doc.title || ''}`.trim();
+    header.appendChild(open);
+
+    if (bookmarked) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'bookmark-remove';
+        remove.dataset.key = doc.key;
+        remove.textContent = '★ 解除';
+        header.appendChild(remove);
+    }
+    entry.appendChild(header);
+
+    if (notes.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'note-list';
+        notes.forEach(note => list.appendChild(createNoteItem(note)));
+        entry.appendChild(list);
+    }
+
+    return entry;
+}
+
+// ブックマーク一覧から資料を開く（id は PDF資料の文書ID、条文は 法令ID:条番号）
+function openBookmarkedDocument(kind, id) {
+    if (kind === 'article') {
+        const separator = id.indexOf(':');
+        openArticle(id.slice(0, separator), id.slice(separator + 1));
+    } else {
+        openDocument(id);
+    }
+}
+
+// ブックマークとメモを JSON ファイルとしてダウンロード
+async function exportBookmarks() {
+    try {
+        const data = await bookmarkStore.exportData();
+        downloadFile(`bookmarks-${data.exportedAt.slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } catch (error) {
+        console.error('ブックマークの書き出しに失敗しました:', error);
+        setBookmarkStatus('書き出せませんでした');
+    }
+}
+
+// 書き出した JSON ファイルを読み込み、今のブックマークとメモに加える
+async function importBookmarks(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('JSON として読み込めません');
+        }
+
+        const imported = await bookmarkStore.importData(data);
+        await loadBookmarks();
+        setBookmarkStatus(`ブックマーク${imported.bookmarks}件・メモ${imported.notes}件を追加しました` +
+            (imported.skipped > 0 ? `（不正な項目${imported.skipped}件は読み込みませんでした）` : ''));
+        renderBookmarkPanel();
+    } catch (error) {
+        console.error('ブックマークの読み込みに失敗しました:', error);
+        setBookmarkStatus(error.message);
+    }
+}
+
+// ========================================
+// 検索履歴と保存した検索
+// ========================================
+// 実行した検索は SearchHistory（localStorage）に残し、一覧からもう一度実行できる。
+// よく使う検索は検索条件ごと名前を付けて保存できる。
+
+// 検索履歴・保存した検索の一覧
+function showSearchHistory({ history = 'push' } = {}) {
+    modalBody.innerHTML = `
+        <h2>🕘 検索履歴</h2>
+        ${lastSearch && lastSearch.query ? `
+        <form class="saved-search-form">
+            <input type="text" class="saved-search-name" aria-label="保存する検索の名前" placeholder="名前（省略すると検索語）">
+            <button type="submit" class="note-save">今の検索を保存</button>
+        </form>
+        ` : ''}
+        <p class="bookmark-status" aria-live="polite"></p>
+        <div class="search-history-panel"></div>
+    `;
+
+    openModal();
+    detailResult = null;
+    currentView = { type: 'searches' };
+    updateHistory(history);
+    renderSearchHistoryPanel();
+}
+
+function renderSearchHistoryPanel() {
+    const panel = modalBody.querySelector('.search-history-panel');
+    if (!panel) return;
+    if (!searchHistory.available) {
+        panel.innerHTML = '<p class="bookmark-empty">このブラウザでは検索履歴を保存できません</p>';
+        return;
+    }
+
+    panel.innerHTML = `
+        <h3>📌 保存した検索</h3>
+        <ul class="search-history-list" data-source="saved"></ul>
+        <div class="search-history-heading">
+            <h3>🕘 最近の検索</h3>
+            <button type="button" class="search-history-clear">履歴を消去</button>
+        </div>
+        <ul class="search-history-list" data-source="history"></ul>
+    `;
+
+    const savedList = panel.querySelector('[data-source="saved"]');
+    const saved = searchHistory.getSaved();
+    saved.forEach((search, i) => savedList.appendChild(createSearchHistoryItem(search, i, {
+        title: search.name,
+        meta: [search.query, ...formatSearchFilters(search.filters)],
+        actions: [['saved-search-rename', '名前を変更'], ['saved-search-remove', '削除']]
+    })));
+    if (saved.length === 0) {
+        savedList.innerHTML = '<li class="bookmark-empty">保存した検索はありません。履歴の「保存」か、上の「今の検索を保存」で追加できます</li>';
+    }
+
+    const historyList = panel.querySelector('[data-source="history"]');
+    const entries = searchHistory.getHistory();
+    entries.forEach((entry, i) => historyList.appendChild(createSearchHistoryItem(entry, i, {
+        title: entry.query,
+        meta: [
+            formatNoteDate(entry.searchedAt),
+            typeof entry.total === 'number' ? `${entry.total.toLocaleString()}件` : null,
+            ...formatSearchFilters(entry.filters)
+        ],
+        actions: [['search-history-save', '保存'], ['search-history-remove', '削除']]
+    })));
+    if (entries.length === 0) {
+        historyList.innerHTML = '<li class="bookmark-empty">検索履歴はありません</li>';
+    }
+}
+
+// 一覧の1行（検索語や名前は入力されたものをそのまま表示するため textContent で組み立てる）
+function createSearchHistoryItem(search, index, { title, meta, actions }) {
+    const item = document.createElement('li');
+    item.className = 'search-history-item';
+    item.dataset.index = index;
+
+    const rerun = document.createElement('button');
+    rerun.type = 'button';
+    rerun.className = 'search-rerun';
+    rerun.title = 'この検索を実行';
+    const name = document.createElement('span');
+    name.className = 'search-history-title';
+    name.textContent = title;
+    const details = document.createElement('span');
+    details.className = 'search-history-meta';
+    details.textContent = meta.filter(Boolean).join(' ・ ');
+    rerun.append(name, details);
+    item.appendChild(rerun);
+
+    for (const [className, label] of actions) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        item.appendChild(button);
+    }
+
+    return item;
+}
+
+// 既定値と違う検索条件の表記（例: 省令を除く、2020年4月1日時点、細目告示）
+function formatSearchFilters(filters) {
+    const conditions = { ...DEFAULT_FILTERS, ...filters };
+    const labels = [];
+    if (!conditions.law) labels.push('法律を除く');
+    if (!conditions.ordinance) labels.push('省令を除く');
+    if (conditions.asOf) labels.push(`${formatRevisionDate(conditions.asOf)}時点`);
+    if (conditions.sort !== DEFAULT_FILTERS.sort) {
+        const option = Array.from(sortOrder.options).find(candidate => candidate.value === conditions.sort);
+        if (option) labels.push(option.textContent.trim());
+    }
+    for (const { key } of FacetCounter.FACETS) {
+        for (const value of (conditions.facets && conditions.facets[key]) || []) labels.push(formatFacetValue(key, value));
+    }
+    return labels;
+}
+
+// 保存した検索・履歴の検索条件で検索し直す（一覧は閉じる）
+function rerunSearch({ query, filters }) {
+    hideModal();
+    currentView = null;
+    searchInput.value = query;
+    applyFilters({ ...DEFAULT_FILTERS, ...filters });
+    performSearch();
+}
+
+// 一覧の中のボタン（処理した場合は true）
+function handleSearchHistoryClick(e) {
+    if (e.target.closest('.search-history-clear')) {
+        if (window.confirm('検索履歴をすべて消去しますか？')) {
+            searchHistory.clearHistory();
+            renderSearchHistoryPanel();
+        }
+        return true;
+    }
+
+    const item = e.target.closest('.search-history-item');
+    if (!item) return false;
+
+    const index = Number(item.dataset.index);
+    const isSaved = item.closest('.search-history-list').dataset.source === 'saved';
+    const search = isSaved ? searchHistory.getSaved()[index] : searchHistory.getHistory()[index];
+    if (!search) return true;
+
+    if (e.target.closest('.search-rerun')) {
+        rerunSearch(search);
+    } else if (e.target.closest('.search-history-save')) {
+        searchHistory.save({ name: search.query, query: search.query, filters: search.filters });
+        setBookmarkStatus(`「${search.query}」を保存しました`);
+        renderSearchHistoryPanel();
+    } else if (e.target.closest('.search-history-remove')) {
+        searchHistory.removeHistory(index);
+        renderSearchHistoryPanel();
+    } else if (e.target.closest('.saved-search-rename')) {
+        const name = window.prompt('保存した検索の名前', search.name);
+        if (name && name.trim()) {
+            searchHistory.rename(search.id, name.trim());
+            renderSearchHistoryPanel();
+        }
+    } else if (e.target.closest('.saved-search-remove')) {
+        searchHistory.remove(search.id);
+        renderSearchHistoryPanel();
+    }
+    return true;
+}
+
+// 最後に実行した検索を名前を付けて保存
+function saveCurrentSearch(form) {
+    if (!lastSearch || !lastSearch.query) return;
+
+    const input = form.querySelector('.saved-search-name');
+    const name = input.value.trim() || lastSearch.query;
+    searchHistory.save({ name, query: lastSearch.query, filters: lastSearch.filters });
+    input.value = '';
+    setBookmarkStatus(`「${name}」を保存しました`);
+    renderSearchHistoryPanel();
+}
+
+// ========================================
+// チームの同義語
+// ========================================
+// 同義語辞書（data/synonyms.json）に無い言い回しを、チームの同義語（LocalSynonymStore、localStorage）として追加する。
+// 追加・削除したら検索エンジンの辞書を入れ替え、表示中の検索結果も検索し直す。
+
+// 一致のしかたの表示名
+const SYNONYM_MATCH_LABELS = { partial: '部分一致', exact: '完全一致' };
+
+// チームの同義語の一覧と追加フォーム
+function showSynonyms({ history = 'push' } = {}) {
+    modalBody.innerHTML = `
+        <h2>📖 チームの同義語</h2>
+        <p class="synonym-help">検索語が組のいずれかの語に当てはまると、組のすべての語で検索します。同義語だけに一致した資料のスコアは「重み」の割合になります。同義語辞書と同じ見出し語の組は、辞書の組を置き換えます。</p>
+        <form class="synonym-form">
+            <label>見出し語 <input type="text" class="synonym-term" required placeholder="例: 前照灯"></label>
+            <label>別名（「、」区切り） <input type="text" class="synonym-aliases" required placeholder="例: ヘッドライト、ヘッドランプ"></label>
+            <label>重み <input type="number" class="synonym-weight" min="0.1" max="1" step="0.1" value="${SynonymDictionary.DEFAULT_WEIGHT}"></label>
+            <label>一致のしかた
+                <select class="synonym-match">
+                    <option value="partial">部分一致（検索語が組の語を含む）</option>
+                    <option value="exact">完全一致（検索語が組の語と同じ）</option>
+                </select>
+            </label>
+            <fieldset class="synonym-scope">
+                <legend>対象の資料（選ばなければすべて）</legend>
+                ${SynonymDictionary.SCOPE_TYPES.map(type => `
+                <label><input type="checkbox" value="${escapeHtml(type)}"> ${escapeHtml(type)}</label>
+                `).join('')}
+            </fieldset>
+            <button type="submit" class="note-save">追加</button>
+        </form>
+        <div class="result-actions bookmark-tools">
+            <button type="button" class="synonyms-export">📤 JSONに書き出す</button>
+            <label class="bookmarks-import">
+                📥 JSONを読み込む
+                <input type="file" id="synonymsImport" class="hidden" accept="application/json,.json">
+            </label>
+        </div>
+        <p class="bookmark-status" aria-live="polite"></p>
+        <ul class="synonym-list"></ul>
+    `;
+
+    openModal();
+    detailResult = null;
+    currentView = { type: 'synonyms' };
+    updateHistory(history);
+    renderSynonymList();
+}
+
+function renderSynonymList() {
+    const list = modalBody.querySelector('.synonym-list');
+    if (!list) return;
+    if (!synonymStore.available) {
+        list.innerHTML = '<li class="bookmark-empty">このブラウザではチームの同義語を保存できません</li>';
+        return;
+    }
+
+    const entries = synonymStore.getEntries();
+    list.innerHTML = '';
+    entries.forEach((entry, index) => list.appendChild(createSynonymItem(entry, index)));
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="bookmark-empty">チームの同義語はありません</li>';
+    }
+}
+
+// 一覧の1行（語は入力されたものをそのまま表示するため textContent で組み立てる）
+function createSynonymItem(entry, index) {
+    const item = document.createElement('li');
+    item.className = 'synonym-item';
+    item.dataset.index = index;
+
+    const text = document.createElement('div');
+    text.className = 'synonym-text';
+    const words = document.createElement('span');
+    words.className = 'synonym-words';
+    words.textContent = `${entry.term} ⇔ ${entry.aliases.join('、')}`;
+    const options = document.createElement('span');
+    options.className = 'search-history-meta';
+    options.textContent = [
+        `重み ${entry.weight}`,
+        SYNONYM_MATCH_LABELS[entry.match] || entry.match,
+        entry.scope ? `対象: ${entry.scope.join('・')}` : null
+    ].filter(Boolean).join(' ・ ');
+    text.append(words, options);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'synonym-remove';
+    remove.textContent = '削除';
+
+    item.append(text, remove);
+    return item;
+}
+
+// フォームの組を追加
+async function saveSynonym(form) {
+    const term = form.querySelector('.synonym-term').value.trim();
+    const aliases = Array.from(new Set(
+        form.querySelector('.synonym-aliases').value.split(/[、,，]/).map(alias => alias.trim()).filter(Boolean)
+    ));
+    if (!term || aliases.length === 0) {
+        setBookmarkStatus('見出し語と別名を入力してください');
+        return;
+    }
+
+    const entry = {
+        term,
+        aliases,
+        weight: Number(form.querySelector('.synonym-weight').value) || SynonymDictionary.DEFAULT_WEIGHT,
+        match: form.querySelector('.synonym-match').value,
+        scope: Array.from(form.querySelectorAll('.synonym-scope input:checked')).map(option => option.value)
+    };
+    if (await addLocalSynonyms([entry], `「${term}」の組を追加しました`)) {
+        form.reset();
+    }
+}
+
+// チームの同義語に組を加える（同義語辞書と合わせて検査し、循環・複数の組に含まれる語などがあれば加えない）
+// 同義語辞書の更新などで前からあったエラーでは止めない。加えた場合は true
+async function addLocalSynonyms(entries, message) {
+    const [previous, issues] = await Promise.all([
+        searchClient.checkSynonyms(synonymStore.getEntries()),
+        searchClient.checkSynonyms(synonymStore.withEntries(entries))
+    ]);
+    const previousErrors = new Set(previous.filter(issue => issue.level === 'error').map(issue => issue.message));
+    const errors = issues.filter(issue => issue.level === 'error' && !previousErrors.has(issue.message));
+    if (errors.length > 0) {
+        setBookmarkStatus(`追加できません: ${errors.map(issue => issue.message).join(' / ')}`);
+        return false;
+    }
+
+    synonymStore.save(entries);
+    await applyLocalSynonyms();
+    renderSynonymList();
+
+    const warnings = issues.filter(issue => issue.level === 'warning');
+    setBookmarkStatus(message + (warnings.length > 0 ? `（注意: ${warnings.map(issue => issue.message).join(' / ')}）` : ''));
+    return true;
+}
+
+// 保存したチームの同義語で検索エンジンの辞書を入れ替え、表示中の検索結果を検索し直す
+async function applyLocalSynonyms() {
+    const status = await searchClient.setLocalSynonyms(synonymStore.getEntries());
+    displayStats(status);
+    if (lastSearch && lastSearch.query) {
+        performSearch({ history: 'none' });
+    }
+}
+
+// 一覧の中のボタン（処理した場合は true）
+function handleSynonymClick(e) {
+    if (e.target.closest('.synonyms-export')) {
+        exportSynonyms();
+        return true;
+    }
+
+    const remove = e.target.closest('.synonym-remove');
+    if (!remove) return false;
+
+    const index = Number(remove.closest('.synonym-item').dataset.index);
+    const entry = synonymStore.getEntries()[index];
+    if (entry) {
+        synonymStore.remove(index);
+        applyLocalSynonyms();
+        renderSynonymList();
+        setBookmarkStatus(`「${entry.term}」の組を削除しました`);
+    }
+    return true;
+}
+
+// synonyms.json と同じ形式の JSON に書き出す
+function exportSynonyms() {
+    const data = synonymStore.exportData();
+    downloadFile(`synonyms-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// 書き出した JSON ファイル（または synonyms.json と同じ形式のファイル）の組を加える
+async function importSynonyms(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('JSON として読み込めません');
+        }
+
+        const { entries, skipped } = LocalSynonymStore.readEntries(data);
+        await addLocalSynonyms(entries, `同義語${entries.length}組を読み込みました` +
+            (skipped > 0 ? `（不正な組${skipped}件は読み込みませんでした）` : ''));
+    } catch (error) {
+        console.error('同義語の読み込みに失敗しました:', error);
+        setBookmarkStatus(error.message);
+    }
+}
+
+// ========================================
+// 書き出し・印刷・引用表記のコピー
+// ========================================
+// 検索結果の一覧は CSV・Markdown で書き出し（ResultExporter）、詳細表示は印刷用のスタイル（style.css の @media print）で印刷する
+
+// 表示している検索結果を書き出す（format: csv / markdown）
+function exportResults(format) {
+    const results = currentResults.ranked;
+    if (results.length === 0) return;
+
+    const query = lastSearch ? lastSearch.query : '';
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        downloadFile(`search-results-${date}.csv`, ResultExporter.toCsv(results), 'text/csv;charset=utf-8');
+    } else {
+        const filters = lastSearch ? lastSearch.filters : DEFAULT_FILTERS;
+        const title = `検索結果: ${query}${formatSearchFilters(filters).map(label => `（${label}）`).join('')}`;
+        downloadFile(`search-results-${date}.md`, ResultExporter.toMarkdown(results, { title }), 'text/markdown;charset=utf-8');
+    }
+}
+
+// 詳細表示の引用表記のコピー・印刷ボタン
+function renderDetailTools() {
+    return `
+        <button type="button" class="copy-citation-button" title="報告書などに貼り付ける引用表記をコピー">📋 引用をコピー</button>
+        <button type="button" class="print-button">🖨️ 印刷</button>
+    `;
+}
+
+// 開いている資料の引用表記（例: 道路運送車両の保安基準 第17条の2（2020.3.31））をクリップボードにコピー
+async function copyCitation(button) {
+    if (!detailResult) return;
+
+    const text = ResultExporter.formatCitation(detailResult);
+    const copied = await copyText(text);
+    button.textContent = copied ? '✓ コピーしました' : '⚠️ コピーできませんでした';
+    button.title = text;
+    setTimeout(() => {
+        button.textContent = '📋 引用をコピー';
+    }, 2000);
+}
+
+// クリップボードにコピー（Clipboard API が使えない場合は選択してコピー）
+async function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ クリップボードに書き込めませんでした:', error);
+        }
+    }
+
+    const field = document.createElement('textarea');
+    field.value = text;
+    field.setAttribute('readonly', '');
+    field.className = 'copy-buffer';
+    document.body.appendChild(field);
+    field.select();
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (error) {
+        copied = false;
+    }
+    field.remove();
+    return copied;
+}
+
+// ========================================
+// 入力補完（ARIA コンボボックス）
+// ========================================
+// 入力中の最後の語を補完する（「-」や「title:」などの接頭辞は残す）
+function splitCompletionToken(value) {
+    const match = value.match(/^(.*[\s(])?(-?(?:[^\s:()"]+:)?)([^\s()"]*)$/);
+    if (!match) return null;
+    return { head: (match[1] || '') + match[2], token: match[3] };
+}
+
+async function updateCompletions() {
+    const request = ++completionRequest;
+    const parts = splitCompletionToken(searchInput.value);
+    if (!parts || parts.token.length === 0) {
+        closeCompletions();
+        return;
+    }
+
+    const { terms, documents } = await searchClient.getCompletions(parts.token);
+    if (request !== completionRequest) return; // 入力が進んだ後に届いた古い候補
+
+    completionItems = [
+        ...terms.map(term => ({ kind: 'term', text: term.text, value: parts.head + term.text })),
+        ...documents.map(doc => ({ kind: 'document', text: doc.label, id: doc.id }))
+    ];
+    activeCompletion = -1;
+    renderCompletions();
+}
+
+function renderCompletions() {
+    searchSuggestions.innerHTML = '';
+
+    completionItems.forEach((item, index) => {
+        const option = document.createElement('li');
+        option.id = `searchSuggestion-${index}`;
+        option.className = `search-suggestion ${item.kind}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === activeCompletion));
+        option.dataset.index = index;
+
+        const label = document.createElement('span');
+        label.textContent = item.text;
+        option.appendChild(label);
+
+        if (item.kind === 'document') {
+            const badge = document.createElement('span');
+            badge.className = 'search-suggestion-kind';
+            badge.textContent = '資料を開く';
+            option.appendChild(badge);
+        }
+
+        searchSuggestions.appendChild(option);
+    });
+
+    const open = completionItems.length > 0;
+    searchSuggestions.classList.toggle('hidden', !open);
+    searchInput.setAttribute('aria-expanded', String(open));
+    if (activeCompletion >= 0) {
+        searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${activeCompletion}`);
+        document.getElementById(`searchSuggestion-${activeCompletion}`).scrollIntoView({ block: 'nearest' });
+    } else {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+function closeCompletions() {
+    completionRequest++;
+    completionItems = [];
+    activeCompletion = -1;
+    renderCompletions();
+}
+
+// 候補一覧のキー操作（処理した場合は true）
+function handleCompletionKey(e) {
+    const open = completionItems.length > 0;
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (!open) return false;
+            e.preventDefault();
+            activeCompletion = e.key === 'ArrowDown'
+                ? (activeCompletion + 1) % completionItems.length
+                : (activeCompletion <= 0 ? completionItems.length : activeCompletion) - 1;
+            renderCompletions();
+            return true;
+        case 'Enter':
+            if (!open || activeCompletion < 0) {
+                closeCompletions();
+                return false;
+            }
+            e.preventDefault();
+            selectCompletion(activeCompletion);
+            return true;
+        case 'Escape':
+            if (!open) return false;
+            e.preventDefault();
+            closeCompletions();
+            return true;
+        case 'Tab':
+            closeCompletions();
+            return false;
+        default:
+            return false;
+    }
+}
+
+// 語は入力欄に入れて検索、資料はその資料を開く
+function selectCompletion(index) {
+    const item = completionItems[index];
+    closeCompletions();
+    if (!item) return;
+
+    if (item.kind === 'document') {
+        openDocument(item.id);
+        return;
+    }
+
+    searchInput.value = item.value;
+    clearTimeout(searchTimeout);
+    performSearch();
+}
+
+// ========================================
+// URLの状態（検索条件・開いている資料）
+// ========================================
+// 最後に実行した検索の条件と、開いている資料（項・号、一致した箇所、過去の版）・比較表示をURLに残し、
+// 再読み込みや共有したリンクで同じ画面を開けるようにする。検索や資料を開く操作は履歴に追加し、
+// ブラウザの戻る・進む（popstate）でその時点の画面に戻す。
+//   ?q=前照灯&law=0&ordinance=0&asOf=2020-04-01&sort=date-desc&type=細目告示&keyword=尾灯&year=2023&year=2024
+//    &doc=S037&paragraph=2&item=1&passage=120-480&version=0 | &compare=H027,S037 | &article=法令ID:条番号
+//    | &view=bookmarks | &view=searches | &view=synonyms
+
+// 一覧を開いている状態として URL に残すもの（view の値）
+const PANEL_VIEWS = ['bookmarks', 'searches', 'synonyms'];
+
+// 検索条件の入力欄の値と、絞り込みで選んだ値
+function readFilters() {
+    return {
+        ...DEFAULT_FILTERS,
+        law: filterLaw.checked,
+        ordinance: filterOrdinance.checked,
+        asOf: filterAsOf.value || null,
+        sort: sortOrder.value,
+        facets: copyFacets(selectedFacets)
+    };
+}
+
+function applyFilters(filters) {
+    filterLaw.checked = filters.law;
+    filterOrdinance.checked = filters.ordinance;
+    filterAsOf.value = filters.asOf || '';
+    sortOrder.value = filters.sort;
+    selectedFacets = copyFacets(filters.facets);
+}
+
+function copyFacets(facets) {
+    return Object.fromEntries(FacetCounter.FACETS.map(({ key }) => [key, [...((facets && facets[key]) || [])]]));
+}
+
+// 現在の検索条件と開いている資料を表すURL（既定値の条件は含めない）
+function createStateUrl() {
+    const url = new URL(window.location.pathname, window.location.origin);
+    const params = url.searchParams;
+    const { query, filters } = lastSearch || { query: '', filters: DEFAULT_FILTERS };
+
+    if (query) params.set('q', query);
+    if (!filters.law) params.set('law', '0');
+    if (!filters.ordinance) params.set('ordinance', '0');
+    if (filters.asOf) params.set('asOf', filters.asOf);
+    if (filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+    for (const { key } of FacetCounter.FACETS) {
+        for (const value of (filters.facets && filters.facets[key]) || []) params.append(key, value);
+    }
+
+    const view = currentView;
+    if (view && view.type === 'document') {
+        params.set('doc', view.id);
+        if (view.paragraph) params.set('paragraph', view.paragraph);
+        if (view.item) params.set('item', view.item);
+        if (view.passage) params.set('passage', `${view.passage.start}-${view.passage.end}`);
+        if (view.version !== null && view.version !== undefined) params.set('version', view.version);
+    } else if (view && view.type === 'comparison') {
+        params.set('compare', view.ids.join(','));
+    } else if (view && view.type === 'article') {
+        params.set('article', `${view.lawId}:${view.articleNumber}`);
+    } else if (view && PANEL_VIEWS.includes(view.type)) {
+        params.set('view', view.type);
+    }
+
+    return url;
+}
+
+// URLから検索条件と開く資料を読み取る（不正な値は既定値にする）
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const asOf = params.get('asOf');
+    const sort = params.get('sort');
+    const filters = {
+        ...DEFAULT_FILTERS,
+        law: params.get('law') !== '0',
+        ordinance: params.get('ordinance') !== '0',
+        asOf: /^\d{4}-\d{2}-\d{2}$/.test(asOf || '') ? asOf : null,
+        sort: Array.from(sortOrder.options).some(option => option.value === sort) ? sort : DEFAULT_FILTERS.sort,
+        facets: Object.fromEntries(FacetCounter.FACETS.map(({ key }) => [key, Array.from(new Set(params.getAll(key)))]))
+    };
+
+    const number = name => parseInt(params.get(name), 10) || null;
+    let view = null;
+    if (params.get('doc')) {
+        const passage = (params.get('passage') || '').match(/^(\d+)-(\d+)$/);
+        view = {
+            type: 'document',
+            id: params.get('doc'),
+            paragraph: number('paragraph'),
+            item: number('item'),
+            passage: passage ? { start: Number(passage[1]), end: Number(passage[2]) } : null,
+            version: /^\d+$/.test(params.get('version') || '') ? Number(params.get('version')) : null
+        };
+    } else if (params.get('compare')) {
+        view = { type: 'comparison', ids: params.get('compare').split(',').filter(Boolean).slice(0, 2) };
+    } else if (params.get('article')) {
+        const article = params.get('article');
+        const separator = article.indexOf(':');
+        view = { type: 'article', lawId: article.slice(0, separator), articleNumber: article.slice(separator + 1) };
+    } else if (PANEL_VIEWS.includes(params.get('view'))) {
+        view = { type: params.get('view') };
+    }
+
+    return { query: params.get('q') || '', filters, view };
+}
+
+// 履歴の更新
+//   push: 履歴に追加 / replace: 今の履歴を置き換え / none: 変更しない
+//   typing: 入力中の検索（続けて入力した分は1つの履歴にまとめる）
+//   search: 検索の実行（入力中の検索の続きなら、その履歴を置き換え）
+// modalDepth は、資料を開いてから追加した履歴の数（閉じるときにその分だけ戻る）
+function updateHistory(mode) {
+    if (mode === 'none') return;
+
+    const url = createStateUrl();
+    const current = window.history.state || {};
+    const replace = mode === 'replace' ||
+        url.href === window.location.href ||
+        ((mode === 'typing' || mode === 'search') && current.typing);
+
+    const depth = current.modalDepth || 0;
+    const state = {
+        typing: mode === 'typing',
+        modalDepth: !currentView ? 0 : replace ? depth : depth + 1
+    };
+
+    if (replace) {
+        window.history.replaceState(state, '', url);
+    } else {
+        window.history.pushState(state, '', url);
+    }
+}
+
+// URLの状態を画面に反映（読み込み時と、ブラウザの戻る・進むのとき）
+function restoreState() {
+    const { query, filters, view } = readUrlState();
+
+    closeCompletions();
+    searchInput.value = query;
+    applyFilters(filters);
+    const isSameSearch = lastSearch && lastSearch.query === query &&
+        JSON.stringify(lastSearch.filters) === JSON.stringify(filters);
+    if (!isSameSearch) {
+        performSearch({ history: 'none' });
+    }
+
+    if (!view) {
+        hideModal();
+        currentView = null;
+    } else if (view.type === 'document') {
+        openDocument(view.id, view.paragraph, view.item, { passage: view.passage, version: view.version, history: 'none' });
+    } else if (view.type === 'comparison') {
+        openComparison(view.ids[0], view.ids[1] || null, { history: 'none' });
+    } else if (view.type === 'article') {
+        openArticle(view.lawId, view.articleNumber, { history: 'none' });
+    } else if (view.type === 'bookmarks') {
+        showBookmarks({ history: 'none' });
+    } else if (view.type === 'searches') {
+        showSearchHistory({ history: 'none' });
+    } else if (view.type === 'synonyms') {
+        showSynonyms({ history: 'none' });
+    }
+}
+
+// ========================================
+// UI ヘルパー
+// ========================================
+function showLoading(show) {
+    if (show) {
+        loadingIndicator.classList.remove('hidden');
+        resultsContainer.classList.add('hidden');
+    } else {
+        loadingIndicator.classList.add('hidden');
+        resultsContainer.classList.remove('hidden');
+    }
+}
+
+// 改正日（YYYY-MM-DD）を表示用に変換（例: 2003年4月1日）
+function formatRevisionDate(date) {
+    const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+    return `${year}年${month}月${day}日`;
+}
+
+// 文字列をファイルとしてダウンロードさせる
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function clearResults() {
+    resultsContainer.innerHTML = '';
+    resultsActions.classList.add('hidden');
+    searchInfo.textContent = '';
+    noResults.classList.add('hidden');
+    renderFacets(null);
+}
+
+function displayStats({ stats, degraded }) {
+    if (stats) {
+        console.log(`📊 統計情報:`, stats);
+        const totalPdfs = (stats.standardsCount || 0) + (stats.detailsCount || 0) +
+            (stats.appendicesCount || 0) + (stats.otherCount || 0);
+        searchInfo.textContent = `${stats.lawCount}件の法令、${stats.articleCount}条文、PDF資料${totalPdfs}件を検索できます`;
+        if (degraded) {
+            searchInfo.textContent += '（一部のデータを読み込めなかったため、読み込めた資料のみが対象です）';
+        }
+    }
+}
+
+// 資料ごとの読み込み状況を表示（読み込めなかった理由はツールチップで表示）
+function displayCorpusStatus({ corpusStatus: corpora }) {
+    corpusStatus.innerHTML = '';
+
+    for (const corpus of corpora) {
+        const badge = document.createElement('span');
+        badge.className = `corpus-badge ${corpus.loaded ? 'loaded' : 'unavailable'}`;
+        badge.textContent = corpus.loaded
+            ? `✓ ${corpus.label} ${corpus.count}${corpus.unit}`
+            : `✕ ${corpus.label}`;
+        if (corpus.message) {
+            badge.title = corpus.message;
+            if (corpus.loaded) badge.classList.add('partial');
+        }
+        corpusStatus.appendChild(badge);
+    }
+}
+
+function showError(message) {
+    resultsContainer.innerHTML = `
+        <div class="error-message">
+            <p class="error-title">⚠️ エラー</p>
+            <p>${escapeHtml(message)}</p>
+        </div>
+    `;
+    loadingIndicator.classList.add('hidden');
+}
+
+// ========================================
+// オフライン対応（Service Worker）
+// ========================================
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+        return;
+    }
+
+    // 新しい法令データを Service Worker が取得した
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'data-updated') {
+            const updated = event.data.lastUpdated ? `（${event.data.lastUpdated}更新）` : '';
+            showUpdateNotice(`新しい法令データ${updated}があります。再読み込みすると反映されます。`, () => {
+                window.location.reload();
+            });
+        }
+    });
+
+    // 新しいアプリ本体に切り替わったら再読み込み
+    // 初回訪問では、インストールした Service Worker が clients.claim() でページを制御し始めるときにも
+    // controllerchange が起きる。起動中のページ（入力済みの検索語など）を失わないよう、それまで
+    // Service Worker に制御されていたページだけを再読み込みする
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (hadController && !reloading) {
+            reloading = true;
+            window.location.reload();
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js').then((registration) => {
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // 既存の Service Worker がある場合のみ（初回インストールは通知しない）
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateNotice('新しいバージョンのアプリがあります。', () => {
+                        worker.postMessage({ type: 'skip-waiting' });
+                    });
+                }
+            });
+        });
+    }).catch((error) => {
+        console.warn('⚠️ Service Worker を登録できませんでした:', error);
+    });
+}
+
+function showUpdateNotice(message, onReload) {
+    updateNoticeMessage.textContent = message;
+    updateNoticeButton.onclick = onReload;
+    updateNotice.classList.remove('hidden');
 }
 
 // ========================================
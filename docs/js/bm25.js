@@ -0,0 +1,189 @@
+// ========================================
+// BM25 によるスコアリング
+// ========================================
+// フィールドごとの重みと文書長の正規化を行う BM25F 方式。
+// 条文とPDF資料を同じ尺度で採点するため、両者の結果をまとめて並べられる。
+
+(function (root) {
+    'use strict';
+
+    const PassageSplitter = typeof module !== 'undefined' && module.exports
+        ? require('./passages.js')
+        : root.PassageSplitter;
+
+    // フィールドごとの重み（weight）と文書長正規化の強さ（b）
+    const DEFAULT_FIELD_PARAMS = {
+        title: { weight: 3.0, b: 0.5 },
+        keywords: { weight: 2.0, b: 0.3 },
+        number: { weight: 2.5, b: 0.0 },
+        body: { weight: 1.0, b: 0.75 }
+    };
+
+    // 語の出現回数に対する飽和の強さ
+    const DEFAULT_K1 = 1.2;
+
+    // パッセージ長の正規化の強さ
+    const PASSAGE_B = 0.5;
+
+    // テキスト中の語の出現回数
+    function countOccurrences(text, term) {
+        let count = 0;
+        let index = text.indexOf(term);
+        while (index !== -1) {
+            count++;
+            index = text.indexOf(term, index + 1);
+        }
+        return count;
+    }
+
+    class BM25Scorer {
+        constructor(index, { k1 = DEFAULT_K1, fields = DEFAULT_FIELD_PARAMS } = {}) {
+            this.index = index;
+            this.k1 = k1;
+            this.fields = fields;
+            this.fieldNames = Object.keys(fields);
+            this.documentCount = index.docs.length;
+            this.averageLengths = this.computeAverageLengths();
+            this.averagePassageLength = this.computeAveragePassageLength();
+            this.idfCache = new Map();
+        }
+
+        // フィールドごとの平均文書長
+        computeAverageLengths() {
+            const averages = {};
+            for (const field of this.fieldNames) {
+                let total = 0;
+                for (const doc of this.index.docs) {
+                    total += doc.lengths[field] || 0;
+                }
+                averages[field] = this.documentCount > 0 ? total / this.documentCount : 0;
+            }
+            return averages;
+        }
+
+        // 本文のパッセージの平均長
+        computeAveragePassageLength() {
+            let total = 0;
+            let count = 0;
+            for (const doc of this.index.docs) {
+                total += doc.lengths.body || 0;
+                count += (doc.passages || [0]).length;
+            }
+            return count > 0 ? total / count : 0;
+        }
+
+        // 逆文書頻度（いずれかのフィールドに語を含む文書数から算出）
+        idf(term) {
+            if (!this.idfCache.has(term)) {
+                const df = this.index.findDocuments(term, this.fieldNames).size;
+                const n = this.documentCount;
+                this.idfCache.set(term, Math.log(1 + (n - df + 0.5) / (df + 0.5)));
+            }
+            return this.idfCache.get(term);
+        }
+
+        // 文書長で正規化し、フィールドの重みを掛けた出現回数の合計
+        weightedTermFrequency(term, docIndex) {
+            const lengths = this.index.docs[docIndex].lengths;
+            let frequency = 0;
+
+            for (const field of this.fieldNames) {
+                const positions = this.index.findPositions(term, field).get(docIndex);
+                if (!positions) continue;
+
+                const { weight, b } = this.fields[field];
+                const average = this.averageLengths[field] || 1;
+                const normalization = 1 - b + b * ((lengths[field] || 0) / average);
+                frequency += weight * positions.length / normalization;
+            }
+
+            return frequency;
+        }
+
+        // 語の重み（weights: Map<語, 重み>、無い語は 1。同義語の一致を検索語そのものより低くするため）
+        static termWeight(term, weights) {
+            return weights && weights.has(term) ? weights.get(term) : 1;
+        }
+
+        // 文書のスコア（検索語ごとの BM25 スコアに語の重みを掛けた合計）
+        score(docIndex, terms, weights = null) {
+            let score = 0;
+            for (const term of new Set(terms)) {
+                const frequency = this.weightedTermFrequency(term, docIndex);
+                if (frequency === 0) continue;
+                score += BM25Scorer.termWeight(term, weights) * this.idf(term) * frequency * (this.k1 + 1) / (frequency + this.k1);
+            }
+            return score;
+        }
+
+        // 索引に無いテキスト（PDF資料の過去の版など）のスコア
+        // fields: { フィールド名: 正規化済みのテキスト }、terms は正規化済みの語。idf と平均文書長は索引のものを使う
+        scoreText(fields, terms, weights = null) {
+            let score = 0;
+            for (const term of new Set(terms)) {
+                if (term.length === 0) continue;
+
+                let frequency = 0;
+                for (const field of this.fieldNames) {
+                    const text = fields[field] || '';
+                    const count = countOccurrences(text, term);
+                    if (count === 0) continue;
+
+                    const { weight, b } = this.fields[field];
+                    const average = this.averageLengths[field] || 1;
+                    frequency += weight * count / (1 - b + b * (text.length / average));
+                }
+                if (frequency === 0) continue;
+                score += BM25Scorer.termWeight(term, weights) * this.idf(term) * frequency * (this.k1 + 1) / (frequency + this.k1);
+            }
+            return score;
+        }
+
+        // 本文のパッセージごとのスコア（語を含むパッセージのみ、スコアの高い順）
+        // 戻り値: [{ passage（パッセージの番号）, score, position（最初に一致した正規化後の位置） }]
+        passageScores(docIndex, terms, weights = null) {
+            const doc = this.index.docs[docIndex];
+            const starts = doc.passages || [0];
+
+            const hits = new Map();
+            for (const term of new Set(terms)) {
+                const positions = this.index.findPositions(term, 'body').get(docIndex);
+                if (!positions) continue;
+
+                for (const position of positions) {
+                    const passage = PassageSplitter.findPassage(starts, position);
+                    let hit = hits.get(passage);
+                    if (!hit) {
+                        hit = { passage, position, frequencies: new Map() };
+                        hits.set(passage, hit);
+                    }
+                    hit.position = Math.min(hit.position, position);
+                    hit.frequencies.set(term, (hit.frequencies.get(term) || 0) + 1);
+                }
+            }
+
+            const scores = [];
+            for (const { passage, position, frequencies } of hits.values()) {
+                const end = passage + 1 < starts.length ? starts[passage + 1] : (doc.lengths.body || 0);
+                const normalization = 1 - PASSAGE_B + PASSAGE_B * ((end - starts[passage]) / (this.averagePassageLength || 1));
+
+                let score = 0;
+                for (const [term, count] of frequencies) {
+                    const frequency = count / normalization;
+                    score += BM25Scorer.termWeight(term, weights) * this.idf(term) * frequency * (this.k1 + 1) / (frequency + this.k1);
+                }
+                scores.push({ passage, score, position });
+            }
+
+            return scores.sort((a, b) => b.score - a.score || a.passage - b.passage);
+        }
+    }
+
+    BM25Scorer.DEFAULT_FIELD_PARAMS = DEFAULT_FIELD_PARAMS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BM25Scorer;
+    } else {
+        root.BM25Scorer = BM25Scorer;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,189 @@
+// ========================================
+// ブックマークとメモ
+// ========================================
+// 条文・PDF資料のブックマークと、資料（または本文中の選んだ箇所）に付けたメモを
+// ブラウザの IndexedDB に保存する（サーバーには送らない）。
+// JSON ファイルに書き出し・読み込みでき、別のブラウザへの移行やバックアップに使える。
+
+// 書き出すファイルの形式の版（読み込むときに DataSchema の bookmarks で検証する）
+const BOOKMARK_EXPORT_VERSION = 1;
+
+class BookmarkStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    // 資料を識別するキー（PDF資料は文書ID、条文は法令IDと条番号）
+    static documentKey(result) {
+        return result.kind === 'article'
+            ? `article:${result.lawId}:${result.articleNumber}`
+            : `pdf:${result.id}`;
+    }
+
+    // 一覧の表示と資料を開き直すための情報（id は PDF資料の文書ID、条文は 法令ID:条番号）
+    static describe(result) {
+        if (result.kind === 'article') {
+            return {
+                key: BookmarkStore.documentKey(result),
+                kind: 'article',
+                id: `${result.lawId}:${result.articleNumber}`,
+                displayName: `${result.lawName} ${result.articleNumber}`,
+                title: result.title || ''
+            };
+        }
+        return {
+            key: BookmarkStore.documentKey(result),
+            kind: 'pdf',
+            id: result.id,
+            displayName: result.displayName || result.id,
+            title: result.title || ''
+        };
+    }
+
+    // データベースを開く（IndexedDB が使えない環境では失敗する）
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('このブラウザではブックマークを保存できません'));
+                    return;
+                }
+
+                const request = indexedDB.open('vehicle-law-bookmarks', 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('bookmarks', { keyPath: 'key' });
+                    const notes = db.createObjectStore('notes', { keyPath: 'id', autoIncrement: true });
+                    notes.createIndex('docKey', 'doc.key');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // 失敗した場合は次の呼び出しで開き直す
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    // 保存先を使えるか
+    async isAvailable() {
+        try {
+            await this.open();
+            return true;
+        } catch (error) {
+            console.warn('⚠️ ブックマークを保存できません:', error);
+            return false;
+        }
+    }
+
+    // ストアの操作を1つのトランザクションで行い、完了したら operation の戻り値（リクエストなら結果）を返す
+    async transaction(storeNames, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+            const value = operation(...stores);
+            // リクエストのエラーで中断した場合も、onerror の時点では tx.error が null のことがある
+            const fail = () => reject(tx.error || new Error('ブックマークを保存できませんでした'));
+            tx.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+            tx.onerror = fail;
+            tx.onabort = fail;
+        });
+    }
+
+    // ブックマーク（新しい順）
+    async getBookmarks() {
+        const bookmarks = await this.transaction('bookmarks', 'readonly', store => store.getAll());
+        return bookmarks.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    }
+
+    async addBookmark(result) {
+        const bookmark = { ...BookmarkStore.describe(result), createdAt: new Date().toISOString() };
+        await this.transaction('bookmarks', 'readwrite', store => store.put(bookmark));
+        return bookmark;
+    }
+
+    async removeBookmark(key) {
+        await this.transaction('bookmarks', 'readwrite', store => store.delete(key));
+    }
+
+    // メモ（docKey を指定するとその資料のものだけ。古い順）
+    async getNotes(docKey = null) {
+        const notes = await this.transaction('notes', 'readonly', store =>
+            docKey ? store.index('docKey').getAll(docKey) : store.getAll()
+        );
+        return notes.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    }
+
+    // quote: メモを付けた本文中の箇所（資料全体へのメモは null）
+    async addNote(result, text, quote = null) {
+        const now = new Date().toISOString();
+        const note = { doc: BookmarkStore.describe(result), text, quote, createdAt: now, updatedAt: now };
+        note.id = await this.transaction('notes', 'readwrite', store => store.add(note));
+        return note;
+    }
+
+    async updateNote(id, text) {
+        await this.transaction('notes', 'readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, text, updatedAt: new Date().toISOString() });
+                }
+            };
+        });
+    }
+
+    async deleteNote(id) {
+        await this.transaction('notes', 'readwrite', store => store.delete(id));
+    }
+
+    // 書き出すデータ（メモの id はブラウザごとに振られるため含めない）
+    async exportData() {
+        const [bookmarks, notes] = await Promise.all([this.getBookmarks(), this.getNotes()]);
+        return {
+            version: BOOKMARK_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            bookmarks,
+            notes: notes.map(({ id, ...note }) => note)
+        };
+    }
+
+    // 書き出したデータを今のデータに加える（同じ資料のブックマーク・同じ内容のメモは重複させない）
+    // 戻り値: { bookmarks: 追加した件数, notes: 追加した件数, skipped: 不正な項目の数 }
+    async importData(data) {
+        const { valid, value, errors, warnings } = DataSchema.validate('bookmarks', data);
+        if (!valid) {
+            throw new Error(`ブックマークのファイルとして読み込めません: ${errors[0]}`);
+        }
+
+        const [existingBookmarks, existingNotes] = await Promise.all([this.getBookmarks(), this.getNotes()]);
+        const bookmarkKeys = new Set(existingBookmarks.map(bookmark => bookmark.key));
+        const noteKey = note => JSON.stringify([note.doc.key, note.text, note.quote || null, note.createdAt || '']);
+        const seen = new Set(existingNotes.map(noteKey));
+
+        let bookmarks = 0;
+        let notes = 0;
+        await this.transaction(['bookmarks', 'notes'], 'readwrite', (bookmarkObjects, noteObjects) => {
+            // 既にある資料のブックマークはそのまま（add のエラーはトランザクションを中断させるため、先に除く）
+            for (const bookmark of value.bookmarks) {
+                if (bookmarkKeys.has(bookmark.key)) continue;
+                bookmarkKeys.add(bookmark.key);
+                bookmarkObjects.add(bookmark);
+                bookmarks++;
+            }
+            for (const { id, ...note } of value.notes) {
+                const key = noteKey(note);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                noteObjects.add({ quote: null, ...note });
+                notes++;
+            }
+        });
+
+        return { bookmarks, notes, skipped: warnings.length };
+    }
+}
+
+// グローバルインスタンス
+const bookmarkStore = new BookmarkStore();
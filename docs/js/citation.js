@@ -0,0 +1,222 @@
+// ========================================
+// 条文の引用（保安基準 第17条の2 第3項 など）
+// ========================================
+// 文書ID（H###・S###・B### と -n の枝番）と引用表記を相互に変換する。
+
+(function (root) {
+    'use strict';
+
+    const TextNormalizer = typeof module !== 'undefined' && module.exports
+        ? require('./normalizer.js')
+        : root.TextNormalizer;
+
+    // 文書IDのプレフィックスと文書の種類（formalName は報告書などに書く正式な名称）
+    const DOCUMENT_TYPES = {
+        H: { label: '保安基準', formalName: '道路運送車両の保安基準', category: 'standards', unit: '条' },
+        S: { label: '細目告示', formalName: '道路運送車両の保安基準の細目を定める告示', category: 'details', unit: '条' },
+        B: { label: '別添', formalName: '道路運送車両の保安基準の細目を定める告示 別添', category: 'appendices', unit: '' }
+    };
+
+    // 引用表記での文書名（正規化後）→ プレフィックス
+    const DOCUMENT_NAMES = [
+        { pattern: '道路運送車両の保安基準の細目を定める告示', prefix: 'S' },
+        { pattern: '道路運送車両の保安基準', prefix: 'H' },
+        { pattern: '保安基準の細目を定める告示', prefix: 'S' },
+        { pattern: '保安基準', prefix: 'H' },
+        { pattern: '細目告示', prefix: 'S' },
+        { pattern: '細目', prefix: 'S' },
+        { pattern: '告示', prefix: 'S' }
+    ];
+
+    const ID_PATTERN = /^([HSB])(\d+)(?:-(\d+))?$/i;
+    // 検索クエリを文書IDとみなす形（大文字・3桁の番号。h4 や S4 のような語は通常の検索語として扱う）
+    const QUERY_ID_PATTERN = /^[HSB]\d{3}(?:-\d+)?$/;
+    const ARTICLE_PATTERN = /^第?(\d+)条(?:の(\d+))?(?:第?(\d+)項)?(?:第?(\d+)号)?$/;
+    const APPENDIX_PATTERN = /^別添(\d+)(?:[-の](\d+))?$/;
+
+    const FULL_WIDTH_DIGITS = '０１２３４５６７８９';
+    const KANJI_DIGITS = '〇一二三四五六七八九';
+
+    class CitationParser {
+        // 文書IDを分解（例: H017-2 → { prefix: 'H', number: 17, branch: 2 }）
+        static parseId(id) {
+            const match = (id || '').match(ID_PATTERN);
+            if (!match) return null;
+            return {
+                prefix: match[1].toUpperCase(),
+                number: parseInt(match[2], 10),
+                branch: match[3] ? parseInt(match[3], 10) : null
+            };
+        }
+
+        // 番号から文書IDを作る（例: H, 17, 2 → H017-2）
+        static toId(prefix, number, branch = null) {
+            const base = `${prefix}${String(number).padStart(3, '0')}`;
+            return branch ? `${base}-${branch}` : base;
+        }
+
+        // 文書IDを分かりやすい表示名に変換
+        static formatDisplayName(id) {
+            const match = (id || '').match(/^([A-Z])(\d+)(-\d+)?$/);
+            if (!match) {
+                return id; // パターンに一致しない場合はそのまま返す
+            }
+
+            const prefix = match[1];
+            const number = parseInt(match[2], 10);
+            const suffix = match[3] || '';
+
+            // プレフィックスに応じて表示名を生成
+            switch (prefix) {
+                case 'S':
+                    return `細目告示 第${number}条${suffix}`;
+                case 'B':
+                    return `別添${number}${suffix}`;
+                case 'H':
+                    return `保安基準 第${number}条${suffix}`;
+                default:
+                    return id;
+            }
+        }
+
+        // 検索クエリを引用表記として解釈（引用でなければ null）
+        static parse(query) {
+            const raw = (query || '').trim();
+            if (raw.length === 0) return null;
+
+            // 括弧・引用符で囲んだもの（「保安基準第4条」、閉じていない "細目告示第42条 など）も引用表記とみなす
+            const text = TextNormalizer.normalize(raw).replace(/^[「『"(]+|[」』")]+$/g, '');
+
+            // 文書IDそのもの（H017-2、S041、B005）
+            const idParts = QUERY_ID_PATTERN.test(raw.normalize('NFKC')) ? CitationParser.parseId(text) : null;
+            if (idParts) {
+                return CitationParser.createCitation(idParts.prefix, idParts.number, idParts.branch);
+            }
+
+            const appendix = text.match(APPENDIX_PATTERN);
+            if (appendix) {
+                return CitationParser.createCitation(
+                    'B',
+                    parseInt(appendix[1], 10),
+                    appendix[2] ? parseInt(appendix[2], 10) : null
+                );
+            }
+
+            for (const { pattern, prefix } of DOCUMENT_NAMES) {
+                const name = TextNormalizer.normalize(pattern);
+                if (!text.startsWith(name)) continue;
+
+                const article = text.slice(name.length).match(ARTICLE_PATTERN);
+                if (!article) return null;
+
+                return CitationParser.createCitation(
+                    prefix,
+                    parseInt(article[1], 10),
+                    article[2] ? parseInt(article[2], 10) : null,
+                    article[3] ? parseInt(article[3], 10) : null,
+                    article[4] ? parseInt(article[4], 10) : null
+                );
+            }
+
+            return null;
+        }
+
+        static createCitation(prefix, number, branch = null, paragraph = null, item = null) {
+            const type = DOCUMENT_TYPES[prefix];
+            return {
+                prefix,
+                number,
+                branch,
+                paragraph,
+                item,
+                id: CitationParser.toId(prefix, number, branch),
+                category: type.category,
+                label: CitationParser.formatCitation({ prefix, number, branch, paragraph, item })
+            };
+        }
+
+        // 引用表記（例: 保安基準 第17条の2 第3項）
+        static formatCitation({ prefix, number, branch, paragraph, item }) {
+            const type = DOCUMENT_TYPES[prefix];
+            if (prefix === 'B') {
+                return `${type.label}${number}${branch ? `-${branch}` : ''}`;
+            }
+
+            let label = `${type.label} 第${number}${type.unit}${branch ? `の${branch}` : ''}`;
+            if (paragraph) label += ` 第${paragraph}項`;
+            if (item) label += ` 第${item}号`;
+            return label;
+        }
+
+        // 正式な名称と改正日を付けた引用表記（例: 道路運送車両の保安基準 第17条の2 第3項（2020.3.31））
+        static formatFormalCitation({ prefix, number, branch, paragraph, item }, revisionDate = null) {
+            const type = DOCUMENT_TYPES[prefix];
+            let label = prefix === 'B'
+                ? `${type.formalName}${number}${branch ? `-${branch}` : ''}`
+                : `${type.formalName} 第${number}${type.unit}${branch ? `の${branch}` : ''}`;
+            if (prefix !== 'B' && paragraph) label += ` 第${paragraph}項`;
+            if (prefix !== 'B' && item) label += ` 第${item}号`;
+
+            const date = (revisionDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            if (date) {
+                label += `（${date.slice(1).map(part => parseInt(part, 10)).join('.')}）`;
+            }
+            return label;
+        }
+
+        // 本文中の項・号の範囲を探す（見つからなければ null）
+        static findParagraphRange(content, paragraph, item = null) {
+            if (!content || (!paragraph && !item)) return null;
+            paragraph = paragraph || 1; // 項の指定が無い号は第1項の中を探す
+
+            let start;
+            if (paragraph === 1) {
+                // 第1項は「第N条 」で始まる行から第2項の手前まで
+                const first = content.match(/^第\s*\d+\s*条(?:の\s*\d+)?[ 　]/m);
+                start = first ? first.index : 0;
+            } else {
+                const heading = content.match(new RegExp(`^${CitationParser.toFullWidth(paragraph)}[ 　]`, 'm'));
+                if (!heading) return null;
+                start = heading.index;
+            }
+
+            const nextParagraph = new RegExp(`^${CitationParser.toFullWidth(paragraph + 1)}[ 　]`, 'm');
+            const next = content.slice(start + 1).match(nextParagraph);
+            const end = next ? start + 1 + next.index : content.length;
+
+            if (item) {
+                const section = content.slice(start, end);
+                const itemHeading = section.match(new RegExp(`^${CitationParser.toKanji(item)}[ 　]`, 'm'));
+                if (!itemHeading) return { start, end };
+
+                const itemStart = start + itemHeading.index;
+                const nextItem = content.slice(itemStart + 1, end)
+                    .match(new RegExp(`^${CitationParser.toKanji(item + 1)}[ 　]`, 'm'));
+                return { start: itemStart, end: nextItem ? itemStart + 1 + nextItem.index : end };
+            }
+
+            return { start, end };
+        }
+
+        // 項番号の表記（全角数字）
+        static toFullWidth(number) {
+            return String(number).split('').map(d => FULL_WIDTH_DIGITS[d]).join('');
+        }
+
+        // 号番号の表記（漢数字）
+        static toKanji(number) {
+            if (number < 10) return KANJI_DIGITS[number];
+            const tens = Math.floor(number / 10);
+            const ones = number % 10;
+            return `${tens > 1 ? KANJI_DIGITS[tens] : ''}十${ones > 0 ? KANJI_DIGITS[ones] : ''}`;
+        }
+    }
+
+    CitationParser.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CitationParser;
+    } else {
+        root.CitationParser = CitationParser;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,138 @@
+// ========================================
+// 検索語の入力補完
+// ========================================
+// 同義語辞書・資料のキーワードとタイトルから補完候補の語を、
+// 文書ID・表示名（細目告示 第4条 など）・タイトルから補完候補の資料を作る。
+// 入力の先頭から一致するものを優先し、同じ一致の仕方なら多くの資料に出てくる語を上に並べる。
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const TextNormalizer = isNode ? require('./normalizer.js') : root.TextNormalizer;
+    const CitationParser = isNode ? require('./citation.js') : root.CitationParser;
+
+    // 語の出どころごとの重み（その語を持つ資料1件ごとに加算）
+    const SOURCE_WEIGHTS = {
+        synonym: 3,
+        keyword: 2,
+        title: 1
+    };
+
+    // 一致の仕方の順位（小さいほど上）
+    const MATCH_RANK = { prefix: 0, substring: 1 };
+
+    class CompletionIndex {
+        constructor() {
+            this.terms = new Map();
+            this.documents = [];
+        }
+
+        // 検索対象の文書（SearchIndex.collectDocuments の結果）・同義語辞書の組（SynonymDictionary の entries）・PDFメタデータから作る
+        static fromData({ documents = [], synonyms = [], pdfMetadata = {} } = {}) {
+            const index = new CompletionIndex();
+
+            for (const { term, aliases } of synonyms) {
+                for (const word of [term, ...aliases]) index.addTerm(word, SOURCE_WEIGHTS.synonym);
+            }
+
+            const metadataTitles = new Map();
+            for (const meta of [...(pdfMetadata.details || []), ...(pdfMetadata.appendices || [])]) {
+                for (const keyword of meta.keywords || []) index.addTerm(keyword, SOURCE_WEIGHTS.keyword);
+                if (meta.title) metadataTitles.set(meta.id, meta.title);
+            }
+
+            for (const doc of documents) {
+                if (doc.kind !== 'pdf') continue;
+
+                for (const keyword of doc.pdf.keywords || []) index.addTerm(keyword, SOURCE_WEIGHTS.keyword);
+
+                const title = metadataTitles.get(doc.pdf.id) || CompletionIndex.extractTitle(doc.pdf.title);
+                if (title) index.addTerm(title, SOURCE_WEIGHTS.title);
+
+                index.addDocument(doc.pdf.id, title);
+            }
+
+            return index;
+        }
+
+        // 本文から抽出したタイトルは「（燃料の規格）」のような見出しのみ使う（括弧を外す）
+        // それ以外（本文の途中が入ったものなど）は補完に使わない
+        static extractTitle(text) {
+            const match = (text || '').trim().match(/^[（(]([^（）()]+)[）)]$/);
+            return match ? match[1] : '';
+        }
+
+        addTerm(text, weight) {
+            const normalized = TextNormalizer.normalize(text);
+            if (normalized.length === 0) return;
+
+            const entry = this.terms.get(normalized);
+            if (entry) {
+                entry.weight += weight;
+            } else {
+                this.terms.set(normalized, { text, normalized, weight });
+            }
+        }
+
+        addDocument(id, title) {
+            const displayName = CitationParser.formatDisplayName(id);
+            this.documents.push({
+                id,
+                displayName,
+                title,
+                label: title ? `${displayName} ${title}` : displayName,
+                keys: [displayName, id, title].filter(Boolean).map(key => TextNormalizer.normalize(key))
+            });
+        }
+
+        // 入力に対する補完候補: { terms: [{ text }], documents: [{ id, displayName, title, label }] }
+        complete(input, { termLimit = 6, documentLimit = 4 } = {}) {
+            const query = TextNormalizer.normalize(input || '');
+            if (query.length === 0) return { terms: [], documents: [] };
+
+            const terms = [];
+            for (const entry of this.terms.values()) {
+                const match = CompletionIndex.matchType(entry.normalized, query);
+                // 入力と同じ語は補完する意味が無いので除く
+                if (match && entry.normalized !== query) terms.push({ entry, match });
+            }
+            terms.sort((a, b) =>
+                MATCH_RANK[a.match] - MATCH_RANK[b.match] ||
+                b.entry.weight - a.entry.weight ||
+                a.entry.normalized.length - b.entry.normalized.length
+            );
+
+            const documents = [];
+            for (const doc of this.documents) {
+                const matches = doc.keys.map(key => CompletionIndex.matchType(key, query)).filter(Boolean);
+                if (matches.length > 0) {
+                    documents.push({ doc, rank: Math.min(...matches.map(match => MATCH_RANK[match])) });
+                }
+            }
+            documents.sort((a, b) => a.rank - b.rank || a.doc.displayName.length - b.doc.displayName.length);
+
+            return {
+                terms: terms.slice(0, termLimit).map(({ entry }) => ({ text: entry.text })),
+                documents: documents.slice(0, documentLimit).map(({ doc }) => ({
+                    id: doc.id,
+                    displayName: doc.displayName,
+                    title: doc.title,
+                    label: doc.label
+                }))
+            };
+        }
+
+        static matchType(text, query) {
+            if (text.startsWith(query)) return 'prefix';
+            if (text.includes(query)) return 'substring';
+            return null;
+        }
+    }
+
+    if (isNode) {
+        module.exports = CompletionIndex;
+    } else {
+        root.CompletionIndex = CompletionIndex;
+    }
+})(typeof self !== 'undefined' ? self : this);
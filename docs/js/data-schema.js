@@ -0,0 +1,269 @@
+// ========================================
+// データファイルの形式チェック
+// ========================================
+// data/*.json と、ブックマークの書き出しファイルなどの構造を検証する。配列の要素単位で壊れているものは除外し、
+// 残りのデータで動作できるようにする（ファイル全体が不正な場合のみ読み込み失敗）。
+// ブラウザ（<script>）と Node（tools/）の両方から読み込める。
+
+(function (root) {
+    'use strict';
+
+    // スキーマの書き方（JSON Schema のごく一部）
+    //   type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'
+    //   required: 必須プロパティ名の配列（object）
+    //   properties: プロパティごとのスキーマ（object、未定義のプロパティは許可）
+    //   values: properties に無いプロパティの値に適用するスキーマ（object を辞書として使う場合）
+    //   items: 要素のスキーマ（array）
+    //   dropInvalid: true なら不正な要素を除外して続行（array）
+    //   nullable: true なら null も許可
+
+    const ARTICLE = {
+        type: 'object',
+        required: ['articleNumber', 'content'],
+        properties: {
+            articleNumber: { type: 'string' },
+            title: { type: 'string' },
+            content: { type: 'string' },
+            paragraphs: { type: 'array' }
+        }
+    };
+
+    const LAW = {
+        type: 'object',
+        required: ['lawId', 'lawName', 'lawType', 'articles'],
+        properties: {
+            lawId: { type: 'string' },
+            lawName: { type: 'string' },
+            lawType: { type: 'string' },
+            articles: { type: 'array', items: ARTICLE, dropInvalid: true }
+        }
+    };
+
+    // 過去の版（改正前の本文）。revisionDate（YYYY-MM-DD）が無ければ本文の【改正日】を使う
+    const PDF_VERSION = {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            revisionDate: { type: 'string', nullable: true },
+            title: { type: 'string' },
+            content: { type: 'string' }
+        }
+    };
+
+    const PDF_DOCUMENT = {
+        type: 'object',
+        required: ['id', 'title', 'content'],
+        properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            content: { type: 'string' },
+            keywords: { type: 'array', items: { type: 'string' } },
+            fullTextLength: { type: 'integer' },
+            versions: { type: 'array', items: PDF_VERSION, dropInvalid: true }
+        }
+    };
+
+    const PDF_LIST = { type: 'array', items: PDF_DOCUMENT, dropInvalid: true };
+
+    const PDF_META = {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            keywords: { type: 'array', items: { type: 'string' } },
+            url: { type: 'string', nullable: true }
+        }
+    };
+
+    const PDF_META_LIST = { type: 'array', items: PDF_META, dropInvalid: true };
+
+    // 同義語の組（synonyms.js の SynonymDictionary を参照）
+    const SYNONYM = {
+        type: 'object',
+        required: ['term', 'aliases'],
+        properties: {
+            term: { type: 'string' },
+            aliases: { type: 'array', items: { type: 'string' } },
+            weight: { type: 'number' },
+            match: { type: 'string' },
+            scope: { type: 'array', items: { type: 'string' }, nullable: true }
+        }
+    };
+
+    // ブックマーク・メモの対象の資料（bookmarks.js の BookmarkStore.describe）
+    const BOOKMARK_DOCUMENT = {
+        type: 'object',
+        required: ['key', 'kind', 'id'],
+        properties: {
+            key: { type: 'string' },
+            kind: { type: 'string' },
+            id: { type: 'string' },
+            displayName: { type: 'string' },
+            title: { type: 'string' }
+        }
+    };
+
+    const BOOKMARK = {
+        ...BOOKMARK_DOCUMENT,
+        properties: { ...BOOKMARK_DOCUMENT.properties, createdAt: { type: 'string' } }
+    };
+
+    const NOTE = {
+        type: 'object',
+        required: ['doc', 'text'],
+        properties: {
+            doc: BOOKMARK_DOCUMENT,
+            text: { type: 'string' },
+            quote: { type: 'string', nullable: true },
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    };
+
+    const SCHEMAS = {
+        laws: {
+            type: 'object',
+            required: ['laws'],
+            properties: {
+                laws: { type: 'array', items: LAW, dropInvalid: true }
+            }
+        },
+        // { version: 2, entries: [...] }（以前の { 見出し語: [別名, ...] } の形も読める）
+        synonyms: {
+            type: 'object',
+            properties: {
+                version: { type: 'integer' },
+                entries: { type: 'array', items: SYNONYM, dropInvalid: true }
+            },
+            values: { type: 'array', items: { type: 'string' } }
+        },
+        // tools/ingest-pdfs.js で資料に加えるキーワード（文書ID → キーワード）
+        keywords: {
+            type: 'object',
+            values: { type: 'array', items: { type: 'string' } }
+        },
+        pdfMetadata: {
+            type: 'object',
+            properties: {
+                details: PDF_META_LIST,
+                appendices: PDF_META_LIST
+            }
+        },
+        pdfContent: {
+            type: 'object',
+            properties: {
+                version: { type: 'string', nullable: true },
+                lastUpdated: { type: 'string', nullable: true },
+                standards: PDF_LIST,
+                details: PDF_LIST,
+                appendices: PDF_LIST,
+                other: PDF_LIST
+            }
+        },
+        bookmarks: {
+            type: 'object',
+            required: ['bookmarks', 'notes'],
+            properties: {
+                version: { type: 'integer' },
+                bookmarks: { type: 'array', items: BOOKMARK, dropInvalid: true },
+                notes: { type: 'array', items: NOTE, dropInvalid: true }
+            }
+        }
+    };
+
+    class DataSchema {
+        // データを検証し、不正な要素を除いたデータを返す
+        // 戻り値: { valid, value, errors（ファイル全体を使えない理由）, warnings（除外した要素ごとに1件） }
+        static validate(name, data) {
+            const schema = SCHEMAS[name];
+            if (!schema) {
+                throw new Error(`未知のデータ種別です: ${name}`);
+            }
+
+            const errors = [];
+            const warnings = [];
+            const value = DataSchema.check(data, schema, '$', errors, warnings);
+            return { valid: errors.length === 0, value, errors, warnings };
+        }
+
+        // 値を検証（不正なら errors に追加）し、除外処理後の値を返す
+        static check(value, schema, path, errors, warnings) {
+            if (value === null && schema.nullable) return value;
+
+            if (!DataSchema.matchesType(value, schema.type)) {
+                errors.push(`${path}: ${schema.type} であるべきところが ${DataSchema.typeOf(value)} です`);
+                return value;
+            }
+
+            if (schema.type === 'object') {
+                for (const key of schema.required || []) {
+                    if (!(key in value)) {
+                        errors.push(`${path}.${key}: 必須の項目がありません`);
+                    }
+                }
+
+                const result = { ...value };
+                for (const [key, child] of Object.entries(value)) {
+                    const childSchema = (schema.properties && schema.properties[key]) || schema.values;
+                    if (childSchema) {
+                        result[key] = DataSchema.check(child, childSchema, `${path}.${key}`, errors, warnings);
+                    }
+                }
+                return result;
+            }
+
+            if (schema.type === 'array' && schema.items) {
+                const result = [];
+                value.forEach((item, i) => {
+                    const itemPath = `${path}[${i}]`;
+                    if (!schema.dropInvalid) {
+                        result.push(DataSchema.check(item, schema.items, itemPath, errors, warnings));
+                        return;
+                    }
+
+                    // 要素単位で検証し、不正な要素は警告にして除外
+                    const itemErrors = [];
+                    const checked = DataSchema.check(item, schema.items, itemPath, itemErrors, warnings);
+                    if (itemErrors.length > 0) {
+                        warnings.push(itemErrors[0]);
+                    } else {
+                        result.push(checked);
+                    }
+                });
+                return result;
+            }
+
+            return value;
+        }
+
+        static matchesType(value, type) {
+            switch (type) {
+                case 'object':
+                    return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'array':
+                    return Array.isArray(value);
+                case 'integer':
+                    return Number.isInteger(value);
+                case 'number':
+                    return typeof value === 'number' && Number.isFinite(value);
+                default:
+                    return typeof value === type;
+            }
+        }
+
+        static typeOf(value) {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            return typeof value;
+        }
+    }
+
+    DataSchema.SCHEMAS = SCHEMAS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DataSchema;
+    } else {
+        root.DataSchema = DataSchema;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,124 @@
+// ========================================
+// 検索結果の書き出し（CSV・Markdown）と引用表記
+// ========================================
+// 検索結果の一覧を、報告書に添付できる CSV・Markdown の表にする（すべてブラウザ内で作る）。
+// CSV は Excel で文字化けしないよう BOM 付きの UTF-8・CRLF 改行にする。
+
+(function (root) {
+    'use strict';
+
+    const CitationParser = typeof module !== 'undefined' && module.exports
+        ? require('./citation.js')
+        : root.CitationParser;
+
+    // 書き出す列（key は toRows の項目）
+    const COLUMNS = [
+        { key: 'displayName', label: '表示名' },
+        { key: 'title', label: '題名' },
+        { key: 'type', label: '種類' },
+        { key: 'revisionDate', label: '改正日' },
+        { key: 'score', label: 'スコア' },
+        { key: 'url', label: 'URL' },
+        { key: 'snippet', label: '抜粋' }
+    ];
+
+    // 抜粋の最大文字数
+    const SNIPPET_LENGTH = 200;
+
+    // 表計算ソフトで数式として扱われる先頭の文字（セルの先頭に ' を付けて文字列にする）
+    const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    class ResultExporter {
+        // 検索結果を書き出す行にする: [{ displayName, title, type, revisionDate, score, url, snippet }]
+        static toRows(results) {
+            return results.map(result => {
+                const isArticle = result.kind === 'article';
+                const passage = result.passages && result.passages[0];
+                return {
+                    displayName: isArticle ? `${result.lawName} ${result.articleNumber}` : (result.displayName || result.id),
+                    title: result.title || '',
+                    type: isArticle ? result.lawType : (result.typeLabel || ''),
+                    revisionDate: result.revisionDate || '',
+                    score: typeof result.score === 'number' ? result.score.toFixed(2) : '',
+                    url: result.url || '',
+                    snippet: ResultExporter.toSnippet(passage ? passage.preview : result.content)
+                };
+            });
+        }
+
+        // 改行・連続する空白を1つの空白にし、長いものは切り詰める
+        // （PDF の行の途中での改行は、前後が全角文字ならそのままつなげる）
+        static toSnippet(text) {
+            const snippet = (text || '')
+                .replace(/([^\x00-\x7F])[ \t]*\n\s*(?=[^\x00-\x7F])/g, '$1')
+                .replace(/\s+/g, ' ')
+                .trim();
+            return snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH)}…` : snippet;
+        }
+
+        static toCsv(results) {
+            const quote = value => {
+                let cell = String(value);
+                if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+                return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+            };
+
+            const lines = [COLUMNS.map(column => quote(column.label)).join(',')];
+            for (const row of ResultExporter.toRows(results)) {
+                lines.push(COLUMNS.map(column => quote(row[column.key])).join(','));
+            }
+            return '\uFEFF' + lines.join('\r\n') + '\r\n';
+        }
+
+        // Markdown の表（表示名は URL があればリンクにする）
+        //   title: 見出し（検索語など）、exportedAt: 書き出した日時
+        static toMarkdown(results, { title = '検索結果', exportedAt = new Date() } = {}) {
+            const cell = value => String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+            const columns = COLUMNS.filter(column => column.key !== 'url');
+
+            const lines = [
+                `# ${cell(title)}`,
+                '',
+                `${results.length}件（${exportedAt.toLocaleString('ja-JP')} 書き出し）`,
+                '',
+                `| ${columns.map(column => column.label).join(' | ')} |`,
+                `| ${columns.map(() => '---').join(' | ')} |`
+            ];
+            for (const row of ResultExporter.toRows(results)) {
+                lines.push(`| ${columns.map(column => {
+                    if (column.key === 'displayName' && row.url) {
+                        return `[${cell(row.displayName).replace(/[[\]]/g, '\\$&')}](${row.url.replace(/[()]/g, encodeURIComponent)})`;
+                    }
+                    return cell(row[column.key]);
+                }).join(' | ')} |`);
+            }
+            return lines.join('\n') + '\n';
+        }
+
+        // 報告書に書く引用表記（例: 道路運送車両の保安基準 第17条の2（2020.3.31）、道路運送車両法 第41条）
+        // 引用表記で開いた資料は項・号まで含める
+        static formatCitation(result) {
+            if (result.kind === 'article') {
+                return `${result.lawName} ${result.articleNumber}`;
+            }
+
+            const parsed = CitationParser.parseId(result.id);
+            if (!parsed) {
+                return `${result.displayName || result.id} ${result.title || ''}`.trim();
+            }
+            const citation = result.citation || {};
+            return CitationParser.formatFormalCitation(
+                { ...parsed, paragraph: citation.paragraph || null, item: citation.item || null },
+                result.revisionDate
+            );
+        }
+    }
+
+    ResultExporter.COLUMNS = COLUMNS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ResultExporter;
+    } else {
+        root.ResultExporter = ResultExporter;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,68 @@
+// ========================================
+// 検索結果の絞り込み（ファセット）
+// ========================================
+// 検索結果を資料の種類・キーワード・改正年で絞り込み、値ごとの件数を数える。
+// 同じ項目の中で複数選んだ値はいずれかに一致（OR）、項目どうしはすべてに一致（AND）で絞り込む。
+// 件数は、その項目以外の絞り込みをかけた結果から数える（選んでいない値を追加したときの件数が分かるように）。
+
+(function (root) {
+    'use strict';
+
+    // 絞り込みの項目（key は検索条件・URLのパラメータ名、order は値の並び順）
+    const FACETS = [
+        { key: 'type', label: '資料の種類', order: 'count' },
+        { key: 'keyword', label: 'キーワード', order: 'count' },
+        { key: 'year', label: '改正年', order: 'value-desc' }
+    ];
+
+    class FacetCounter {
+        // 値（{ type: [...], keyword: [...], year: [...] }）が選ばれた条件に合うか（exceptKey の項目は見ない）
+        static matches(values, selection = {}, exceptKey = null) {
+            return FACETS.every(({ key }) => {
+                const selected = selection[key] || [];
+                if (key === exceptKey || selected.length === 0) return true;
+                return (values[key] || []).some(value => selected.includes(value));
+            });
+        }
+
+        // 項目ごとの値と件数: { type: [{ value, count, selected }], ... }
+        // 選ばれた値は、件数が0でも一覧に残す（選択を外せるように）
+        static count(entries, getValues, selection = {}) {
+            const facets = {};
+            for (const { key, order } of FACETS) {
+                const counts = new Map();
+                for (const entry of entries) {
+                    const values = getValues(entry);
+                    if (!FacetCounter.matches(values, selection, key)) continue;
+                    for (const value of values[key] || []) {
+                        counts.set(value, (counts.get(value) || 0) + 1);
+                    }
+                }
+
+                const selected = selection[key] || [];
+                for (const value of selected) {
+                    if (!counts.has(value)) counts.set(value, 0);
+                }
+
+                facets[key] = Array.from(counts, ([value, count]) => ({ value, count, selected: selected.includes(value) }))
+                    .sort(order === 'value-desc'
+                        ? (a, b) => b.value.localeCompare(a.value)
+                        : (a, b) => b.count - a.count || a.value.localeCompare(b.value, 'ja'));
+            }
+            return facets;
+        }
+
+        // 何も選んでいない絞り込み条件
+        static emptySelection() {
+            return Object.fromEntries(FACETS.map(({ key }) => [key, []]));
+        }
+    }
+
+    FacetCounter.FACETS = FACETS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FacetCounter;
+    } else {
+        root.FacetCounter = FacetCounter;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,177 @@
+// ========================================
+// 日本語テキストの正規化
+// ========================================
+// 索引対象のテキスト・検索クエリ・ハイライトで同じ規則を使い、
+// 表記ゆれ（全角/半角、小書きかな、長音、漢数字、PDF抽出時の空白）を吸収する。
+// 正規化後の各文字が元テキストのどこに対応するか（オフセット）も返す。
+
+(function (root) {
+    'use strict';
+
+    // 直前の文字と結合する濁点・半濁点（半角・結合文字）
+    const COMBINING_MARKS = /[\uFF9E\uFF9F\u3099\u309A]/;
+
+    // 小書きかな → 通常のかな
+    const SMALL_KANA = {
+        'ぁ': 'あ', 'ぃ': 'い', 'ぅ': 'う', 'ぇ': 'え', 'ぉ': 'お',
+        'っ': 'つ', 'ゃ': 'や', 'ゅ': 'ゆ', 'ょ': 'よ', 'ゎ': 'わ',
+        'ァ': 'ア', 'ィ': 'イ', 'ゥ': 'ウ', 'ェ': 'エ', 'ォ': 'オ',
+        'ッ': 'ツ', 'ャ': 'ヤ', 'ュ': 'ユ', 'ョ': 'ヨ', 'ヮ': 'ワ',
+        'ヵ': 'カ', 'ヶ': 'ケ'
+    };
+
+    // ダッシュ類 → ハイフン
+    const DASHES = /[\u2010-\u2015\u2212]/;
+
+    const KANJI_DIGITS = {
+        '〇': 0, '一': 1, '二': 2, '三': 3, '四': 4,
+        '五': 5, '六': 6, '七': 7, '八': 8, '九': 9
+    };
+    const KANJI_UNITS = { '十': 10, '百': 100, '千': 1000 };
+    const KANJI_NUMERAL = /[〇一二三四五六七八九十百千]/;
+
+    // 漢数字を数として読む文脈（一般・統一・一部 などの語の中の漢数字はそのまま残す）
+    // 漢数字だけの語のほかは、直後が条・項・号・年・月・日か助数詞、または直前が「第」「条の」など
+    const NUMERIC_SUFFIXES = ['条', '項', '号', '年', '月', '日', '個', '人', '名', '回', '台', '輪', '本', '枚', '割', '歳', '倍', '級', '軸', 'か月', 'カ月', 'ケ月', '以上', '以下', '未満'];
+    const NUMERIC_PREFIX = /(?:第|[条項号]の)$/;
+    // 語を作る文字（前後がこれ以外なら、漢数字だけで1つの語）
+    const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+    const KATAKANA = /[ァ-ヺ]/;
+    const ASCII_WORD = /[a-z0-9]/;
+
+    class TextNormalizer {
+        // 正規化後のテキストのみを返す
+        static normalize(text) {
+            return TextNormalizer.normalizeWithOffsets(text).text;
+        }
+
+        // 正規化後のテキストと、各文字に対応する元テキストの範囲 [starts[i], ends[i]) を返す
+        static normalizeWithOffsets(text) {
+            const chars = TextNormalizer.foldCharacters(text || '');
+            const output = [];
+            const starts = [];
+            const ends = [];
+            const push = (char, start, end) => {
+                output.push(char);
+                starts.push(start);
+                ends.push(end);
+            };
+
+            for (let i = 0; i < chars.length; i++) {
+                const { char, start, end } = chars[i];
+
+                // 空白の連続: 英数字同士の間だけ半角スペース1つに、それ以外（改行・和文中の空白）は除去
+                if (/\s/.test(char)) {
+                    let next = i;
+                    while (next < chars.length && /\s/.test(chars[next].char)) next++;
+                    const previousChar = output.length > 0 ? output[output.length - 1] : '';
+                    const nextChar = next < chars.length ? chars[next].char : '';
+                    if (ASCII_WORD.test(previousChar) && ASCII_WORD.test(nextChar)) {
+                        push(' ', start, chars[next - 1].end);
+                    }
+                    i = next - 1;
+                    continue;
+                }
+
+                // カタカナの後の長音記号は除去（「モーター」と「モータ」を同一視）し、直前の文字の範囲に含める
+                if (char === 'ー' && output.length > 0 && KATAKANA.test(output[output.length - 1])) {
+                    ends[ends.length - 1] = end;
+                    continue;
+                }
+
+                // 数を表す漢数字の連続 → 算用数字
+                if (KANJI_NUMERAL.test(char)) {
+                    let next = i;
+                    while (next < chars.length && KANJI_NUMERAL.test(chars[next].char)) next++;
+                    if (!TextNormalizer.isNumericContext(chars, i, next, output)) {
+                        for (let j = i; j < next; j++) push(chars[j].char, chars[j].start, chars[j].end);
+                        i = next - 1;
+                        continue;
+                    }
+                    const run = chars.slice(i, next).map(c => c.char).join('');
+                    const runEnd = chars[next - 1].end;
+                    for (const digit of TextNormalizer.kanjiToArabic(run)) {
+                        push(digit, start, runEnd);
+                    }
+                    i = next - 1;
+                    continue;
+                }
+
+                push(char, start, end);
+            }
+
+            return { text: output.join(''), starts, ends };
+        }
+
+        // chars[start, end) の漢数字が数を表すか（output はそこまでの正規化後の文字）
+        // 漢数字だけの語（検索語の「十七」、号の番号の「一 」など）は常に数とみなし、
+        // 前後に文字が続く場合（一般・統一など）だけ、条・項・号や助数詞などの文脈で判断する
+        static isNumericContext(chars, start, end, output) {
+            const isWordChar = index => index >= 0 && index < chars.length && WORD_CHAR.test(chars[index].char);
+            if (!isWordChar(start - 1) && !isWordChar(end)) return true;
+
+            if (NUMERIC_PREFIX.test(output.slice(-2).join(''))) return true;
+
+            const following = chars.slice(end, end + 2).map(c => c.char).join('');
+            return NUMERIC_SUFFIXES.some(suffix => following.startsWith(suffix));
+        }
+
+        // 1文字（結合文字を含む）単位で NFKC・小文字化・小書きかなとダッシュの統一を行う
+        static foldCharacters(text) {
+            const chars = [];
+            let i = 0;
+
+            while (i < text.length) {
+                let end = i + 1;
+                const code = text.charCodeAt(i);
+                if (code >= 0xD800 && code <= 0xDBFF && end < text.length) end++;
+                while (end < text.length && COMBINING_MARKS.test(text[end])) end++;
+
+                const unit = text.slice(i, end).normalize('NFKC').toLowerCase();
+                for (const c of unit) {
+                    if (COMBINING_MARKS.test(c)) continue;
+                    let char = SMALL_KANA[c] || c;
+                    if (DASHES.test(char)) char = '-';
+                    chars.push({ char, start: i, end });
+                }
+                i = end;
+            }
+
+            return chars;
+        }
+
+        // 漢数字の列を算用数字の文字列に変換（例: 十七→17、二〇二二→2022、千二百→1200）
+        static kanjiToArabic(run) {
+            if (!/[十百千]/.test(run)) {
+                return run.split('').map(c => KANJI_DIGITS[c]).join('');
+            }
+
+            let total = 0;
+            let current = 0;
+            for (const c of run) {
+                if (c in KANJI_UNITS) {
+                    total += (current || 1) * KANJI_UNITS[c];
+                    current = 0;
+                } else {
+                    current = current * 10 + KANJI_DIGITS[c];
+                }
+            }
+            return String(total + current);
+        }
+
+        // 正規化後の範囲 [start, end) を元テキストの範囲に戻す
+        static toOriginalRange(offsets, start, end) {
+            return {
+                start: offsets.starts[start],
+                end: offsets.ends[end - 1]
+            };
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TextNormalizer;
+    } else {
+        root.TextNormalizer = TextNormalizer;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,119 @@
+// ========================================
+// 本文のパッセージ分割
+// ========================================
+// 長いPDF資料の中で一致した箇所を示すため、本文を条・項・号の見出し行とページ番号の行（－1－）で
+// 区切る。長すぎるパッセージは文末（。）で分け、見出しだけの短いパッセージは次のものとまとめる。
+// 行の分類は structure.js と共通。索引（search-index.js）と検索結果の表示で同じ分け方を使う。
+
+(function (root) {
+    'use strict';
+
+    const StructureParser = typeof module !== 'undefined' && module.exports
+        ? require('./structure.js')
+        : root.StructureParser;
+
+    // パッセージの区切りになる見出し行の種類（StructureParser.scanLines の type）
+    const HEADING_TYPES = ['article', 'paragraph', 'item'];
+
+    // これより長いパッセージは文末で分ける
+    const MAX_LENGTH = 400;
+
+    // これより短い条の見出し・前書き（資料名や「（燃料の規格）」の行など）は次のパッセージとまとめる
+    const MIN_LENGTH = 40;
+
+    class PassageSplitter {
+        // 本文をパッセージに分ける: [{ start, end, label }]（範囲は元の本文上、label は「第37条 第2項 第1号」など）
+        static split(content) {
+            const text = content || '';
+            const passages = [];
+            let current = null;
+            let afterPageBreak = false;
+
+            for (const line of StructureParser.scanLines(text)) {
+                if (line.type === 'page-break') {
+                    current = null;
+                    afterPageBreak = true;
+                    continue;
+                }
+                // 資料名・条の題名の行は本文に含めない
+                if (line.type === 'header' || line.type === 'title') continue;
+
+                const heading = HEADING_TYPES.includes(line.type) ? line.type : null;
+                if (heading || !current) {
+                    current = { start: line.start, end: line.end, label: StructureParser.formatLabel(line.context), heading, afterPageBreak };
+                    passages.push(current);
+                    afterPageBreak = false;
+                } else {
+                    current.end = line.end;
+                }
+            }
+
+            return PassageSplitter.splitLong(text, PassageSplitter.mergeShort(passages))
+                .map(({ start, end, label }) => ({ start, end, label }));
+        }
+
+        // 短い条の見出し・前書きを直後のパッセージとまとめる（間にページ番号がある場合はまとめない）
+        // 項・号は短くてもそれだけで1つのパッセージにする
+        static mergeShort(passages) {
+            const merged = [];
+            let pending = null;
+            for (const passage of passages) {
+                if (pending && !passage.afterPageBreak) {
+                    passage.start = pending.start;
+                    passage.afterPageBreak = pending.afterPageBreak;
+                } else if (pending) {
+                    merged.push(pending);
+                }
+                pending = null;
+
+                // ページをまたいで続く本文（見出しの無いページ冒頭）は前の項・号の続きなので、次とはまとめない
+                const isHeading = passage.heading === 'article' || (passage.heading === null && !passage.afterPageBreak);
+                if (isHeading && passage.end - passage.start < MIN_LENGTH) {
+                    pending = passage;
+                } else {
+                    merged.push(passage);
+                }
+            }
+            if (pending) merged.push(pending);
+            return merged;
+        }
+
+        // 長いパッセージを文末（。）で MAX_LENGTH 以下に分ける
+        // 文末が無い表などは改行で分け、それも無ければそのままにする
+        static splitLong(text, passages) {
+            const result = [];
+            for (const passage of passages) {
+                let start = passage.start;
+                while (passage.end - start > MAX_LENGTH) {
+                    const sentenceEnd = text.lastIndexOf('。', start + MAX_LENGTH - 1);
+                    const lineEnd = text.lastIndexOf('\n', start + MAX_LENGTH - 1);
+                    const cut = sentenceEnd > start ? sentenceEnd + 1 : lineEnd;
+                    if (cut <= start) break;
+                    result.push({ ...passage, start, end: cut });
+                    start = cut;
+                    while (start < passage.end && /\s/.test(text[start])) start++;
+                }
+                if (start < passage.end) result.push({ ...passage, start });
+            }
+            return result;
+        }
+
+        // 先頭位置の昇順の配列から、位置を含むパッセージの番号を探す
+        static findPassage(starts, position) {
+            let low = 0;
+            let high = starts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (starts[mid] <= position) low = mid;
+                else high = mid - 1;
+            }
+            return low;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PassageSplitter;
+    } else {
+        root.PassageSplitter = PassageSplitter;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,306 @@
+// ========================================
+// 検索クエリの構文解析
+// ========================================
+// 検索窓に入力された式を構文木にする。
+//   ヘッドライト 光度          … AND（スペース区切り、AND と書いてもよい）
+//   ヘッドライト OR 前照灯     … OR（AND より結合が弱い）
+//   "前照灯の色"               … フレーズ（同義語展開をせず、そのままの並びで探す）
+//   -二輪                      … 除外
+//   (ヘッドライト OR 前照灯) 色 … 括弧でまとめる
+//   title:制動 keyword:タイヤ   … フィールド指定（title / keyword / body）
+//   type:細目告示               … 資料の種類で絞り込み
+// 解釈できない式は QuerySyntaxError（message は画面にそのまま出せる日本語）を投げる。
+
+(function (root) {
+    'use strict';
+
+    // フィールド指定の接頭辞 → 検索インデックスのフィールド（type は資料の種類）
+    const FIELD_PREFIXES = {
+        'title': 'title',
+        'タイトル': 'title',
+        '題名': 'title',
+        'keyword': 'keywords',
+        'keywords': 'keywords',
+        'キーワード': 'keywords',
+        'body': 'body',
+        '本文': 'body',
+        'type': 'type',
+        '種別': 'type'
+    };
+
+    // type: に指定できる値 → 対象の文書
+    const TYPE_FILTERS = [
+        { names: ['保安基準', 'standard', 'standards'], label: '保安基準', kind: 'pdf', category: 'standards' },
+        { names: ['細目告示', '細目', '告示', 'detail', 'details'], label: '細目告示', kind: 'pdf', category: 'details' },
+        { names: ['別添', 'appendix', 'appendices'], label: '別添', kind: 'pdf', category: 'appendices' },
+        { names: ['その他', 'other'], label: 'その他', kind: 'pdf', category: 'other' },
+        { names: ['条文', '法令', 'article', 'articles'], label: '条文', kind: 'article' },
+        { names: ['法律', 'law'], label: '法律', kind: 'article', lawType: '法律' },
+        { names: ['省令', 'ordinance'], label: '省令', kind: 'article', lawType: '省令' }
+    ];
+
+    // フレーズの開き引用符 → 閉じ引用符
+    const QUOTES = { '"': '"', '“': '”' };
+
+    class QuerySyntaxError extends Error {
+        constructor(message, position) {
+            super(message);
+            this.name = 'QuerySyntaxError';
+            this.position = position;
+        }
+    }
+
+    class QueryParser {
+        // クエリを構文木にする
+        //   { type: 'term', value, phrase, field }   … 検索語（field は null ならタイトル・本文・キーワード）
+        //   { type: 'filter', filter }              … 資料の種類（TYPE_FILTERS の要素）
+        //   { type: 'and' | 'or', children }
+        //   { type: 'not', child }
+        static parse(query) {
+            const tokens = QueryParser.tokenize(query || '');
+            if (tokens.length === 0) {
+                throw new QuerySyntaxError('検索語を入力してください', 0);
+            }
+
+            const parser = new QueryParser(tokens);
+            const node = parser.parseOr();
+            if (parser.peek()) {
+                // parseOr が止まるのは対応しない「)」のみ
+                throw new QuerySyntaxError('「)」に対応する「(」がありません', parser.peek().position);
+            }
+
+            QueryParser.checkPositive(node);
+            return node;
+        }
+
+        // 字句解析: ( ) - OR AND フィールド接頭辞 フレーズ 語
+        static tokenize(query) {
+            const tokens = [];
+            let i = 0;
+
+            while (i < query.length) {
+                const char = query[i];
+
+                if (/\s/.test(char)) {
+                    i++;
+                    continue;
+                }
+
+                if (char === '(' || char === ')') {
+                    tokens.push({ type: char, position: i });
+                    i++;
+                    continue;
+                }
+
+                if (char in QUOTES) {
+                    const close = query.indexOf(QUOTES[char], i + 1);
+                    if (close === -1) {
+                        throw new QuerySyntaxError(`「${char}」が閉じられていません`, i);
+                    }
+                    tokens.push({ type: 'phrase', value: query.slice(i + 1, close), position: i });
+                    i = close + 1;
+                    continue;
+                }
+
+                // 語の先頭の「-」は除外（「H017-2」のような語中のハイフンはそのまま）
+                if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+                    tokens.push({ type: 'not', position: i });
+                    i++;
+                    continue;
+                }
+
+                let end = i;
+                while (end < query.length && !/[\s()"“]/.test(query[end])) end++;
+                const word = query.slice(i, end);
+
+                const prefix = word.match(/^([^:]+):/);
+                if (prefix && prefix[1].toLowerCase() in FIELD_PREFIXES) {
+                    tokens.push({ type: 'field', field: FIELD_PREFIXES[prefix[1].toLowerCase()], name: prefix[1], position: i });
+                    i += prefix[0].length;
+                    continue;
+                }
+
+                if (/^(OR|AND)$/i.test(word)) {
+                    tokens.push({ type: word.toUpperCase(), position: i });
+                } else {
+                    tokens.push({ type: 'word', value: word, position: i });
+                }
+                i = end;
+            }
+
+            return tokens;
+        }
+
+        // 除外だけの検索（「-ブレーキ」「a OR -b」）は結果が決まらないためエラーにする
+        static checkPositive(node) {
+            if (node.type === 'not') {
+                throw new QuerySyntaxError('除外（-）だけでは検索できません。検索語と組み合わせてください', node.position);
+            }
+            if (node.type === 'and') {
+                if (node.children.every(child => child.type === 'not')) {
+                    throw new QuerySyntaxError('除外（-）だけでは検索できません。検索語と組み合わせてください', node.children[0].position);
+                }
+                for (const child of node.children) {
+                    QueryParser.checkPositive(child.type === 'not' ? child.child : child);
+                }
+            }
+            if (node.type === 'or') {
+                node.children.forEach(child => QueryParser.checkPositive(child));
+            }
+        }
+
+        // type: の値を解釈
+        static findTypeFilter(value) {
+            const name = value.toLowerCase();
+            return TYPE_FILTERS.find(filter => filter.names.includes(name)) || null;
+        }
+
+        constructor(tokens) {
+            this.tokens = tokens;
+            this.index = 0;
+        }
+
+        peek() {
+            return this.tokens[this.index] || null;
+        }
+
+        next() {
+            return this.tokens[this.index++] || null;
+        }
+
+        // or := and (OR and)*
+        parseOr() {
+            const children = [this.parseAnd()];
+            while (this.peek() && this.peek().type === 'OR') {
+                const operator = this.next();
+                if (!this.startsOperand(this.peek())) {
+                    throw new QuerySyntaxError('OR の後に検索語がありません', operator.position);
+                }
+                children.push(this.parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        }
+
+        // and := unary ([AND] unary)*
+        parseAnd() {
+            const first = this.peek();
+            if (!this.startsOperand(first)) {
+                throw QueryParser.unexpected(first);
+            }
+
+            const children = [this.parseUnary()];
+            while (this.peek() && this.peek().type !== 'OR' && this.peek().type !== ')') {
+                if (this.peek().type === 'AND') {
+                    const operator = this.next();
+                    if (!this.startsOperand(this.peek())) {
+                        throw new QuerySyntaxError('AND の後に検索語がありません', operator.position);
+                    }
+                }
+                children.push(this.parseUnary());
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        }
+
+        // unary := '-' unary | primary
+        parseUnary() {
+            const token = this.peek();
+            if (token.type === 'not') {
+                this.next();
+                if (!this.startsOperand(this.peek()) || this.peek().type === 'not') {
+                    throw new QuerySyntaxError('「-」の後に除外する語がありません', token.position);
+                }
+                return { type: 'not', child: this.parseUnary(), position: token.position };
+            }
+            return this.parsePrimary(null);
+        }
+
+        // primary := '(' or ')' | field? (phrase | word | '(' or ')')
+        parsePrimary(field) {
+            const token = this.next();
+
+            if (token.type === 'field') {
+                if (field) {
+                    throw new QuerySyntaxError(`「${token.name}:」を重ねて指定することはできません`, token.position);
+                }
+                const target = this.peek();
+                if (!target || !['word', 'phrase', '('].includes(target.type)) {
+                    throw new QuerySyntaxError(`「${token.name}:」の後に検索語がありません`, token.position);
+                }
+                if (token.field === 'type') {
+                    return this.parseTypeFilter(token);
+                }
+                return this.parsePrimary(token.field);
+            }
+
+            if (token.type === '(') {
+                if (this.peek() && this.peek().type === ')') {
+                    throw new QuerySyntaxError('括弧の中に検索語がありません', token.position);
+                }
+                const node = this.parseOr();
+                const close = this.next();
+                if (!close || close.type !== ')') {
+                    throw new QuerySyntaxError('「(」が閉じられていません', token.position);
+                }
+                return field ? QueryParser.withField(node, field) : node;
+            }
+
+            if (token.type === 'word' || token.type === 'phrase') {
+                return { type: 'term', value: token.value, phrase: token.type === 'phrase', field, position: token.position };
+            }
+
+            throw QueryParser.unexpected(token);
+        }
+
+        parseTypeFilter(token) {
+            const target = this.next();
+            if (target.type !== 'word' && target.type !== 'phrase') {
+                throw new QuerySyntaxError(`「${token.name}:」の後には資料の種類を1つ指定してください`, target.position);
+            }
+
+            const filter = QueryParser.findTypeFilter(target.value);
+            if (!filter) {
+                const names = TYPE_FILTERS.map(f => f.label).join('、');
+                throw new QuerySyntaxError(`「${target.value}」は資料の種類として指定できません（${names}のいずれか）`, target.position);
+            }
+            return { type: 'filter', filter, position: token.position };
+        }
+
+        startsOperand(token) {
+            return Boolean(token) && ['word', 'phrase', 'field', 'not', '('].includes(token.type);
+        }
+
+        // 括弧にまとめた式全体にフィールド指定を適用
+        static withField(node, field) {
+            switch (node.type) {
+                case 'term':
+                    return { ...node, field };
+                case 'not':
+                    return { ...node, child: QueryParser.withField(node.child, field) };
+                case 'and':
+                case 'or':
+                    return { ...node, children: node.children.map(child => QueryParser.withField(child, field)) };
+                default:
+                    return node;
+            }
+        }
+
+        static unexpected(token) {
+            if (!token) {
+                return new QuerySyntaxError('検索式が途中で終わっています', null);
+            }
+            if (token.type === ')') {
+                return new QuerySyntaxError('「)」に対応する「(」がありません', token.position);
+            }
+            return new QuerySyntaxError(`${token.type} の前に検索語がありません`, token.position);
+        }
+    }
+
+    QueryParser.QuerySyntaxError = QuerySyntaxError;
+    QueryParser.TYPE_FILTERS = TYPE_FILTERS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QueryParser;
+    } else {
+        root.QueryParser = QueryParser;
+    }
+})(typeof self !== 'undefined' ? self : this);
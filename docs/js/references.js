@@ -0,0 +1,208 @@
+// ========================================
+// 条文の相互参照（保安基準・細目告示・別添）
+// ========================================
+// 本文中の「保安基準第11条第2項」「第1条から第5条まで」「別添41」などの引用を抽出し、
+// 文書ID間の参照グラフを作る。tools/build-references.js と ブラウザの両方で使う。
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const TextNormalizer = isNode ? require('./normalizer.js') : root.TextNormalizer;
+    const CitationParser = isNode ? require('./citation.js') : root.CitationParser;
+
+    const GRAPH_FORMAT_VERSION = 1;
+
+    // 正規化後のテキストで探す引用のパターン
+    const ARTICLE_REFERENCE = /第(\d+)条(?:の(\d+))?(?:第(\d+)項)?(?:第(\d+)号)?/g;
+    const APPENDIX_REFERENCE = /別添(\d+)/g;
+
+    // 直前の語から参照先の文書を判定（null は本コーパス外の法令）
+    const REFERENCE_CONTEXTS = [
+        { suffix: '保安基準', prefix: 'H' },
+        { suffix: '告示', prefix: 'S' },
+        { suffix: '法', prefix: null },
+        { suffix: '規則', prefix: null },
+        { suffix: '令', prefix: null },
+        { suffix: '条約', prefix: null }
+    ];
+
+    // 列挙・範囲の区切り（前の引用の文書を引き継ぐ）
+    const CONTINUATION = /^(?:、|,|及び|並びに|又は|若しくは|から|まで)+$/;
+
+    // 「第1条から第5条まで」を展開する上限
+    const MAX_RANGE = 100;
+
+    class ReferenceExtractor {
+        // 本文から引用を抽出（start/end は元テキスト上の位置）
+        static extract(content, sourceId) {
+            const source = CitationParser.parseId(sourceId);
+            const ownPrefix = source ? source.prefix : null;
+            const offsets = TextNormalizer.normalizeWithOffsets(content || '');
+            const text = offsets.text;
+            const references = [];
+
+            let previous = null;
+            for (const match of text.matchAll(ARTICLE_REFERENCE)) {
+                const start = match.index;
+                const end = start + match[0].length;
+
+                let prefix = ReferenceExtractor.contextBefore(text, start);
+                const separator = previous ? text.slice(previous.normalizedEnd, start) : '';
+                const continues = previous && CONTINUATION.test(separator);
+                if (prefix === undefined) {
+                    prefix = continues ? previous.prefix : ownPrefix;
+                }
+
+                const reference = {
+                    prefix,
+                    number: parseInt(match[1], 10),
+                    branch: match[2] ? parseInt(match[2], 10) : null,
+                    paragraph: match[3] ? parseInt(match[3], 10) : null,
+                    item: match[4] ? parseInt(match[4], 10) : null,
+                    normalizedEnd: end,
+                    ...TextNormalizer.toOriginalRange(offsets, start, end)
+                };
+
+                // 「第1条から第5条まで」の間の条を補う
+                if (continues && /から$/.test(separator) && previous.prefix === prefix && prefix) {
+                    const last = Math.min(reference.number, previous.number + MAX_RANGE);
+                    for (let number = previous.number + 1; number < last; number++) {
+                        references.push(ReferenceExtractor.finish({ prefix, number, implied: true }));
+                    }
+                }
+
+                references.push(ReferenceExtractor.finish(reference));
+                previous = reference;
+            }
+
+            for (const match of text.matchAll(APPENDIX_REFERENCE)) {
+                const range = TextNormalizer.toOriginalRange(offsets, match.index, match.index + match[0].length);
+                references.push(ReferenceExtractor.finish({ prefix: 'B', number: parseInt(match[1], 10), ...range }));
+            }
+
+            // 見出し（第N条）などの自己参照と、コーパス外の法令への参照は除く
+            return references
+                .filter(reference => reference.prefix && reference.id !== sourceId)
+                .sort((a, b) => (a.start || 0) - (b.start || 0));
+        }
+
+        // 引用の直前にある文書名（見つからなければ undefined）
+        // 「保安基準（昭和26年運輸省令第67号。…）第1条」のような直前の括弧書き（正規化で半角）は読み飛ばす
+        static contextBefore(text, start) {
+            let end = start;
+            if (text[end - 1] === ')') {
+                let depth = 0;
+                for (let i = end - 1; i >= Math.max(0, start - 80); i--) {
+                    if (text[i] === ')') depth++;
+                    if (text[i] === '(' && --depth === 0) {
+                        end = i;
+                        break;
+                    }
+                }
+            }
+
+            const before = text.slice(Math.max(0, end - 12), end);
+            for (const { suffix, prefix } of REFERENCE_CONTEXTS) {
+                if (before.endsWith(suffix)) return prefix;
+            }
+            return undefined;
+        }
+
+        static finish(reference) {
+            const { normalizedEnd, ...rest } = reference;
+            if (!rest.prefix) return rest;
+            return {
+                ...rest,
+                id: CitationParser.toId(rest.prefix, rest.number, rest.branch || null),
+                label: CitationParser.formatCitation({
+                    prefix: rest.prefix,
+                    number: rest.number,
+                    branch: rest.branch || null,
+                    paragraph: rest.paragraph || null,
+                    item: rest.item || null
+                })
+            };
+        }
+    }
+
+    class ReferenceGraph {
+        constructor({ source = null, references = {} } = {}) {
+            this.source = source;
+            this.references = references;
+            this.referencedBy = {};
+
+            for (const [sourceId, targets] of Object.entries(references)) {
+                for (const target of targets) {
+                    if (!this.referencedBy[target.id]) this.referencedBy[target.id] = [];
+                    if (!this.referencedBy[target.id].includes(sourceId)) {
+                        this.referencedBy[target.id].push(sourceId);
+                    }
+                }
+            }
+        }
+
+        // PDF資料の一覧から参照グラフを作る（存在する文書への参照のみ残す）
+        static build(pdfs, { source = null } = {}) {
+            const knownIds = new Set(pdfs.map(pdf => pdf.id));
+            const references = {};
+
+            for (const pdf of pdfs) {
+                const seen = new Set();
+                const targets = [];
+                for (const reference of ReferenceExtractor.extract(pdf.content, pdf.id)) {
+                    if (!knownIds.has(reference.id)) continue;
+
+                    const key = `${reference.id}:${reference.paragraph || ''}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    targets.push({ id: reference.id, paragraph: reference.paragraph || null });
+                }
+                if (targets.length > 0) {
+                    references[pdf.id] = targets;
+                }
+            }
+
+            return new ReferenceGraph({ source, references });
+        }
+
+        static fromJSON(json) {
+            if (!json || json.formatVersion !== GRAPH_FORMAT_VERSION) {
+                throw new Error('未対応の参照グラフ形式です');
+            }
+            return new ReferenceGraph(json);
+        }
+
+        toJSON() {
+            return {
+                formatVersion: GRAPH_FORMAT_VERSION,
+                source: this.source,
+                references: this.references
+            };
+        }
+
+        isCompatible(source) {
+            return Boolean(this.source && source &&
+                this.source.version === source.version &&
+                this.source.lastUpdated === source.lastUpdated);
+        }
+
+        // この文書が参照している文書ID
+        getReferences(id) {
+            return this.references[id] || [];
+        }
+
+        // この文書を参照している文書ID
+        getReferencedBy(id) {
+            return this.referencedBy[id] || [];
+        }
+    }
+
+    if (isNode) {
+        module.exports = { ReferenceExtractor, ReferenceGraph };
+    } else {
+        root.ReferenceExtractor = ReferenceExtractor;
+        root.ReferenceGraph = ReferenceGraph;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,104 @@
+// ========================================
+// HTMLの組み立て（エスケープ・強調・URLの確認）
+// ========================================
+// 法令データや PDF から抽出した本文には「<」「&」などがそのまま含まれ、データファイルが改ざんされることもある。
+// 画面に出す文字列は必ずここでエスケープしてから HTML にし、検索語の強調などのタグは
+// 元のテキスト上の位置（start / end）から組み立てる（HTML の文字列を置換しない）。
+
+(function (root) {
+    'use strict';
+
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    // リンクとして開いてよいURL（http / https の、次のホストのもの）
+    const ALLOWED_PROTOCOLS = ['https:', 'http:'];
+    const ALLOWED_HOSTS = ['www.mlit.go.jp', 'elaws.e-gov.go.jp', 'laws.e-gov.go.jp'];
+
+    class HtmlRenderer {
+        // テキストを HTML の本文・属性値に入れられる形にする（null / undefined は空文字）
+        static escape(text) {
+            if (text === null || text === undefined) return '';
+            return String(text).replace(/[&<>"']/g, char => ESCAPES[char]);
+        }
+
+        // テキストの範囲を <span class="..."> で囲む（範囲は重ならず、先頭から順に並んでいるもの）
+        static highlight(text, ranges, className = 'highlight') {
+            return HtmlRenderer.decorate(text, ranges.map(range => ({
+                start: range.start,
+                end: range.end,
+                open: `<span class="${HtmlRenderer.escape(className)}">`,
+                close: '</span>'
+            })));
+        }
+
+        // テキストの範囲をタグで囲む（範囲は入れ子か重ならないものとし、はみ出すもの・空のものは除く）
+        //   decorations: [{ start, end, open（開きタグ）, close（閉じタグ） }]
+        // テキストはエスケープする。タグは呼び出し側で組み立てる（属性値は escape を通すこと）
+        static decorate(text, decorations) {
+            const source = text === null || text === undefined ? '' : String(text);
+            // 空の範囲（start === end）は同じ位置で閉じタグが開きタグより前に出てしまうため除く
+            const sorted = decorations
+                .filter(decoration => decoration.end > decoration.start)
+                .sort((a, b) => a.start - b.start || b.end - a.end);
+
+            const accepted = [];
+            const stack = [];
+            for (const decoration of sorted) {
+                while (stack.length > 0 && stack[stack.length - 1].end <= decoration.start) stack.pop();
+                if (stack.length > 0 && decoration.end > stack[stack.length - 1].end) continue;
+                accepted.push(decoration);
+                stack.push(decoration);
+            }
+
+            const events = [];
+            accepted.forEach((decoration, order) => {
+                events.push({ position: decoration.start, tag: decoration.open, order, closing: false });
+                events.push({ position: decoration.end, tag: decoration.close, order, closing: true });
+            });
+            // 同じ位置では、閉じタグ（内側から）→ 開きタグ（外側から）の順
+            events.sort((a, b) =>
+                a.position - b.position ||
+                (a.closing === b.closing ? (a.closing ? b.order - a.order : a.order - b.order) : (a.closing ? -1 : 1))
+            );
+
+            let html = '';
+            let cursor = 0;
+            for (const event of events) {
+                html += HtmlRenderer.escape(source.substring(cursor, event.position)) + event.tag;
+                cursor = event.position;
+            }
+            return html + HtmlRenderer.escape(source.substring(cursor));
+        }
+
+        // リンク先として使ってよいURLなら正規化したURL、そうでなければ null
+        // （javascript: などの scheme や、許可していないホストへのリンクを作らない）
+        static safeUrl(url) {
+            if (typeof url !== 'string' || url.trim().length === 0) return null;
+
+            let parsed;
+            try {
+                parsed = new URL(url.trim());
+            } catch (error) {
+                return null;
+            }
+            if (!ALLOWED_PROTOCOLS.includes(parsed.protocol) || !ALLOWED_HOSTS.includes(parsed.hostname)) {
+                return null;
+            }
+            return parsed.href;
+        }
+    }
+
+    HtmlRenderer.ALLOWED_HOSTS = ALLOWED_HOSTS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HtmlRenderer;
+    } else {
+        root.HtmlRenderer = HtmlRenderer;
+    }
+})(typeof self !== 'undefined' ? self : this);
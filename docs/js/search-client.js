@@ -0,0 +1,185 @@
+// ========================================
+// 検索クライアント
+// ========================================
+// 検索エンジンを Web Worker（search-worker.js）で動かし、ページからは Promise で呼び出す。
+// Worker が使えない環境（file:// で開いた場合など）では、同じ呼び出し方でメインスレッドの
+// searchEngine を使う。
+
+class SearchClient {
+    constructor() {
+        this.worker = null;
+        this.engine = null;
+        this.nextId = 1;
+        this.pendingCalls = new Map();
+        this.activeSearch = null;
+    }
+
+    // データの読み込み（読み込み結果のまとめを返す）
+    // localSynonyms: チームの同義語（synonym-store.js を参照）
+    async load(localSynonyms = []) {
+        if (typeof Worker !== 'undefined' && window.location.protocol.startsWith('http')) {
+            try {
+                this.startWorker();
+                return await this.call('load', new URL('./', document.baseURI).href, localSynonyms);
+            } catch (error) {
+                console.warn('⚠️ 検索用 Worker を使えないため、メインスレッドで検索します:', error);
+                this.stopWorker();
+            }
+        }
+
+        this.engine = searchEngine;
+        await this.engine.loadData({ localSynonyms });
+        return this.engine.getStatus();
+    }
+
+    startWorker() {
+        this.worker = new Worker('js/search-worker.js');
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        this.worker.addEventListener('error', (event) => {
+            // 読み込み失敗などで Worker が動かない場合は、待っている呼び出しをすべて失敗にする
+            const error = new Error(event.message || '検索用 Worker でエラーが発生しました');
+            for (const { reject } of this.pendingCalls.values()) reject(error);
+            this.pendingCalls.clear();
+        });
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    // Worker のメソッドを呼び出す（メインスレッドで動かしている場合は直接呼ぶ）
+    call(method, ...args) {
+        if (!this.worker) {
+            return Promise.resolve(this.engine[method](...args));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pendingCalls.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'call', id, method, args });
+        });
+    }
+
+    // チームの同義語を入れ替える（読み込み結果のまとめを返す）
+    setLocalSynonyms(entries) {
+        return this.call('setLocalSynonyms', entries);
+    }
+
+    // チームの同義語を同義語辞書と合わせて検査する（SearchEngine.checkSynonyms を参照）
+    checkSynonyms(entries) {
+        return this.call('checkSynonyms', entries);
+    }
+
+    // 詳細表示用の全文と相互参照（query を渡すと本文中の検索語の位置も、versionIndex を渡すとその版の本文）
+    getDocumentDetail(id, query = '', versionIndex = null) {
+        return this.call('getDocumentDetail', id, query, versionIndex);
+    }
+
+    // 引用された文書の結果オブジェクト（versionIndex を渡すとその版の本文から作る）
+    getCitedResult(citation, versionIndex = null) {
+        return this.call('getCitedResult', citation, versionIndex);
+    }
+
+    // 法令ID・条番号の条文の結果オブジェクト
+    getArticleResult(lawId, articleNumber) {
+        return this.call('getArticleResult', lawId, articleNumber);
+    }
+
+    // 入力補完の候補
+    getCompletions(input) {
+        return this.call('getCompletions', input);
+    }
+
+    // 比較表示の相手になる資料
+    getCounterparts(id) {
+        return this.call('getCounterparts', id);
+    }
+
+    // 資料の2つの版の差分
+    getVersionDiff(id, fromIndex, toIndex) {
+        return this.call('getVersionDiff', id, fromIndex, toIndex);
+    }
+
+    // 検索（結果は onStart → onBatch の順に少しずつ届く）
+    // 新しい検索を始めると前の検索は中断され、{ cancelled: true } で終わる
+    search(query, filters, { onStart, onBatch }) {
+        this.cancelSearch();
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.activeSearch = { id, onStart, onBatch, resolve, reject };
+
+            if (this.worker) {
+                this.worker.postMessage({ type: 'search', id, query, filters });
+                return;
+            }
+
+            const isActive = () => this.activeSearch !== null && this.activeSearch.id === id;
+            this.engine.searchIncrementally(query, filters, {
+                isCancelled: () => !isActive(),
+                onStart: summary => this.handleMessage({ type: 'search-start', id, summary }),
+                onBatch: (results, offset) => this.handleMessage({ type: 'search-batch', id, offset, results })
+            }).then(
+                completed => completed && this.handleMessage({ type: 'search-done', id }),
+                error => this.handleMessage({ type: 'search-error', id, error: error.message })
+            );
+        });
+    }
+
+    // 実行中の検索を中断
+    cancelSearch() {
+        if (!this.activeSearch) return;
+
+        const { id, resolve } = this.activeSearch;
+        this.activeSearch = null;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id });
+        }
+        resolve({ cancelled: true });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'reply') {
+            const pending = this.pendingCalls.get(message.id);
+            if (!pending) return;
+            this.pendingCalls.delete(message.id);
+            if (message.error) {
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve(message.value);
+            }
+            return;
+        }
+
+        // 中断済み・古い検索の結果は捨てる
+        const search = this.activeSearch;
+        if (!search || search.id !== message.id) return;
+
+        switch (message.type) {
+            case 'search-start':
+                search.onStart(message.summary);
+                break;
+            case 'search-batch':
+                search.onBatch(message.results, message.offset);
+                break;
+            case 'search-done':
+                this.activeSearch = null;
+                search.resolve({ cancelled: false });
+                break;
+            case 'search-cancelled':
+                this.activeSearch = null;
+                search.resolve({ cancelled: true });
+                break;
+            case 'search-error':
+                this.activeSearch = null;
+                search.reject(new Error(message.error));
+                break;
+        }
+    }
+}
+
+// グローバルインスタンス
+const searchClient = new SearchClient();
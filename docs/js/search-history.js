@@ -0,0 +1,121 @@
+// ========================================
+// 検索履歴と保存した検索
+// ========================================
+// 実行した検索（検索語・検索条件・件数・日時）と、名前を付けて保存した検索を
+// ブラウザの localStorage に保存する（サーバーには送らない）。
+// 画面を開いたときにすぐ一覧を出せるよう、同期的に読み書きできる localStorage を使う。
+
+// 残す検索履歴の件数
+const SEARCH_HISTORY_LIMIT = 50;
+
+const SEARCH_HISTORY_KEY = 'vehicle-law-search:history';
+const SAVED_SEARCHES_KEY = 'vehicle-law-search:saved-searches';
+
+class SearchHistory {
+    constructor() {
+        this.storage = SearchHistory.openStorage();
+    }
+
+    // localStorage（使えない環境では null。プライベートブラウズで書き込めない場合など）
+    static openStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.setItem(`${SEARCH_HISTORY_KEY}:test`, '1');
+            storage.removeItem(`${SEARCH_HISTORY_KEY}:test`);
+            return storage;
+        } catch (error) {
+            console.warn('⚠️ 検索履歴を保存できません:', error);
+            return null;
+        }
+    }
+
+    get available() {
+        return this.storage !== null;
+    }
+
+    // 同じ検索か（検索語と検索条件がすべて同じ）
+    static isSameSearch(a, b) {
+        return a.query === b.query && JSON.stringify(a.filters) === JSON.stringify(b.filters);
+    }
+
+    read(key) {
+        if (!this.storage) return [];
+        try {
+            const value = JSON.parse(this.storage.getItem(key) || '[]');
+            return Array.isArray(value) ? value : [];
+        } catch (error) {
+            console.warn('⚠️ 保存された検索を読み込めません:', error);
+            return [];
+        }
+    }
+
+    write(key, value) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('⚠️ 検索履歴を保存できません:', error);
+        }
+    }
+
+    // 検索履歴（新しい順）: [{ query, filters, total, searchedAt }]
+    getHistory() {
+        return this.read(SEARCH_HISTORY_KEY);
+    }
+
+    // 検索を履歴に加える（同じ検索は新しいほうだけ残す）
+    // replaceLast: 直前の履歴を置き換える（入力中の検索の続きの場合）
+    record({ query, filters, total }, { replaceLast = false } = {}) {
+        const entry = { query, filters, total, searchedAt: new Date().toISOString() };
+        const history = this.getHistory();
+        if (replaceLast) history.shift();
+
+        const rest = history.filter(previous => !SearchHistory.isSameSearch(previous, entry));
+        this.write(SEARCH_HISTORY_KEY, [entry, ...rest].slice(0, SEARCH_HISTORY_LIMIT));
+        return entry;
+    }
+
+    removeHistory(index) {
+        const history = this.getHistory();
+        history.splice(index, 1);
+        this.write(SEARCH_HISTORY_KEY, history);
+    }
+
+    clearHistory() {
+        this.write(SEARCH_HISTORY_KEY, []);
+    }
+
+    // 保存した検索（保存した順）: [{ id, name, query, filters, createdAt }]
+    getSaved() {
+        return this.read(SAVED_SEARCHES_KEY);
+    }
+
+    // 検索を名前を付けて保存（同じ検索を保存済みなら名前だけ変える）
+    save({ name, query, filters }) {
+        const saved = this.getSaved();
+        const existing = saved.find(search => SearchHistory.isSameSearch(search, { query, filters }));
+        if (existing) {
+            existing.name = name;
+        } else {
+            const id = saved.reduce((max, search) => Math.max(max, search.id), 0) + 1;
+            saved.push({ id, name, query, filters, createdAt: new Date().toISOString() });
+        }
+        this.write(SAVED_SEARCHES_KEY, saved);
+        return existing || saved[saved.length - 1];
+    }
+
+    rename(id, name) {
+        const saved = this.getSaved();
+        const search = saved.find(candidate => candidate.id === id);
+        if (!search) return;
+        search.name = name;
+        this.write(SAVED_SEARCHES_KEY, saved);
+    }
+
+    remove(id) {
+        this.write(SAVED_SEARCHES_KEY, this.getSaved().filter(search => search.id !== id));
+    }
+}
+
+// グローバルインスタンス
+const searchHistory = new SearchHistory();
@@ -0,0 +1,358 @@
+// ========================================
+// 転置インデックス（n-gram）
+// ========================================
+// ブラウザ（<script>）と Node（tools/build-index.js）の両方から読み込めるようにしている
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const TextNormalizer = isNode ? require('./normalizer.js') : root.TextNormalizer;
+    const PassageSplitter = isNode ? require('./passages.js') : root.PassageSplitter;
+
+    const INDEX_FORMAT_VERSION = 5;
+    const DEFAULT_NGRAM = 2;
+
+    // インデックス対象のPDFカテゴリ（pdf_content.json のキーと対応）
+    const PDF_CATEGORIES = [
+        { key: 'standards', type: 'standard', label: '保安基準' },
+        { key: 'details', type: 'detail', label: '細目告示' },
+        { key: 'appendices', type: 'appendix', label: '別添' },
+        { key: 'other', type: 'other', label: 'その他' }
+    ];
+
+    // インデックス化するフィールド
+    const FIELDS = ['title', 'body', 'keywords', 'number'];
+
+    // 語の検索結果キャッシュの上限
+    const TERM_CACHE_LIMIT = 500;
+
+    class SearchIndex {
+        constructor({ ngram = DEFAULT_NGRAM, source = null, docs = [], postings = {} } = {}) {
+            this.ngram = ngram;
+            this.source = source;
+            this.docs = docs;
+            this.postings = postings;
+            for (const field of FIELDS) {
+                if (!this.postings[field]) this.postings[field] = {};
+            }
+
+            this.decoded = {};
+            this.gramsByFirstChar = {};
+            this.termCache = new Map();
+        }
+
+        // 索引・検索の両方で使うテキストの正規化（位置は正規化後のテキスト上の位置）
+        static normalize(text) {
+            return TextNormalizer.normalize(text);
+        }
+
+        // 法令データとPDFデータからインデックス対象の文書一覧を作る
+        static collectDocuments(laws, pdfContent) {
+            const documents = [];
+
+            for (const law of laws || []) {
+                for (const article of law.articles || []) {
+                    documents.push({
+                        ref: `law:${law.lawId}:${article.articleNumber}`,
+                        kind: 'article',
+                        law,
+                        article,
+                        fields: {
+                            title: article.title || '',
+                            body: article.content || '',
+                            keywords: '',
+                            number: article.articleNumber || ''
+                        }
+                    });
+                }
+            }
+
+            for (const category of PDF_CATEGORIES) {
+                for (const pdf of (pdfContent && pdfContent[category.key]) || []) {
+                    documents.push({
+                        ref: `pdf:${category.key}:${pdf.id}`,
+                        kind: 'pdf',
+                        category,
+                        pdf,
+                        revisionDate: SearchIndex.extractRevisionDate(pdf.content),
+                        fields: {
+                            title: pdf.title || '',
+                            body: pdf.content || '',
+                            keywords: (pdf.keywords || []).join('、'),
+                            number: SearchIndex.extractArticleNumber(pdf.content)
+                        }
+                    });
+                }
+            }
+
+            return documents;
+        }
+
+        // PDF本文の見出し行（例: 第17条の2（…））から条番号を取り出す
+        static extractArticleNumber(content) {
+            const match = (content || '').match(/^(第\d+条(?:の\d+)*)/m);
+            return match ? match[1] : '';
+        }
+
+        // 本文冒頭の改正日マーカー（例: 道路運送車両の保安基準【2003.4.1】）を YYYY-MM-DD で取り出す
+        static extractRevisionDate(content) {
+            const match = (content || '').match(/【\s*(\d{4})\s*\.\s*(\d{1,2})\s*\.\s*(\d{1,2})\s*】/);
+            if (!match) return null;
+            return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+        }
+
+        // 文書一覧からインデックスを構築
+        static build(documents, { ngram = DEFAULT_NGRAM, source = null } = {}) {
+            const docs = [];
+            const raw = {};
+            for (const field of FIELDS) raw[field] = new Map();
+
+            documents.forEach((doc, docIndex) => {
+                const lengths = {};
+                for (const field of FIELDS) {
+                    const text = SearchIndex.normalize(doc.fields[field]);
+                    lengths[field] = text.length;
+
+                    const grams = raw[field];
+                    for (let i = 0; i < text.length; i++) {
+                        const gram = text.substr(i, ngram);
+                        let entry = grams.get(gram);
+                        if (!entry) {
+                            entry = new Map();
+                            grams.set(gram, entry);
+                        }
+                        let positions = entry.get(docIndex);
+                        if (!positions) {
+                            positions = [];
+                            entry.set(docIndex, positions);
+                        }
+                        positions.push(i);
+                    }
+                }
+                docs.push({ ref: doc.ref, lengths, passages: SearchIndex.passageStarts(doc.fields.body) });
+            });
+
+            const postings = {};
+            for (const field of FIELDS) {
+                postings[field] = {};
+                for (const [gram, entry] of raw[field]) {
+                    postings[field][gram] = SearchIndex.encodePostings(entry);
+                }
+            }
+
+            return new SearchIndex({ ngram, source, docs, postings });
+        }
+
+        // 本文のパッセージ（passages.js）の先頭位置を正規化後のテキスト上の位置で返す
+        static passageStarts(body) {
+            const offsets = TextNormalizer.normalizeWithOffsets(body);
+            const starts = [];
+            for (const passage of PassageSplitter.split(body)) {
+                // パッセージの先頭以降に対応する最初の正規化後の文字
+                let low = 0;
+                let high = offsets.starts.length;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (offsets.starts[mid] < passage.start) low = mid + 1;
+                    else high = mid;
+                }
+                starts.push(low);
+            }
+            return starts.length > 0 ? starts : [0];
+        }
+
+        static fromJSON(json) {
+            if (!json || json.formatVersion !== INDEX_FORMAT_VERSION) {
+                throw new Error('未対応のインデックス形式です');
+            }
+            return new SearchIndex(json);
+        }
+
+        toJSON() {
+            return {
+                formatVersion: INDEX_FORMAT_VERSION,
+                ngram: this.ngram,
+                source: this.source,
+                docs: this.docs,
+                postings: this.postings
+            };
+        }
+
+        // 読み込んだデータと同じ版から作られたインデックスか
+        isCompatible(source, documents) {
+            if (!this.source || !source) return false;
+            if (this.source.version !== source.version || this.source.lastUpdated !== source.lastUpdated) {
+                return false;
+            }
+            if (this.docs.length !== documents.length) return false;
+            return this.docs.every((doc, i) => doc.ref === documents[i].ref);
+        }
+
+        // ポスティングの圧縮: [文書番号の差分, 出現数, 位置の差分...] の繰り返し
+        static encodePostings(entry) {
+            const encoded = [];
+            let previousDoc = 0;
+            for (const [docIndex, positions] of entry) {
+                encoded.push(docIndex - previousDoc, positions.length);
+                let previousPosition = 0;
+                for (const position of positions) {
+                    encoded.push(position - previousPosition);
+                    previousPosition = position;
+                }
+                previousDoc = docIndex;
+            }
+            return encoded;
+        }
+
+        static decodePostings(encoded) {
+            const entry = new Map();
+            let docIndex = 0;
+            let i = 0;
+            while (i < encoded.length) {
+                docIndex += encoded[i];
+                const count = encoded[i + 1];
+                i += 2;
+                const positions = new Array(count);
+                let position = 0;
+                for (let j = 0; j < count; j++) {
+                    position += encoded[i + j];
+                    positions[j] = position;
+                }
+                i += count;
+                entry.set(docIndex, positions);
+            }
+            return entry;
+        }
+
+        // n-gram のポスティングを取得（展開結果はキャッシュ）
+        gramPostings(field, gram) {
+            if (!this.decoded[field]) this.decoded[field] = new Map();
+            const cache = this.decoded[field];
+            if (!cache.has(gram)) {
+                const encoded = this.postings[field][gram];
+                cache.set(gram, encoded ? SearchIndex.decodePostings(encoded) : new Map());
+            }
+            return cache.get(gram);
+        }
+
+        // 1文字の語を引くため、先頭文字ごとの n-gram 一覧を作る
+        gramsStartingWith(field, char) {
+            if (!this.gramsByFirstChar[field]) {
+                const table = new Map();
+                for (const gram of Object.keys(this.postings[field])) {
+                    const first = gram[0];
+                    if (!table.has(first)) table.set(first, []);
+                    table.get(first).push(gram);
+                }
+                this.gramsByFirstChar[field] = table;
+            }
+            return this.gramsByFirstChar[field].get(char) || [];
+        }
+
+        // 語の出現位置を取得: Map<文書番号, 位置の配列>
+        findPositions(term, field) {
+            const normalized = SearchIndex.normalize(term);
+            if (normalized.length === 0) return new Map();
+
+            const cacheKey = `${field}\u0000${normalized}`;
+            if (this.termCache.has(cacheKey)) return this.termCache.get(cacheKey);
+
+            const result = normalized.length < this.ngram
+                ? this.findShortTerm(normalized, field)
+                : this.findLongTerm(normalized, field);
+
+            if (this.termCache.size >= TERM_CACHE_LIMIT) {
+                this.termCache.delete(this.termCache.keys().next().value);
+            }
+            this.termCache.set(cacheKey, result);
+            return result;
+        }
+
+        // n-gram より短い語: その語で始まる n-gram の和集合
+        findShortTerm(term, field) {
+            const result = new Map();
+            for (const gram of this.gramsStartingWith(field, term[0])) {
+                if (!gram.startsWith(term)) continue;
+                for (const [docIndex, positions] of this.gramPostings(field, gram)) {
+                    const merged = result.get(docIndex);
+                    result.set(docIndex, merged ? merged.concat(positions) : positions.slice());
+                }
+            }
+            for (const positions of result.values()) {
+                positions.sort((a, b) => a - b);
+            }
+            return result;
+        }
+
+        // n-gram 以上の語: 先頭の n-gram の位置から、後続の n-gram が連続するものを残す
+        findLongTerm(term, field) {
+            const n = this.ngram;
+            const first = this.gramPostings(field, term.substr(0, n));
+            if (first.size === 0) return new Map();
+
+            const rest = [];
+            for (let offset = 1; offset + n <= term.length; offset++) {
+                const postings = this.gramPostings(field, term.substr(offset, n));
+                if (postings.size === 0) return new Map();
+                rest.push({ offset, postings });
+            }
+
+            const result = new Map();
+            for (const [docIndex, positions] of first) {
+                if (!rest.every(({ postings }) => postings.has(docIndex))) continue;
+
+                const matched = positions.filter(position => rest.every(({ offset, postings }) =>
+                    SearchIndex.containsSorted(postings.get(docIndex), position + offset)
+                ));
+                if (matched.length > 0) {
+                    result.set(docIndex, matched);
+                }
+            }
+            return result;
+        }
+
+        static containsSorted(sorted, value) {
+            let low = 0;
+            let high = sorted.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (sorted[mid] === value) return true;
+                if (sorted[mid] < value) low = mid + 1;
+                else high = mid - 1;
+            }
+            return false;
+        }
+
+        // 指定フィールドのいずれかに語を含む文書の集合
+        findDocuments(term, fields = FIELDS) {
+            const docs = new Set();
+            for (const field of fields) {
+                for (const docIndex of this.findPositions(term, field).keys()) {
+                    docs.add(docIndex);
+                }
+            }
+            return docs;
+        }
+
+        // 文書内の出現回数
+        count(term, docIndex, fields = FIELDS) {
+            let total = 0;
+            for (const field of fields) {
+                const positions = this.findPositions(term, field).get(docIndex);
+                if (positions) total += positions.length;
+            }
+            return total;
+        }
+    }
+
+    SearchIndex.FIELDS = FIELDS;
+    SearchIndex.FORMAT_VERSION = INDEX_FORMAT_VERSION;
+    SearchIndex.PDF_CATEGORIES = PDF_CATEGORIES;
+
+    if (isNode) {
+        module.exports = SearchIndex;
+    } else {
+        root.SearchIndex = SearchIndex;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,137 @@
+// ========================================
+// 検索用 Web Worker
+// ========================================
+// 検索エンジン（search.js）をメインスレッドの外で動かし、入力中も画面が固まらないようにする。
+// ページとのやり取りは search-client.js を参照。
+//
+// 受け取るメッセージ:
+//   { type: 'call', id, method, args }      … CALLABLE_METHODS の呼び出し（結果は 'reply'）
+//   { type: 'search', id, query, filters }  … 検索（'search-start' → 'search-batch'… → 'search-done'）
+//   { type: 'cancel', id }                  … 検索の中断
+//
+// 中断は結果をまとまりごとに返す間（searchIncrementally のまとまりの合間）にだけ効く。
+// 順位付け（rankDocuments）は同期処理のため、始まった後の中断・新しい検索はその完了まで待たされる。
+
+importScripts(
+    'normalizer.js',
+    'data-schema.js',
+    'render.js',
+    'structure.js',
+    'passages.js',
+    'search-index.js',
+    'query-parser.js',
+    'citation.js',
+    'references.js',
+    'bm25.js',
+    'suggest.js',
+    'completion.js',
+    'text-diff.js',
+    'facets.js',
+    'synonyms.js',
+    'search.js'
+);
+
+// ページから呼び出せるメソッド
+const CALLABLE_METHODS = ['load', 'setLocalSynonyms', 'checkSynonyms', 'getDocumentDetail', 'getCitedResult', 'getArticleResult', 'getCompletions', 'getCounterparts', 'getVersionDiff'];
+
+// 最新の検索ID（これより古い検索は結果を返す途中でも打ち切る）
+let latestSearchId = 0;
+// 中断を指示された最新の検索ID（検索IDは順に増えるので、これ以下の検索はすべて打ち切る）
+let cancelledSearchId = 0;
+
+const handlers = {
+    async load(baseUrl, localSynonyms) {
+        await searchEngine.loadData({ baseUrl, localSynonyms });
+        return searchEngine.getStatus();
+    },
+
+    setLocalSynonyms(entries) {
+        return searchEngine.setLocalSynonyms(entries);
+    },
+
+    checkSynonyms(entries) {
+        return searchEngine.checkSynonyms(entries);
+    },
+
+    getDocumentDetail(id, query, versionIndex) {
+        return searchEngine.getDocumentDetail(id, query, versionIndex);
+    },
+
+    getCitedResult(citation, versionIndex) {
+        const result = searchEngine.getCitedResult(citation, versionIndex);
+        return result && withoutFullContent(result);
+    },
+
+    getArticleResult(lawId, articleNumber) {
+        return searchEngine.getArticleResult(lawId, articleNumber);
+    },
+
+    getCompletions(input) {
+        return searchEngine.getCompletions(input);
+    },
+
+    getCounterparts(id) {
+        return searchEngine.getCounterparts(id);
+    },
+
+    getVersionDiff(id, fromIndex, toIndex) {
+        return searchEngine.getVersionDiff(id, fromIndex, toIndex);
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'call':
+            await handleCall(message);
+            break;
+        case 'search':
+            await handleSearch(message);
+            break;
+        case 'cancel':
+            cancelledSearchId = Math.max(cancelledSearchId, message.id);
+            break;
+        default:
+            console.warn('⚠️ 未知のメッセージです:', message);
+    }
+});
+
+async function handleCall({ id, method, args }) {
+    try {
+        if (!CALLABLE_METHODS.includes(method)) {
+            throw new Error(`呼び出せないメソッドです: ${method}`);
+        }
+        const value = await handlers[method](...(args || []));
+        self.postMessage({ type: 'reply', id, value });
+    } catch (error) {
+        self.postMessage({ type: 'reply', id, error: error.message });
+    }
+}
+
+async function handleSearch({ id, query, filters }) {
+    latestSearchId = Math.max(latestSearchId, id);
+    const isCancelled = () => id <= cancelledSearchId || id < latestSearchId;
+
+    try {
+        const completed = await searchEngine.searchIncrementally(query, filters, {
+            isCancelled,
+            onStart: summary => self.postMessage({ type: 'search-start', id, summary }),
+            // 全文はページに送らない（詳細表示のときに getDocumentDetail で取得する）
+            onBatch: (results, offset) => self.postMessage({
+                type: 'search-batch',
+                id,
+                offset,
+                results: results.map(withoutFullContent)
+            })
+        });
+        self.postMessage({ type: completed ? 'search-done' : 'search-cancelled', id });
+    } catch (error) {
+        self.postMessage({ type: 'search-error', id, error: error.message });
+    }
+}
+
+function withoutFullContent(result) {
+    const { fullContent, ...rest } = result;
+    return rest;
+}
@@ -1,405 +1,1295 @@
 // ========================================
 // 検索エンジン
 // ========================================
+// ブラウザ（<script>・Worker）ではグローバルインスタンス searchEngine を作る。
+// Node（test/）では require で SearchEngine を取り出し、loadFromData でデータを直接渡して使う。
 
-class SearchEngine {
-    constructor() {
-        this.laws = [];
-        this.synonyms = {};
-        this.pdfMetadata = { details: [], appendices: [] };
-        this.pdfContent = { standards: [], details: [], appendices: [], other: [] };
-        this.isReady = false;
-    }
+(function (root) {
+    'use strict';
 
-    // データの読み込み
-    async loadData() {
-        try {
-            const [lawsResponse, synonymsResponse, pdfMetadataResponse, pdfContentResponse] = await Promise.all([
-                fetch('data/laws.json'),
-                fetch('data/synonyms.json'),
-                fetch('data/pdf_metadata.json'),
-                fetch('data/pdf_content.json')
-            ]);
-
-            this.laws = (await lawsResponse.json()).laws;
-            this.synonyms = await synonymsResponse.json();
-            this.pdfMetadata = await pdfMetadataResponse.json();
-            const pdfData = await pdfContentResponse.json();
-
-            // 各プロパティが存在しない場合は空配列をデフォルトとして設定
-            this.pdfContent = {
-                standards: pdfData.standards || [],
-                details: pdfData.details || [],
-                appendices: pdfData.appendices || [],
-                other: pdfData.other || []
-            };
-            this.isReady = true;
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const TextNormalizer = isNode ? require('./normalizer.js') : root.TextNormalizer;
+    const DataSchema = isNode ? require('./data-schema.js') : root.DataSchema;
+    const HtmlRenderer = isNode ? require('./render.js') : root.HtmlRenderer;
+    const StructureParser = isNode ? require('./structure.js') : root.StructureParser;
+    const PassageSplitter = isNode ? require('./passages.js') : root.PassageSplitter;
+    const SearchIndex = isNode ? require('./search-index.js') : root.SearchIndex;
+    const QueryParser = isNode ? require('./query-parser.js') : root.QueryParser;
+    const CitationParser = isNode ? require('./citation.js') : root.CitationParser;
+    const { ReferenceExtractor, ReferenceGraph } = isNode ? require('./references.js') : root;
+    const BM25Scorer = isNode ? require('./bm25.js') : root.BM25Scorer;
+    const SpellingSuggester = isNode ? require('./suggest.js') : root.SpellingSuggester;
+    const CompletionIndex = isNode ? require('./completion.js') : root.CompletionIndex;
+    const TextDiff = isNode ? require('./text-diff.js') : root.TextDiff;
+    const FacetCounter = isNode ? require('./facets.js') : root.FacetCounter;
+    const SynonymDictionary = isNode ? require('./synonyms.js') : root.SynonymDictionary;
+
+    // 検索語のマッチ対象とするフィールド（条文番号はスコアのみに使用）
+    const MATCH_FIELDS = ['title', 'body', 'keywords'];
+
+    // 検索条件の既定値（facets は絞り込みで選んだ値、FacetCounter を参照）
+    const DEFAULT_FILTERS = {
+        law: true,
+        ordinance: true,
+        details: true,
+        appendices: true,
+        asOf: null,
+        sort: 'relevance',
+        facets: { type: [], keyword: [], year: [] }
+    };
+
+    // 検索条件で対象から外せるPDF資料の種類（種類 → 検索条件の項目）
+    const CATEGORY_FILTERS = { detail: 'details', appendix: 'appendices' };
+
+    // 検索結果を画面へ渡すときの1回分の件数
+    const RESULT_BATCH_SIZE = 20;
+
+    // 比較表示で対にする資料の種類（保安基準 ⇔ 細目告示）
+    const COUNTERPART_PREFIXES = { H: 'S', S: 'H' };
+
+    // 最もよく一致したパッセージのスコアを文書のスコアに加える割合（語が近くにまとまって出てくる文書を上位に）
+    const PASSAGE_WEIGHT = 0.5;
+
+    // PDF資料の検索結果に示すパッセージの数と、1つあたりのプレビューの文字数
+    const PASSAGE_PREVIEW_LIMIT = 3;
+    const PASSAGE_PREVIEW_LENGTH = 160;
+
+    // 読み込むデータファイル（key は DataSchema のスキーマ名）
+    const DATA_SOURCES = [
+        { key: 'laws', file: 'data/laws.json' },
+        { key: 'synonyms', file: 'data/synonyms.json' },
+        { key: 'pdfMetadata', file: 'data/pdf_metadata.json' },
+        { key: 'pdfContent', file: 'data/pdf_content.json' }
+    ];
+
+    class SearchEngine {
+        // logger: ログの出力先（既定は console、テストでは出力しないものを渡す）
+        constructor({ logger = console } = {}) {
+            this.logger = logger;
+            this.laws = [];
+            this.synonyms = [];
+            this.localSynonyms = [];
+            this.synonymDictionary = new SynonymDictionary();
+            this.pdfMetadata = { details: [], appendices: [] };
+            this.pdfContent = { standards: [], details: [], appendices: [], other: [] };
+            this.documents = [];
+            this.index = null;
+            this.scorer = null;
+            this.references = null;
+            this.offsetCache = new Map();
+            this.versionFieldCache = new Map();
+            this.sourceStatus = {};
+            this.suggester = null;
+            this.completions = null;
+            this.articleCaptions = null;
+            this.facetValues = null;
+            this.baseUrl = '';
+            this.isReady = false;
+        }
+
+        // データの読み込み（ファイルごとに読み込み、読めたデータだけで動作する）
+        // baseUrl: data/ の置き場所（Worker から読み込む場合はページのURLを渡す）
+        // localSynonyms: チームの同義語（ブラウザに保存したもの、synonyms.json の組に加える）
+        async loadData({ baseUrl = '', localSynonyms = [] } = {}) {
+            this.baseUrl = baseUrl;
+            const sources = await Promise.all(DATA_SOURCES.map(source => this.loadSource(source)));
+            return this.setData(sources, { localSynonyms, prebuilt: true });
+        }
+
+        // データを直接渡して読み込む（fetch を使わない、Node のテストなど）
+        // data: { laws, synonyms, pdfMetadata, pdfContent }（各データファイルの内容、無いものは省略できる）
+        // 形式チェックは loadData と同じ。検索インデックス・参照グラフはその場で構築する
+        async loadFromData(data, { localSynonyms = [] } = {}) {
+            const sources = DATA_SOURCES.map(({ key, file }) => {
+                const status = { file, state: 'loaded', message: null, skipped: 0 };
+                this.sourceStatus[key] = status;
+                if (data[key] === undefined || data[key] === null) {
+                    status.state = 'missing';
+                    status.message = 'データがありません';
+                    return null;
+                }
+                return this.validateSource(status, key, data[key]);
+            });
+            return this.setData(sources, { localSynonyms, prebuilt: false });
+        }
+
+        // 読み込んだデータ（DATA_SOURCES の順）で検索できる状態にする
+        // prebuilt: data/ の検索インデックス・参照グラフを読み込むか（false ならその場で構築）
+        async setData([lawsData, synonyms, pdfMetadata, pdfData], { localSynonyms, prebuilt }) {
+            if (!lawsData && !pdfData) {
+                this.logger.error('❌ データ読み込みエラー: 検索できるデータがありません');
+                return false;
+            }
+
+            try {
+                this.laws = lawsData ? lawsData.laws : [];
+                this.synonyms = SynonymDictionary.fromData(synonyms);
+                this.localSynonyms = localSynonyms.map(entry => SynonymDictionary.normalizeEntry(entry));
+                this.prepareSynonyms();
+                this.pdfMetadata = pdfMetadata || { details: [], appendices: [] };
+
+                // 各プロパティが存在しない場合は空配列をデフォルトとして設定
+                this.pdfContent = {
+                    standards: (pdfData && pdfData.standards) || [],
+                    details: (pdfData && pdfData.details) || [],
+                    appendices: (pdfData && pdfData.appendices) || [],
+                    other: (pdfData && pdfData.other) || []
+                };
+
+                const source = {
+                    version: (pdfData && pdfData.version) || null,
+                    lastUpdated: (pdfData && pdfData.lastUpdated) || null
+                };
+                this.documents = SearchIndex.collectDocuments(this.laws, this.pdfContent);
+                this.facetValues = null;
+                this.index = prebuilt ? await this.loadIndex(source) : SearchIndex.build(this.documents, { source });
+                this.scorer = new BM25Scorer(this.index);
+                this.references = prebuilt ? await this.loadReferences(source) : this.buildReferences(source);
+                this.isReady = true;
+            } catch (error) {
+                this.logger.error('❌ データ読み込みエラー:', error);
+                return false;
+            }
 
             const totalPdfs = this.pdfContent.standards.length +
                 this.pdfContent.details.length +
                 this.pdfContent.appendices.length +
                 this.pdfContent.other.length;
 
-            console.log(`✅ データ読み込み完了: ${this.laws.length}件の法令`);
-            console.log(`📄 PDF資料: ${totalPdfs}件（保安基準${this.pdfContent.standards.length}件、細目告示${this.pdfContent.details.length}件、別添${this.pdfContent.appendices.length}件、その他${this.pdfContent.other.length}件）`);
+            this.logger.log(`✅ データ読み込み完了: ${this.laws.length}件の法令`);
+            this.logger.log(`📄 PDF資料: ${totalPdfs}件（保安基準${this.pdfContent.standards.length}件、細目告示${this.pdfContent.details.length}件、別添${this.pdfContent.appendices.length}件、その他${this.pdfContent.other.length}件）`);
             return true;
-        } catch (error) {
-            console.error('❌ データ読み込みエラー:', error);
-            return false;
         }
-    }
 
-    // 同義語展開
-    expandSynonyms(query) {
-        const terms = new Set([query.toLowerCase()]);
+        // データファイル1つの読み込みと形式チェック（使えなければ null、結果は sourceStatus に記録）
+        async loadSource({ key, file }) {
+            const status = { file, state: 'loaded', message: null, skipped: 0 };
+            this.sourceStatus[key] = status;
+
+            try {
+                const response = await fetch(this.baseUrl + file);
+                if (!response.ok) {
+                    status.state = response.status === 404 ? 'missing' : 'error';
+                    status.message = response.status === 404
+                        ? 'ファイルがありません'
+                        : `読み込みに失敗しました (HTTP ${response.status})`;
+                    this.logger.warn(`⚠️ ${file}: ${status.message}`);
+                    return null;
+                }
 
-        // 同義語辞書を検索
-        for (const [key, synonyms] of Object.entries(this.synonyms)) {
-            const keyLower = key.toLowerCase();
-            const synonymsLower = synonyms.map(s => s.toLowerCase());
+                let data;
+                try {
+                    data = await response.json();
+                } catch (error) {
+                    status.state = 'invalid';
+                    status.message = 'JSONとして読み込めません';
+                    this.logger.warn(`⚠️ ${file}: ${status.message}`, error);
+                    return null;
+                }
 
-            // クエリが辞書のキーに含まれる場合
-            if (query.toLowerCase().includes(keyLower)) {
-                terms.add(keyLower);
-                synonymsLower.forEach(s => terms.add(s));
+                return this.validateSource(status, key, data);
+            } catch (error) {
+                status.state = 'error';
+                status.message = '読み込みに失敗しました（通信エラー）';
+                this.logger.warn(`⚠️ ${file}: ${status.message}`, error);
+                return null;
             }
+        }
 
-            // クエリが同義語のいずれかに含まれる場合
-            if (synonymsLower.some(s => query.toLowerCase().includes(s))) {
-                terms.add(keyLower);
-                synonymsLower.forEach(s => terms.add(s));
+        // データの形式チェック（使えなければ null、形式の正しくない要素は除いて返す。結果は status に記録）
+        validateSource(status, key, data) {
+            const { valid, value, errors, warnings } = DataSchema.validate(key, data);
+            if (!valid) {
+                status.state = 'invalid';
+                status.message = `形式が正しくありません（${errors[0]}）`;
+                this.logger.warn(`⚠️ ${status.file}: 形式エラー`, errors);
+                return null;
+            }
+            if (warnings.length > 0) {
+                status.skipped = warnings.length;
+                status.message = `形式が正しくない${warnings.length}件を除外しました`;
+                this.logger.warn(`⚠️ ${status.file}: ${status.message}`, warnings);
             }
+            return value;
         }
 
-        return Array.from(terms);
-    }
+        // 一部のデータファイルが使えない状態か
+        isDegraded() {
+            return Object.values(this.sourceStatus).some(status => status.state !== 'loaded' || status.skipped > 0);
+        }
 
-    // 検索クエリのパース（AND/OR検索対応）
-    parseSearchQuery(query) {
-        // ORで分割（大文字小文字を区別しない）
-        const orGroups = query.split(/\s+OR\s+/i);
+        // 検索対象の資料ごとの読み込み状況（画面表示用）
+        getCorpusStatus() {
+            const laws = this.sourceStatus.laws || { state: 'missing', message: null };
+            const content = this.sourceStatus.pdfContent || { state: 'missing', message: null };
+            const synonyms = this.sourceStatus.synonyms || { state: 'missing', message: null };
+            const metadata = this.sourceStatus.pdfMetadata || { state: 'missing', message: null };
+            const corpora = [];
 
-        if (orGroups.length > 1) {
-            // OR検索: 各グループの同義語を展開
-            const expandedGroups = orGroups.map(group => {
-                const trimmed = group.trim();
-                return this.expandSynonyms(trimmed);
+            corpora.push({
+                key: 'laws',
+                label: '法令条文',
+                loaded: laws.state === 'loaded',
+                count: this.laws.reduce((total, law) => total + law.articles.length, 0),
+                unit: '条',
+                message: laws.message
             });
+
+            for (const category of SearchIndex.PDF_CATEGORIES) {
+                const count = this.pdfContent[category.key].length;
+                corpora.push({
+                    key: category.key,
+                    label: category.label,
+                    loaded: content.state === 'loaded' && count > 0,
+                    count,
+                    unit: '件',
+                    message: content.state === 'loaded'
+                        ? (count === 0 ? 'データに含まれていません' : content.message)
+                        : content.message
+                });
+            }
+
+            corpora.push({
+                key: 'synonyms',
+                label: '同義語辞書',
+                loaded: synonyms.state === 'loaded',
+                count: this.synonyms.length,
+                unit: '語',
+                message: synonyms.message
+            });
+
+            corpora.push({
+                key: 'pdfMetadata',
+                label: 'PDF原本リンク',
+                loaded: metadata.state === 'loaded',
+                count: (this.pdfMetadata.details || []).length + (this.pdfMetadata.appendices || []).length,
+                unit: '件',
+                message: metadata.message
+            });
+
+            return corpora;
+        }
+
+        // 読み込み結果のまとめ（Worker からページへ渡す）
+        getStatus() {
             return {
-                mode: 'OR',
-                groups: expandedGroups,
-                originalTerms: orGroups.map(g => g.trim())
-            };
-        } else {
-            // AND検索: スペース区切りで分割し、各単語の同義語を展開
-            const andTerms = query.trim().split(/\s+/);
-            const expandedTerms = andTerms.flatMap(term => this.expandSynonyms(term));
-            return {
-                mode: 'AND',
-                terms: Array.from(new Set(expandedTerms)), // 重複を削除
-                originalTerms: andTerms
+                ready: this.isReady,
+                stats: this.getStats(),
+                corpusStatus: this.isReady ? this.getCorpusStatus() : [],
+                degraded: this.isDegraded()
             };
         }
-    }
 
-    // テキストのハイライト
-    highlightText(text, terms) {
-        if (!text || terms.length === 0) return text;
+        // 検索インデックスの読み込み（無い・データと版が違う場合はその場で構築）
+        async loadIndex(source) {
+            try {
+                const response = await fetch(this.baseUrl + 'data/search_index.json');
+                if (response.ok) {
+                    const index = SearchIndex.fromJSON(await response.json());
+                    if (index.isCompatible(source, this.documents)) {
+                        return index;
+                    }
+                    this.logger.warn('⚠️ 検索インデックスがデータと一致しないため再構築します');
+                }
+            } catch (error) {
+                this.logger.warn('⚠️ 検索インデックスを読み込めませんでした:', error);
+            }
 
-        let result = text;
-        const sortedTerms = terms.sort((a, b) => b.length - a.length);
+            return SearchIndex.build(this.documents, { source });
+        }
 
-        for (const term of sortedTerms) {
-            if (term.length < 2) continue;
+        // 相互参照グラフの読み込み（無い・データと版が違う場合はその場で構築）
+        async loadReferences(source) {
+            try {
+                const response = await fetch(this.baseUrl + 'data/references.json');
+                if (response.ok) {
+                    const graph = ReferenceGraph.fromJSON(await response.json());
+                    if (graph.isCompatible(source)) {
+                        return graph;
+                    }
+                    this.logger.warn('⚠️ 参照グラフがデータと一致しないため再構築します');
+                }
+            } catch (error) {
+                this.logger.warn('⚠️ 参照グラフを読み込めませんでした:', error);
+            }
 
-            const regex = new RegExp(`(${this.escapeRegex(term)})`, 'gi');
-            result = result.replace(regex, '<span class="highlight">$1</span>');
+            return this.buildReferences(source);
         }
 
-        return result;
-    }
+        buildReferences(source) {
+            const pdfs = this.documents.filter(doc => doc.kind === 'pdf').map(doc => doc.pdf);
+            return ReferenceGraph.build(pdfs, { source });
+        }
 
-    // 正規表現のエスケープ
-    escapeRegex(str) {
-        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
+        // synonyms.json の組とチームの同義語から同義語辞書を作る（語彙を使う入力補完・もしかしては作り直す）
+        prepareSynonyms() {
+            this.synonymDictionary = new SynonymDictionary(SynonymDictionary.merge(this.synonyms, this.localSynonyms));
+            this.suggester = null;
+            this.completions = null;
+        }
 
-    // スコア計算
-    calculateScore(article, query, terms) {
-        let score = 0;
-        const content = (article.title + ' ' + article.content).toLowerCase();
-        const queryLower = query.toLowerCase();
+        // チームの同義語を入れ替える（ページで追加・削除したとき）
+        setLocalSynonyms(entries) {
+            this.localSynonyms = entries.map(entry => SynonymDictionary.normalizeEntry(entry));
+            this.prepareSynonyms();
+            return this.getStatus();
+        }
+
+        // チームの同義語の検査（synonyms.json の組と合わせて SynonymDictionary.lint で検査し、
+        // チームの同義語に関係するものだけ返す）: [{ level, message }]
+        checkSynonyms(entries) {
+            const localEntries = entries.map(entry => SynonymDictionary.normalizeEntry(entry));
+            const merged = SynonymDictionary.merge(this.synonyms, localEntries);
+            const firstLocal = merged.length - localEntries.length;
+            return SynonymDictionary.lint(merged)
+                .filter(issue => issue.entries.some(index => index >= firstLocal))
+                .map(({ level, message }) => ({ level, message }));
+        }
+
+        // 同義語展開: [{ term（正規化済み）, weight, scope }]（SynonymDictionary.expand を参照）
+        // フレーズ（"..."）は展開しない
+        expandTerm(node) {
+            if (node.phrase) {
+                return [{ term: TextNormalizer.normalize(node.value), weight: 1, scope: null }];
+            }
+            return this.synonymDictionary.expand(node.value);
+        }
+
+        // 検索式の語（同義語を含む）ごとのスコアの重み: Map<語, 重み>（同じ語は重みの大きいほう）
+        collectTermWeights(parsedQuery) {
+            const weights = new Map();
+            for (const node of this.collectPositiveTerms(parsedQuery)) {
+                for (const { term, weight } of this.expandTerm(node)) {
+                    weights.set(term, Math.max(weights.get(term) || 0, weight));
+                }
+            }
+            return weights;
+        }
+
+        // 文書の資料の種類（絞り込みの「資料の種類」、同義語の scope と比べる）
+        getDocumentType(docIndex) {
+            const doc = this.documents[docIndex];
+            return doc.kind === 'article' ? doc.law.lawType : doc.category.label;
+        }
+
+        // 検索クエリのパース（構文は query-parser.js を参照、解釈できなければ QuerySyntaxError）
+        parseSearchQuery(query) {
+            return QueryParser.parse(query);
+        }
 
-        // 完全一致ボーナス（増加）
-        if (content.includes(queryLower)) {
-            score += 150;
+        // テキストのハイライト（正規化後のテキスト上で語を探し、対応する元の文字範囲を囲む）
+        // 戻り値はエスケープ済みの HTML（render.js を参照）
+        highlightText(text, terms) {
+            return HtmlRenderer.highlight(text, this.findTermRanges(text, terms));
         }
 
-        // 各検索語のマッチング
-        for (const term of terms) {
-            const termLower = term.toLowerCase();
-            const matches = (content.match(new RegExp(this.escapeRegex(termLower), 'gi')) || []).length;
-            score += matches * 15; // スコアを1.5倍に増加
+        // テキスト中の語の位置（元の文字範囲、重なるものはまとめる）: [{ start, end, term（正規化済み） }]
+        findTermRanges(text, terms) {
+            if (!text || terms.length === 0) return [];
 
-            // タイトルに含まれる場合はボーナス（増加）
-            if (article.title.toLowerCase().includes(termLower)) {
-                score += 80;
+            const offsets = TextNormalizer.normalizeWithOffsets(text);
+            const sortedTerms = terms
+                .map(term => TextNormalizer.normalize(term))
+                .sort((a, b) => b.length - a.length);
+
+            const ranges = [];
+            for (const term of sortedTerms) {
+                if (term.length < 2) continue;
+
+                let from = 0;
+                let index;
+                while ((index = offsets.text.indexOf(term, from)) !== -1) {
+                    ranges.push({ ...TextNormalizer.toOriginalRange(offsets, index, index + term.length), term });
+                    from = index + term.length;
+                }
             }
 
-            // 条文番号に含まれる場合もボーナス
-            if (article.articleNumber && article.articleNumber.toLowerCase().includes(termLower)) {
-                score += 60;
+            ranges.sort((a, b) => a.start - b.start);
+            const merged = [];
+            for (const range of ranges) {
+                const last = merged[merged.length - 1];
+                if (last && range.start < last.end) {
+                    last.end = Math.max(last.end, range.end);
+                } else {
+                    merged.push(range);
+                }
             }
+            return merged;
         }
 
-        return score;
-    }
+        // 検索式の語を強調表示の組にする（除外した語は除き、組ごとに同義語を含む）
+        // 戻り値: [{ label（入力された語）, terms（正規化済み） }]（解釈できない検索式なら空）
+        getHighlightGroups(query) {
+            if (!query || query.trim().length === 0) return [];
 
-    // PDFのURLを取得
-    getPDFUrl(pdfId) {
-        // 細目告示のメタデータから検索
-        const detailMeta = this.pdfMetadata.details?.find(item => item.id === pdfId);
-        if (detailMeta && detailMeta.url) {
-            return detailMeta.url;
+            let parsedQuery;
+            try {
+                parsedQuery = this.parseSearchQuery(query.trim().normalize('NFKC'));
+            } catch (error) {
+                if (!(error instanceof QueryParser.QuerySyntaxError)) throw error;
+                return [];
+            }
+
+            return this.collectPositiveTerms(parsedQuery).map(node => ({
+                label: node.value,
+                terms: this.expandTerm(node).map(expansion => expansion.term)
+            }));
         }
 
-        // 別添のメタデータから検索
-        const appendixMeta = this.pdfMetadata.appendices?.find(item => item.id === pdfId);
-        if (appendixMeta && appendixMeta.url) {
-            return appendixMeta.url;
+        // 本文中の検索語の位置: [{ start, end, group（getHighlightGroups の組の番号） }]
+        findHighlights(text, groups) {
+            const groupOfTerm = new Map();
+            groups.forEach((group, i) => {
+                for (const term of group.terms) {
+                    if (!groupOfTerm.has(term)) groupOfTerm.set(term, i);
+                }
+            });
+
+            return this.findTermRanges(text, Array.from(groupOfTerm.keys()))
+                .map(({ start, end, term }) => ({ start, end, group: groupOfTerm.get(term) }));
         }
 
-        return null;
-    }
+        // 本文の正規化オフセット（インデックス上の位置を元の文字位置に戻すため）
+        getBodyOffsets(docIndex) {
+            if (!this.offsetCache.has(docIndex)) {
+                const { fields } = this.documents[docIndex];
+                this.offsetCache.set(docIndex, TextNormalizer.normalizeWithOffsets(fields.body));
+            }
+            return this.offsetCache.get(docIndex);
+        }
 
-    // PDFのIDを分かりやすい表示名に変換
-    formatPDFDisplayName(pdfId) {
-        // IDのパターンを解析
-        const match = pdfId.match(/^([A-Z])(\d+)(-\d+)?$/);
-        if (!match) {
-            return pdfId; // パターンに一致しない場合はそのまま返す
-        }
-
-        const prefix = match[1];
-        const number = parseInt(match[2], 10);
-        const suffix = match[3] || '';
-
-        // プレフィックスに応じて表示名を生成
-        switch (prefix) {
-            case 'S':
-                return `細目告示 第${number}条${suffix}`;
-            case 'B':
-                return `別添${number}${suffix}`;
-            case 'H':
-                return `保安基準 第${number}条${suffix}`;
-            default:
-                return pdfId;
+        // クエリに一致する文書を求める: Map<文書番号, マッチした語の配列>
+        matchQuery(parsedQuery, kind) {
+            const matched = new Map();
+            for (const [docIndex, terms] of this.evaluateQuery(parsedQuery)) {
+                if (this.documents[docIndex].kind === kind) {
+                    matched.set(docIndex, Array.from(terms));
+                }
+            }
+            return matched;
         }
-    }
 
-    // PDF資料の検索（AND/OR対応）
-    searchPDFs(query, parsedQuery) {
-        const pdfResults = [];
-
-        // すべてのPDFカテゴリを検索
-        const categories = [
-            { data: this.pdfContent.standards, type: 'standard', label: '保安基準' },
-            { data: this.pdfContent.details, type: 'detail', label: '細目告示' },
-            { data: this.pdfContent.appendices, type: 'appendix', label: '別添' },
-            { data: this.pdfContent.other, type: 'other', label: 'その他' }
-        ];
-
-        for (const category of categories) {
-            for (const pdf of category.data) {
-                const searchText = (
-                    pdf.title + ' ' +
-                    pdf.content + ' ' +
-                    (pdf.keywords || []).join(' ')
-                ).toLowerCase();
-
-                let score = 0;
-                let matchedTerms = [];
-                let matches = false;
-
-                if (parsedQuery.mode === 'OR') {
-                    // OR検索: いずれかのグループにマッチすればOK
-                    for (const group of parsedQuery.groups) {
-                        const groupMatches = group.some(term => searchText.includes(term.toLowerCase()));
-                        if (groupMatches) {
-                            matches = true;
-                            matchedTerms = matchedTerms.concat(group);
-                            break;
-                        }
-                    }
-                } else {
-                    // AND検索: すべての元の単語がマッチする必要がある
-                    matches = parsedQuery.originalTerms.every(originalTerm => {
-                        const synonyms = this.expandSynonyms(originalTerm);
-                        return synonyms.some(syn => searchText.includes(syn.toLowerCase()));
+        // 構文木を評価: Map<文書番号, マッチした語（正規化済み）の Set>
+        evaluateQuery(node) {
+            switch (node.type) {
+                case 'term':
+                    return this.evaluateTerm(node);
+
+                case 'filter': {
+                    const matched = new Map();
+                    this.documents.forEach((doc, docIndex) => {
+                        if (this.matchesTypeFilter(doc, node.filter)) matched.set(docIndex, new Set());
                     });
-                    if (matches) {
-                        matchedTerms = parsedQuery.terms;
-                    }
+                    return matched;
                 }
 
-                if (matches) {
-                    // スコア計算
-                    for (const term of matchedTerms) {
-                        const termLower = term.toLowerCase();
-                        if (searchText.includes(termLower)) {
-                            const termMatches = (searchText.match(new RegExp(this.escapeRegex(termLower), 'gi')) || []).length;
-                            score += termMatches * 10;
-
-                            // タイトルに含まれる場合はボーナス
-                            if (pdf.title.toLowerCase().includes(termLower)) {
-                                score += 50;
-                            }
+                case 'or': {
+                    // いずれかに一致（複数に一致した文書は、一致したすべての語で採点する）
+                    const matched = new Map();
+                    for (const child of node.children) {
+                        for (const [docIndex, terms] of this.evaluateQuery(child)) {
+                            const merged = matched.get(docIndex);
+                            matched.set(docIndex, merged ? new Set([...merged, ...terms]) : terms);
+                        }
+                    }
+                    return matched;
+                }
 
-                            // キーワードに含まれる場合もボーナス
-                            if (pdf.keywords && pdf.keywords.some(kw => kw.toLowerCase().includes(termLower))) {
-                                score += 30;
+                case 'and': {
+                    // すべてに一致し、除外（not）のいずれにも一致しない
+                    let matched = null;
+                    for (const child of node.children.filter(c => c.type !== 'not')) {
+                        const result = this.evaluateQuery(child);
+                        if (matched === null) {
+                            matched = result;
+                        } else {
+                            const intersection = new Map();
+                            for (const [docIndex, terms] of matched) {
+                                if (result.has(docIndex)) {
+                                    intersection.set(docIndex, new Set([...terms, ...result.get(docIndex)]));
+                                }
                             }
+                            matched = intersection;
                         }
+                        if (matched.size === 0) return matched;
                     }
 
-                    // コンテンツのプレビューを作成
-                    let preview = pdf.content.substring(0, 200);
-                    for (const term of matchedTerms) {
-                        const index = pdf.content.toLowerCase().indexOf(term.toLowerCase());
-                        if (index !== -1 && index < 500) {
-                            const start = Math.max(0, index - 50);
-                            const end = Math.min(pdf.content.length, index + 150);
-                            preview = '...' + pdf.content.substring(start, end) + '...';
-                            break;
+                    for (const child of node.children.filter(c => c.type === 'not')) {
+                        for (const docIndex of this.evaluateQuery(child.child).keys()) {
+                            matched.delete(docIndex);
                         }
                     }
+                    return matched;
+                }
 
-                    pdfResults.push({
-                        type: category.type,
-                        typeLabel: category.label,
-                        id: pdf.id,
-                        displayName: this.formatPDFDisplayName(pdf.id), // 分かりやすい表示名を追加
-                        title: pdf.title,
-                        content: preview,
-                        fullContent: pdf.content,
-                        keywords: pdf.keywords || [],
-                        fullTextLength: pdf.fullTextLength || pdf.content.length,
-                        score: score,
-                        highlightedTitle: this.highlightText(pdf.title, matchedTerms),
-                        highlightedContent: this.highlightText(preview, matchedTerms),
-                        url: this.getPDFUrl(pdf.id)
-                    });
+                default:
+                    // 単独の not は QueryParser が受け付けない
+                    throw new Error(`評価できない検索式です: ${node.type}`);
+            }
+        }
+
+        // 検索語（フレーズ以外は同義語も含む）のいずれかに一致する文書
+        // scope のある同義語は、その種類の資料でだけ一致とみなす
+        evaluateTerm(node) {
+            const expansions = this.expandTerm(node);
+            const fields = node.field ? [node.field] : MATCH_FIELDS;
+            const inScope = (scope, docIndex) => !scope || scope.includes(this.getDocumentType(docIndex));
+
+            const matched = new Map();
+            for (const { term, scope } of expansions) {
+                for (const docIndex of this.index.findDocuments(term, fields)) {
+                    if (matched.has(docIndex) || !inScope(scope, docIndex)) continue;
+
+                    const terms = expansions
+                        .filter(expansion => inScope(expansion.scope, docIndex))
+                        .map(expansion => expansion.term);
+                    matched.set(docIndex, new Set(terms));
                 }
             }
+            return matched;
         }
 
-        // スコアでソート
-        pdfResults.sort((a, b) => b.score - a.score);
+        // 構文木を1つの版のテキストで評価する（規則は evaluateQuery と同じ）
+        // fields は getVersionFields の結果。戻り値: マッチした語（正規化済み）の Set（一致しなければ null）
+        evaluateVersion(node, docIndex, fields) {
+            switch (node.type) {
+                case 'term': {
+                    const searchFields = node.field ? [node.field] : MATCH_FIELDS;
+                    const type = this.getDocumentType(docIndex);
+                    const expansions = this.expandTerm(node).filter(({ scope }) => !scope || scope.includes(type));
+                    const found = expansions.some(({ term }) =>
+                        term.length > 0 && searchFields.some(field => fields[field].includes(term)));
+                    return found ? new Set(expansions.map(expansion => expansion.term)) : null;
+                }
 
-        return pdfResults;
-    }
+                case 'filter':
+                    return this.matchesTypeFilter(this.documents[docIndex], node.filter) ? new Set() : null;
 
-    // 検索実行
-    search(query, filters = { law: true, ordinance: true, details: true, appendices: true }) {
-        if (!this.isReady || !query || query.trim().length === 0) {
-            return { articles: [], pdfs: [] };
-        }
-
-        const parsedQuery = this.parseSearchQuery(query.trim());
-        const articleResults = [];
-
-        // 法令条文を検索
-        for (const law of this.laws) {
-            // フィルター適用
-            if (law.lawType === '法律' && !filters.law) continue;
-            if (law.lawType === '省令' && !filters.ordinance) continue;
-
-            for (const article of law.articles) {
-                const content = (article.title + ' ' + article.content).toLowerCase();
-                let matches = false;
-                let matchedTerms = [];
-
-                if (parsedQuery.mode === 'OR') {
-                    // OR検索: いずれかのグループにマッチすればOK
-                    for (const group of parsedQuery.groups) {
-                        const groupMatches = group.some(term => content.includes(term.toLowerCase()));
-                        if (groupMatches) {
-                            matches = true;
-                            matchedTerms = matchedTerms.concat(group);
-                            break;
-                        }
+                case 'or': {
+                    let matched = null;
+                    for (const child of node.children) {
+                        const terms = this.evaluateVersion(child, docIndex, fields);
+                        if (terms) matched = new Set([...(matched || []), ...terms]);
                     }
-                } else {
-                    // AND検索: すべての元の単語がマッチする必要がある
-                    matches = parsedQuery.originalTerms.every(originalTerm => {
-                        // 元の単語またはその同義語のいずれかがマッチすればOK
-                        const synonyms = this.expandSynonyms(originalTerm);
-                        return synonyms.some(syn => content.includes(syn.toLowerCase()));
-                    });
-                    if (matches) {
-                        matchedTerms = parsedQuery.terms;
+                    return matched;
+                }
+
+                case 'and': {
+                    let matched = new Set();
+                    for (const child of node.children) {
+                        if (child.type === 'not') {
+                            if (this.evaluateVersion(child.child, docIndex, fields)) return null;
+                            continue;
+                        }
+                        const terms = this.evaluateVersion(child, docIndex, fields);
+                        if (!terms) return null;
+                        matched = new Set([...matched, ...terms]);
                     }
+                    return matched;
                 }
 
-                if (matches) {
-                    const score = this.calculateScore(article, query, matchedTerms);
-
-                    articleResults.push({
-                        lawId: law.lawId,
-                        lawName: law.lawName,
-                        lawType: law.lawType,
-                        articleNumber: article.articleNumber,
-                        title: article.title,
-                        content: article.content,
-                        paragraphs: article.paragraphs,
-                        score: score,
-                        highlightedTitle: this.highlightText(article.title, matchedTerms),
-                        highlightedContent: this.highlightText(
-                            article.content.substring(0, 300) +
-                            (article.content.length > 300 ? '...' : ''),
-                            matchedTerms
-                        )
-                    });
+                default:
+                    throw new Error(`評価できない検索式です: ${node.type}`);
+            }
+        }
+
+        // type: の指定に当てはまる文書か
+        matchesTypeFilter(doc, filter) {
+            if (doc.kind !== filter.kind) return false;
+            if (filter.category && doc.category.key !== filter.category) return false;
+            if (filter.lawType && doc.law.lawType !== filter.lawType) return false;
+            return true;
+        }
+
+        // スコア計算（条文・PDF資料で共通の BM25 スコアに、最もよく一致したパッセージのスコアを加える）
+        // weights: 語ごとの重み（collectTermWeights の結果、同義語の一致は検索語そのものより低くする）
+        // 戻り値: { score, passages（BM25Scorer.passageScores の結果） }
+        calculateScore(docIndex, terms, weights = null) {
+            const passages = this.scorer.passageScores(docIndex, terms, weights);
+            const best = passages.length > 0 ? passages[0].score : 0;
+            return { score: this.scorer.score(docIndex, terms, weights) + PASSAGE_WEIGHT * best, passages };
+        }
+
+        // PDFのURLを取得
+        // 許可していない scheme・ホストのURLはリンクにしない（HtmlRenderer.safeUrl）
+        getPDFUrl(pdfId) {
+            // 細目告示のメタデータから検索
+            const detailMeta = this.pdfMetadata.details?.find(item => item.id === pdfId);
+            if (detailMeta && detailMeta.url) {
+                return HtmlRenderer.safeUrl(detailMeta.url);
+            }
+
+            // 別添のメタデータから検索
+            const appendixMeta = this.pdfMetadata.appendices?.find(item => item.id === pdfId);
+            if (appendixMeta && appendixMeta.url) {
+                return HtmlRenderer.safeUrl(appendixMeta.url);
+            }
+
+            return null;
+        }
+
+        // PDFのIDを分かりやすい表示名に変換
+        formatPDFDisplayName(pdfId) {
+            return CitationParser.formatDisplayName(pdfId);
+        }
+
+        // PDF資料のよく一致したパッセージのプレビュー（スコアの高い順）
+        // 戻り値: [{ start, end（本文上のパッセージの範囲）, label, preview, highlightedPreview }]
+        createPassagePreviews(docIndex, matchedTerms, passages) {
+            const { pdf } = this.documents[docIndex];
+            const ranges = PassageSplitter.split(pdf.content);
+            const offsets = this.getBodyOffsets(docIndex);
+
+            const previews = [];
+            for (const { passage, position } of passages.slice(0, PASSAGE_PREVIEW_LIMIT)) {
+                const range = ranges[passage];
+                if (!range) continue;
+
+                // 長いパッセージは最初に一致した語の少し前から
+                let start = range.start;
+                let end = range.end;
+                if (end - start > PASSAGE_PREVIEW_LENGTH) {
+                    const hit = offsets.starts[position] !== undefined ? offsets.starts[position] : range.start;
+                    start = Math.max(range.start, Math.min(hit - 40, range.end - PASSAGE_PREVIEW_LENGTH));
+                    end = start + PASSAGE_PREVIEW_LENGTH;
                 }
+
+                const preview = (start > range.start ? '...' : '') +
+                    pdf.content.substring(start, end).trim() +
+                    (end < range.end ? '...' : '');
+                previews.push({
+                    start: range.start,
+                    end: range.end,
+                    label: range.label,
+                    preview,
+                    highlightedPreview: this.highlightText(preview, matchedTerms)
+                });
             }
+            return previews;
         }
 
-        // スコアでソート
-        articleResults.sort((a, b) => b.score - a.score);
+        // 法令条文の検索結果オブジェクトを作成
+        createArticleResult(docIndex, matchedTerms, score) {
+            const { law, article } = this.documents[docIndex];
 
-        // PDF資料を検索
-        const pdfResults = this.searchPDFs(query, parsedQuery);
+            return {
+                kind: 'article',
+                lawId: law.lawId,
+                lawName: law.lawName,
+                lawType: law.lawType,
+                articleNumber: article.articleNumber,
+                title: article.title,
+                content: article.content,
+                paragraphs: article.paragraphs,
+                score: score,
+                highlightedTitle: this.highlightText(article.title, matchedTerms),
+                highlightedContent: this.highlightText(
+                    article.content.substring(0, 300) +
+                    (article.content.length > 300 ? '...' : ''),
+                    matchedTerms
+                )
+            };
+        }
 
-        const searchModeText = parsedQuery.mode === 'OR' ? 'OR検索' : 'AND検索';
-        console.log(`🔍 検索完了 (${searchModeText}): "${query}" → 条文${articleResults.length}件、PDF資料${pdfResults.length}件`);
-        console.log(`📝 検索モード: ${parsedQuery.mode}`);
+        // PDF資料の検索結果オブジェクトを作成
+        // passages は一致したパッセージのプレビュー（createPassagePreviews の結果）
+        createPDFResult(docIndex, matchedTerms, score, preview, passages = []) {
+            const { pdf, category, revisionDate } = this.documents[docIndex];
 
-        return {
-            articles: articleResults,
-            pdfs: pdfResults
-        };
-    }
+            return {
+                kind: 'pdf',
+                type: category.type,
+                typeLabel: category.label,
+                id: pdf.id,
+                displayName: this.formatPDFDisplayName(pdf.id), // 分かりやすい表示名を追加
+                title: pdf.title,
+                content: preview,
+                fullContent: pdf.content,
+                keywords: pdf.keywords || [],
+                fullTextLength: pdf.fullTextLength || pdf.content.length,
+                revisionDate: revisionDate,
+                score: score,
+                highlightedTitle: this.highlightText(pdf.title, matchedTerms),
+                highlightedContent: this.highlightText(preview, matchedTerms),
+                passages: passages,
+                url: this.getPDFUrl(pdf.id)
+            };
+        }
+
+        // 引用表記（例: 保安基準17条の2、細目告示 第41条、別添5、H017-2）に該当する文書
+        findCitation(query) {
+            const citation = CitationParser.parse(query);
+            if (!citation) return null;
+
+            return { citation, result: this.getCitedResult(citation) };
+        }
+
+        // 文書IDからPDF資料の文書番号を探す（見つからなければ -1）
+        findPDFDocument(id) {
+            return this.documents.findIndex(doc => doc.kind === 'pdf' && doc.pdf.id === id);
+        }
+
+        // 法令ID・条番号の条文の結果オブジェクト（該当する条文が無ければ null）
+        getArticleResult(lawId, articleNumber) {
+            const docIndex = this.documents.findIndex(doc => doc.ref === `law:${lawId}:${articleNumber}`);
+            return docIndex === -1 ? null : this.createArticleResult(docIndex, [], 0);
+        }
+
+        // 引用された文書の結果オブジェクト（項・号の範囲付き、該当文書が無ければ null）
+        // versionIndex を渡すと、その版（getVersions の番号）の本文から作る
+        getCitedResult(citation, versionIndex = null) {
+            const docIndex = this.findPDFDocument(citation.id);
+            if (docIndex === -1) return null;
+            if (versionIndex !== null && !this.getVersions(docIndex)[versionIndex]) versionIndex = null;
 
-    // 統計情報の取得
-    getStats() {
-        if (!this.isReady) return null;
+            const content = versionIndex === null
+                ? this.documents[docIndex].pdf.content
+                : this.getVersions(docIndex)[versionIndex].content;
+            const range = CitationParser.findParagraphRange(content, citation.paragraph, citation.item);
+            const preview = range
+                ? content.substring(range.start, Math.min(range.end, range.start + 200)) +
+                    (range.end > range.start + 200 ? '...' : '')
+                : content.substring(0, 200);
 
-        let totalArticles = 0;
-        for (const law of this.laws) {
-            totalArticles += law.articles.length;
+            const result = this.createPDFResult(docIndex, [], 0, preview);
+            result.citation = { ...citation, range };
+            return versionIndex === null ? result : this.withVersion(result, docIndex, versionIndex, []);
         }
 
-        return {
-            lawCount: this.laws.length,
-            articleCount: totalArticles,
-            synonymCount: Object.keys(this.synonyms).length,
-            standardsCount: this.pdfContent.standards.length,
-            detailsCount: this.pdfContent.details.length,
-            appendicesCount: this.pdfContent.appendices.length,
-            otherCount: this.pdfContent.other.length
-        };
+        // 詳細表示用の全文と相互参照（検索結果には全文を含めずに受け渡すため別に取得する）
+        // query を渡すと、本文中の検索語の位置（highlights）と語の組（highlightGroups）も返す
+        // versionIndex（versions の index）を渡すと、その版の本文を返す（無い版なら現行の版）
+        getDocumentDetail(id, query = '', versionIndex = null) {
+            const docIndex = this.findPDFDocument(id);
+            if (docIndex === -1) return null;
+
+            const { pdf } = this.documents[docIndex];
+            const version = versionIndex === null ? null : this.getVersions(docIndex)[versionIndex];
+            const content = version ? version.content : pdf.content;
+            const groups = this.getHighlightGroups(query);
+            return {
+                fullContent: content,
+                referenceLinks: this.getReferenceLinks({ id: pdf.id, fullContent: content }),
+                referencedBy: this.getReferencingDocuments(pdf.id),
+                highlights: this.findHighlights(content, groups),
+                highlightGroups: groups.map(group => group.label),
+                versions: this.getVersions(docIndex).map(({ revisionDate, current }, index) => ({ index, revisionDate, current }))
+            };
+        }
+
+        // PDF資料の版の一覧（改正日の古い順、最後が現行の版）
+        //   [{ revisionDate, title, content, current }]
+        getVersions(docIndex) {
+            const { pdf, revisionDate } = this.documents[docIndex];
+            const versions = (pdf.versions || [])
+                .map(version => ({
+                    revisionDate: version.revisionDate || SearchIndex.extractRevisionDate(version.content),
+                    title: version.title || pdf.title,
+                    content: version.content,
+                    current: false
+                }))
+                .sort((a, b) => (a.revisionDate || '').localeCompare(b.revisionDate || ''));
+
+            versions.push({ revisionDate, title: pdf.title, content: pdf.content, current: true });
+            return versions;
+        }
+
+        // 指定日（YYYY-MM-DD）の時点で施行されていた版（改正日の分かる版のうち最も新しいもの、無ければ null）
+        //   { index（getVersions の番号）, revisionDate, title, content, current }
+        getVersionAsOf(docIndex, asOf) {
+            const versions = this.getVersions(docIndex);
+            for (let index = versions.length - 1; index >= 0; index--) {
+                const { revisionDate } = versions[index];
+                if (revisionDate && revisionDate <= asOf) return { index, ...versions[index] };
+            }
+            return null;
+        }
+
+        // 版の検索対象のフィールド（正規化済み、インデックスの文書と同じ組み立て）
+        getVersionFields(docIndex, version) {
+            const key = `${docIndex}:${version.index}`;
+            if (!this.versionFieldCache.has(key)) {
+                const { pdf } = this.documents[docIndex];
+                this.versionFieldCache.set(key, {
+                    title: TextNormalizer.normalize(version.title),
+                    body: TextNormalizer.normalize(version.content),
+                    keywords: TextNormalizer.normalize((pdf.keywords || []).join('、')),
+                    number: TextNormalizer.normalize(SearchIndex.extractArticleNumber(version.content))
+                });
+            }
+            return this.versionFieldCache.get(key);
+        }
+
+        // 版のテキストで検索式を評価して採点する（一致しなければ null）
+        // 戻り値は rankDocuments の ranked と同じ形で、version に版の番号を持つ
+        matchVersion(parsedQuery, docIndex, version, weights) {
+            const fields = this.getVersionFields(docIndex, version);
+            const terms = this.evaluateVersion(parsedQuery, docIndex, fields);
+            if (!terms) return null;
+
+            const matchedTerms = Array.from(terms);
+            return {
+                docIndex,
+                kind: 'pdf',
+                matchedTerms,
+                score: this.scorer.scoreText(fields, matchedTerms, weights),
+                passages: [],
+                revisionDate: version.revisionDate,
+                version: version.index
+            };
+        }
+
+        // 2つの版（getDocumentDetail の versions の index）の本文の差分
+        // 戻り値: { from, to（{ index, revisionDate, current }）, changes（TextDiff.diff の結果）, inserted, deleted }
+        getVersionDiff(id, fromIndex, toIndex) {
+            const docIndex = this.findPDFDocument(id);
+            if (docIndex === -1) return null;
+
+            const versions = this.getVersions(docIndex);
+            const from = versions[fromIndex];
+            const to = versions[toIndex];
+            if (!from || !to) return null;
+
+            const changes = TextDiff.diff(StructureParser.toPlainText(from.content), StructureParser.toPlainText(to.content));
+            return {
+                from: { index: fromIndex, revisionDate: from.revisionDate, current: from.current },
+                to: { index: toIndex, revisionDate: to.revisionDate, current: to.current },
+                changes,
+                ...TextDiff.summarize(changes)
+            };
+        }
+
+        // 比較表示の相手（保安基準 ⇔ 細目告示）をつながりの強い順に返す
+        // 互いの引用と、条の題名（例: 物品積載装置）が同じことをつながりとみなす
+        // 戻り値: [{ id, displayName, title, reasons（'references' / 'referencedBy' / 'caption'） }]
+        getCounterparts(id, { limit = 8 } = {}) {
+            const source = CitationParser.parseId(id);
+            if (!source || !COUNTERPART_PREFIXES[source.prefix] || this.findPDFDocument(id) === -1) return [];
+            const otherPrefix = COUNTERPART_PREFIXES[source.prefix];
+
+            const candidates = new Map();
+            const add = (candidateId, weight, reason) => {
+                const candidate = CitationParser.parseId(candidateId);
+                if (!candidate || candidate.prefix !== otherPrefix || this.findPDFDocument(candidateId) === -1) return;
+
+                if (!candidates.has(candidateId)) {
+                    candidates.set(candidateId, { id: candidateId, candidate, weight: 0, reasons: [] });
+                }
+                const entry = candidates.get(candidateId);
+                entry.weight += weight;
+                if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+            };
+
+            if (this.references) {
+                for (const target of this.references.getReferences(id)) add(target.id, 2, 'references');
+                for (const sourceId of this.references.getReferencedBy(id)) add(sourceId, 2, 'referencedBy');
+            }
+
+            const caption = this.getArticleCaptions().get(id);
+            if (caption) {
+                for (const [otherId, otherCaption] of this.getArticleCaptions()) {
+                    if (otherCaption === caption) add(otherId, 3, 'caption');
+                }
+            }
+
+            return Array.from(candidates.values())
+                .sort((a, b) =>
+                    b.weight - a.weight ||
+                    a.candidate.number - b.candidate.number ||
+                    (a.candidate.branch || 0) - (b.candidate.branch || 0)
+                )
+                .slice(0, limit)
+                .map(({ id: candidateId, reasons }) => {
+                    const { pdf } = this.documents[this.findPDFDocument(candidateId)];
+                    return { id: candidateId, displayName: this.formatPDFDisplayName(candidateId), title: pdf.title, reasons };
+                });
+        }
+
+        // PDF資料ごとの条の題名（本文の「第27条（物品積載装置）」の行から、初めて使うときに作る）
+        getArticleCaptions() {
+            if (!this.articleCaptions) {
+                this.articleCaptions = new Map();
+                for (const doc of this.documents) {
+                    if (doc.kind !== 'pdf') continue;
+                    const title = StructureParser.scanLines(doc.pdf.content).find(line => line.type === 'title' && line.caption);
+                    if (title) this.articleCaptions.set(doc.pdf.id, title.caption);
+                }
+            }
+            return this.articleCaptions;
+        }
+
+        // 本文中の引用のうち、リンクにできるもの（参照先の文書がデータにあるもの）
+        getReferenceLinks(result) {
+            if (!result.fullContent) return [];
+
+            return ReferenceExtractor.extract(result.fullContent, result.id)
+                .filter(reference => reference.start !== undefined && this.findPDFDocument(reference.id) !== -1);
+        }
+
+        // この文書を参照している文書の一覧
+        getReferencingDocuments(id) {
+            if (!this.references) return [];
+
+            return this.references.getReferencedBy(id)
+                .map(sourceId => this.findPDFDocument(sourceId))
+                .filter(docIndex => docIndex !== -1)
+                .map(docIndex => {
+                    const { pdf } = this.documents[docIndex];
+                    return {
+                        id: pdf.id,
+                        displayName: this.formatPDFDisplayName(pdf.id),
+                        title: pdf.title
+                    };
+                });
+        }
+
+        // 文書の絞り込み項目の値（{ type: ['細目告示'], keyword: ['前照灯'], year: ['2023'] }、初めて使うときに作る）
+        // キーワードは pdf_content.json と pdf_metadata.json の両方から、条文の種類は法律・省令
+        getFacetValues(docIndex) {
+            if (!this.facetValues) {
+                const metadataKeywords = new Map();
+                for (const meta of [...(this.pdfMetadata.details || []), ...(this.pdfMetadata.appendices || [])]) {
+                    metadataKeywords.set(meta.id, meta.keywords || []);
+                }
+
+                this.facetValues = this.documents.map(doc => {
+                    if (doc.kind === 'article') {
+                        return { type: [doc.law.lawType], keyword: [], year: [] };
+                    }
+                    const keywords = new Set([...(doc.pdf.keywords || []), ...(metadataKeywords.get(doc.pdf.id) || [])]);
+                    return {
+                        type: [doc.category.label],
+                        keyword: Array.from(keywords),
+                        year: doc.revisionDate ? [doc.revisionDate.slice(0, 4)] : []
+                    };
+                });
+            }
+            return this.facetValues[docIndex];
+        }
+
+        // 指定日（YYYY-MM-DD）の時点で、この版が施行済みか（改正日が不明なものは常に対象）
+        isInEffect(result, asOf) {
+            return !asOf || !result.revisionDate || result.revisionDate <= asOf;
+        }
+
+        // 検索条件の資料の種類（細目告示・別添を含めるか）に当てはまるPDF資料か
+        isCategoryIncluded(docIndex, filters) {
+            const categoryFilter = CATEGORY_FILTERS[this.documents[docIndex].category.type];
+            return !categoryFilter || filters[categoryFilter] !== false;
+        }
+
+        // 引用表記に該当する文書の順位付けの項目（検索条件に当てはまらなければ null）
+        // 施行日の指定より後に改正された文書は、その日の時点の版があればその版を返す
+        rankCitation(citation, filters) {
+            const docIndex = this.findPDFDocument(citation.id);
+            if (docIndex === -1 || !this.isCategoryIncluded(docIndex, filters)) return null;
+
+            const { revisionDate } = this.documents[docIndex];
+            const entry = { docIndex, kind: 'pdf', matchedTerms: [], score: 0, passages: [], revisionDate, citation };
+            if (this.isInEffect(entry, filters.asOf)) return entry;
+
+            const version = this.getVersionAsOf(docIndex, filters.asOf);
+            return version ? { ...entry, revisionDate: version.revisionDate, version: version.index } : null;
+        }
+
+        // 並び替え（relevance: 関連度順、date-desc: 改正日の新しい順、date-asc: 改正日の古い順）
+        sortResults(results, sort = 'relevance') {
+            if (sort === 'date-desc' || sort === 'date-asc') {
+                const direction = sort === 'date-desc' ? -1 : 1;
+                return results.sort((a, b) => {
+                    if (a.revisionDate === b.revisionDate) return b.score - a.score;
+                    if (!a.revisionDate) return 1; // 改正日不明は末尾
+                    if (!b.revisionDate) return -1;
+                    return (a.revisionDate < b.revisionDate ? -1 : 1) * direction;
+                });
+            }
+            return results.sort((a, b) => b.score - a.score);
+        }
+
+        // 検索対象の文書を順位付けする（結果オブジェクトは作らない）
+        // 戻り値の ranked は { docIndex, kind, matchedTerms, score, passages, revisionDate, version?, citation? } の配列
+        rankDocuments(query, filters = DEFAULT_FILTERS) {
+            const ranking = { ranked: [], articleCount: 0, pdfCount: 0, citation: null, hasCitationResult: false, excludedByDate: 0, facets: null, error: null, suggestion: null };
+            if (!this.isReady || !query || query.trim().length === 0) {
+                return ranking;
+            }
+
+            // 引用表記はクエリの構文とは別に判定する（「保安基準 第17条」はキーワード検索としても有効）
+            const citation = CitationParser.parse(query);
+            const citedEntry = citation ? this.rankCitation(citation, filters) : null;
+            ranking.citation = citation;
+
+            const queryText = query.trim().normalize('NFKC');
+            let parsedQuery;
+            try {
+                parsedQuery = this.parseSearchQuery(queryText);
+            } catch (error) {
+                if (!(error instanceof QueryParser.QuerySyntaxError)) throw error;
+
+                // 検索式として解釈できなくても、引用表記に該当する文書は返す
+                if (citedEntry) {
+                    ranking.ranked = [citedEntry];
+                    ranking.pdfCount = 1;
+                    ranking.hasCitationResult = true;
+                    return ranking;
+                }
+                ranking.error = { message: error.message, position: error.position };
+                this.logger.warn(`⚠️ 検索式を解釈できません: "${query}" → ${error.message}`);
+                return ranking;
+            }
+            const weights = this.collectTermWeights(parsedQuery);
+            const articles = [];
+
+            // 法令条文を検索
+            for (const [docIndex, matchedTerms] of this.matchQuery(parsedQuery, 'article')) {
+                const { law } = this.documents[docIndex];
+
+                // フィルター適用
+                if (law.lawType === '法律' && !filters.law) continue;
+                if (law.lawType === '省令' && !filters.ordinance) continue;
+
+                articles.push({ docIndex, kind: 'article', matchedTerms, ...this.calculateScore(docIndex, matchedTerms, weights) });
+            }
+
+            // PDF資料を検索（施行日の指定があれば、その日より後に改正された資料は下でその日の時点の版を検索する）
+            const isIncluded = docIndex => this.isCategoryIncluded(docIndex, filters);
+            const matchedPdfs = this.matchQuery(parsedQuery, 'pdf');
+            const inEffect = [];
+            for (const [docIndex, matchedTerms] of matchedPdfs) {
+                const { revisionDate } = this.documents[docIndex];
+                if (!isIncluded(docIndex) || !this.isInEffect({ revisionDate }, filters.asOf)) continue;
+
+                inEffect.push({ docIndex, kind: 'pdf', matchedTerms, ...this.calculateScore(docIndex, matchedTerms, weights), revisionDate });
+            }
+
+            // 指定日より後に改正された資料は、その日の時点の版（pdf_content.json の versions）で検索する
+            // その時点の版のデータが無い資料は除き、現行の版が一致していた件数を excludedByDate として返す
+            if (filters.asOf) {
+                this.documents.forEach((doc, docIndex) => {
+                    if (doc.kind !== 'pdf' || !isIncluded(docIndex) || this.isInEffect(doc, filters.asOf)) return;
+
+                    const version = this.getVersionAsOf(docIndex, filters.asOf);
+                    if (!version) {
+                        if (matchedPdfs.has(docIndex)) ranking.excludedByDate++;
+                        return;
+                    }
+                    const entry = this.matchVersion(parsedQuery, docIndex, version, weights);
+                    if (entry) inEffect.push(entry);
+                });
+            }
+
+            // 資料の種類・キーワード・改正年による絞り込み（値ごとの件数は絞り込む前の結果から数える）
+            // 過去の版で一致した資料の改正年は、その版の改正年
+            const selection = filters.facets || {};
+            const getValues = entry => {
+                const values = this.getFacetValues(entry.docIndex);
+                return entry.version !== undefined ? { ...values, year: [entry.revisionDate.slice(0, 4)] } : values;
+            };
+            ranking.facets = FacetCounter.count([...articles, ...inEffect], getValues, selection);
+            const matchesFacets = entry => FacetCounter.matches(getValues(entry), selection);
+            const filteredArticles = articles.filter(matchesFacets);
+            const pdfs = inEffect.filter(matchesFacets);
+
+            this.logger.log(`🔍 検索完了: "${query}" → 条文${filteredArticles.length}件、PDF資料${pdfs.length}件`);
+
+            // 条文とPDF資料はスコアの尺度が同じなので、まとめて順位付けする
+            ranking.ranked = this.sortResults([...filteredArticles, ...pdfs], filters.sort);
+            ranking.articleCount = filteredArticles.length;
+            ranking.pdfCount = pdfs.length;
+
+            // 引用表記に該当する文書は、検索条件に当てはまれば通常の検索結果より前に置く
+            if (citedEntry && matchesFacets(citedEntry)) {
+                const isSameDocument = entry => entry.docIndex === citedEntry.docIndex;
+                if (!pdfs.some(isSameDocument)) ranking.pdfCount++;
+                ranking.ranked = [citedEntry, ...ranking.ranked.filter(entry => !isSameDocument(entry))];
+                ranking.hasCitationResult = true;
+                this.logger.log(`📌 引用表記を検出: ${citation.label}`);
+            }
+
+            // 結果が無ければ、入力ミスと思われる語を直した検索式を提案する
+            if (ranking.ranked.length === 0) {
+                ranking.suggestion = this.suggestQuery(parsedQuery, queryText);
+            }
+
+            return ranking;
+        }
+
+        // もしかして: 一致する資料が無い語を語彙中の近い語に置き換えた検索式（見つからなければ null）
+        // 戻り値: { query, replacements: [{ from, to }] }
+        suggestQuery(parsedQuery, queryText) {
+            if (!this.suggester) {
+                this.suggester = SpellingSuggester.fromDocuments(this.documents, this.synonymDictionary.entries);
+            }
+
+            const replacements = [];
+            for (const node of this.collectPositiveTerms(parsedQuery)) {
+                if (this.evaluateTerm(node).size > 0) continue;
+
+                // 候補のうち、実際に資料に一致する語を採用
+                const candidate = this.suggester.suggest(node.value)
+                    .find(({ word }) => this.evaluateTerm({ ...node, value: word }).size > 0);
+                if (!candidate) continue;
+
+                const start = node.position + (node.phrase ? 1 : 0);
+                replacements.push({ start, end: start + node.value.length, from: node.value, to: candidate.word });
+            }
+            if (replacements.length === 0) return null;
+
+            // 後ろから置き換えて位置がずれないようにする
+            let suggested = queryText;
+            for (const { start, end, to } of replacements.slice().sort((a, b) => b.start - a.start)) {
+                suggested = suggested.slice(0, start) + to + suggested.slice(end);
+            }
+
+            // 置き換えても結果が無い場合（絞り込みの条件で0件など）は提案しない
+            if (this.evaluateQuery(this.parseSearchQuery(suggested)).size === 0) return null;
+
+            return {
+                query: suggested,
+                replacements: replacements.map(({ from, to }) => ({ from, to }))
+            };
+        }
+
+        // 入力補完の候補（語と資料、補完用の索引は初めて使うときに作る）
+        getCompletions(input) {
+            if (!this.isReady) return { terms: [], documents: [] };
+
+            if (!this.completions) {
+                this.completions = CompletionIndex.fromData({
+                    documents: this.documents,
+                    synonyms: this.synonymDictionary.entries,
+                    pdfMetadata: this.pdfMetadata
+                });
+            }
+            return this.completions.complete(input);
+        }
+
+        // 構文木のうち、除外（not）以外の検索語
+        collectPositiveTerms(node) {
+            switch (node.type) {
+                case 'term':
+                    return [node];
+                case 'and':
+                case 'or':
+                    return node.children.flatMap(child => this.collectPositiveTerms(child));
+                default:
+                    return [];
+            }
+        }
+
+        // 順位付けした文書から検索結果オブジェクトを作成
+        createResult(entry) {
+            if (entry.citation) {
+                return this.getCitedResult(entry.citation, entry.version !== undefined ? entry.version : null);
+            }
+            if (entry.kind === 'article') {
+                return this.createArticleResult(entry.docIndex, entry.matchedTerms, entry.score);
+            }
+            if (entry.version !== undefined) {
+                return this.createVersionResult(entry);
+            }
+            const passages = this.createPassagePreviews(entry.docIndex, entry.matchedTerms, entry.passages);
+            const preview = passages.length > 0
+                ? passages[0].preview
+                : this.documents[entry.docIndex].pdf.content.substring(0, 200);
+            return this.createPDFResult(entry.docIndex, entry.matchedTerms, entry.score, preview, passages);
+        }
+
+        // 指定日時点の版で一致したPDF資料の検索結果オブジェクト
+        createVersionResult(entry) {
+            const version = this.getVersions(entry.docIndex)[entry.version];
+            const [first] = this.findTermRanges(version.content, entry.matchedTerms);
+            const start = first ? Math.max(0, first.start - 40) : 0;
+            const preview = (start > 0 ? '...' : '') +
+                version.content.substring(start, start + 200) +
+                (start + 200 < version.content.length ? '...' : '');
+
+            const result = this.createPDFResult(entry.docIndex, entry.matchedTerms, entry.score, preview);
+            return this.withVersion(result, entry.docIndex, entry.version, entry.matchedTerms);
+        }
+
+        // 検索結果オブジェクトの題名・本文・改正日を過去の版のものにする（preview は呼び出し側でその版から作る）
+        // asOfVersion: { index（getDocumentDetail の versions の index）, revisionDate }
+        withVersion(result, docIndex, versionIndex, matchedTerms) {
+            const version = this.getVersions(docIndex)[versionIndex];
+            return {
+                ...result,
+                title: version.title,
+                fullContent: version.content,
+                fullTextLength: version.content.length,
+                revisionDate: version.revisionDate,
+                highlightedTitle: this.highlightText(version.title, matchedTerms),
+                asOfVersion: { index: versionIndex, revisionDate: version.revisionDate }
+            };
+        }
+
+        // 順位付けの結果から、検索結果一覧の見出しに使う情報を取り出す
+        summarizeRanking(ranking) {
+            const { ranked, ...summary } = ranking;
+            return { ...summary, total: ranked.length };
+        }
+
+        // 検索実行
+        search(query, filters = DEFAULT_FILTERS) {
+            const ranking = this.rankDocuments(query, filters);
+            const ranked = ranking.ranked.map(entry => this.createResult(entry));
+
+            return {
+                articles: ranked.filter(result => result.kind === 'article'),
+                pdfs: ranked.filter(result => result.kind === 'pdf'),
+                ranked: ranked,
+                citation: ranking.citation,
+                citationResult: ranking.hasCitationResult ? ranked[0] : null,
+                excludedByDate: ranking.excludedByDate,
+                error: ranking.error,
+                suggestion: ranking.suggestion
+            };
+        }
+
+        // 検索結果を順位の高い順に少しずつ作って渡す（画面に最初の結果をすぐ表示するため）
+        // isCancelled が true を返したら中断して false を返す
+        async searchIncrementally(query, filters, { onStart, onBatch, isCancelled = () => false, batchSize = RESULT_BATCH_SIZE }) {
+            const ranking = this.rankDocuments(query, filters);
+            onStart(this.summarizeRanking(ranking));
+
+            for (let offset = 0; offset < ranking.ranked.length; offset += batchSize) {
+                if (isCancelled()) return false;
+                onBatch(ranking.ranked.slice(offset, offset + batchSize).map(entry => this.createResult(entry)), offset);
+
+                // 次のまとまりを作る前に、新しい検索・中断の指示を受け付ける
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            return !isCancelled();
+        }
+
+        // 統計情報の取得
+        getStats() {
+            if (!this.isReady) return null;
+
+            let totalArticles = 0;
+            for (const law of this.laws) {
+                totalArticles += law.articles.length;
+            }
+
+            return {
+                lawCount: this.laws.length,
+                articleCount: totalArticles,
+                synonymCount: this.synonymDictionary.size,
+                standardsCount: this.pdfContent.standards.length,
+                detailsCount: this.pdfContent.details.length,
+                appendicesCount: this.pdfContent.appendices.length,
+                otherCount: this.pdfContent.other.length
+            };
+        }
     }
-}
 
-// グローバルインスタンス
-const searchEngine = new SearchEngine();
+    SearchEngine.DEFAULT_FILTERS = DEFAULT_FILTERS;
+
+    if (isNode) {
+        module.exports = SearchEngine;
+    } else {
+        root.SearchEngine = SearchEngine;
+        // グローバルインスタンス
+        root.searchEngine = new SearchEngine();
+    }
+})(typeof self !== 'undefined' ? self : this);
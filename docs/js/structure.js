@@ -0,0 +1,297 @@
+// ========================================
+// PDF本文の構造（条・項・号）
+// ========================================
+// PDFから抽出した本文は、ページ番号（－1－）や各ページ冒頭の資料名・条の題名の繰り返し、
+// 行の途中での改行を含む。これを取り除いて 条 → 項 → 号 の木にし、条文と同じ形で表示できるようにする。
+// 各部分は元の本文上の位置（start / end）を持ち、引用リンクや一致した箇所の強調に使える。
+
+(function (root) {
+    'use strict';
+
+    const TextNormalizer = typeof module !== 'undefined' && module.exports
+        ? require('./normalizer.js')
+        : root.TextNormalizer;
+
+    // ページ番号の行（例: －1－、- 12 -）
+    const PAGE_MARKER = /^[－\-‐―−]\s*\d+\s*[－\-‐―−]$/;
+
+    // 各ページ冒頭の資料名と改正日の行（例: 道路運送車両の保安基準【2003.4.1】）
+    const RUNNING_HEADER = /【\s*\d{4}\s*\.\s*\d{1,2}\s*\.\s*\d{1,2}\s*】/;
+
+    // 条の題名だけの行（例: 第42条（前照灯等）、第5条）。各ページの冒頭にも繰り返し出てくる
+    const ARTICLE_TITLE = /^(第\s*[0-9０-９]+\s*条(?:\s*の\s*[0-9０-９]+)*)\s*(?:[（(]([^（）()]*)[）)])?$/;
+
+    // 見出し行: 条（第1条の2）・項（全角数字、10以上は半角のこともある）・号（漢数字）・号の細分（イロハ）
+    // 条は番号の後に空白があるものだけ（行頭で改行された「第17条第3項において…」を除く）
+    const ARTICLE_HEADING = /^(第\s*[0-9０-９]+\s*条(?:\s*の\s*[0-9０-９]+)*)[ 　]+/;
+    const PARAGRAPH_HEADING = /^([０-９]+|[1-9][0-9])[ 　]+/;
+    const ITEM_HEADING = /^([一二三四五六七八九十]+)[ 　]+/;
+    const SUBITEM_HEADING = /^[イロハニホヘトチリヌルヲワカヨタレソツネナラム][ 　]/;
+
+    // 条の前に置かれる見出し（例:（燃料の規格））
+    const CAPTION = /^[（(]([^（）()]+)[）)]$/;
+
+    // この幅（全角1・半角0.5で数える）以上の行は、行末で改行せず次の行に続くものとみなす
+    const WRAP_WIDTH = 32;
+
+    class StructureParser {
+        // 本文を行ごとに分類する（空行は除く）
+        //   { start, end, text（前後の空白を除いた行）, type, number?, bodyStart?, context }
+        //   type: page-break / header / title / article / paragraph / item / subitem / text
+        //   bodyStart は見出しの番号の後ろ（本文の始まり）、context はその行の時点の { article, paragraph, item }
+        static scanLines(content) {
+            const text = content || '';
+            const lines = [];
+            const context = { article: '', paragraph: null, item: null };
+
+            let offset = 0;
+            for (const raw of text.split('\n')) {
+                const lineStart = offset;
+                offset += raw.length + 1;
+
+                const trimmed = raw.trim();
+                if (trimmed.length === 0) continue;
+
+                const start = lineStart + (raw.length - raw.trimStart().length);
+                const line = { start, end: start + trimmed.length, text: trimmed, type: 'text' };
+
+                const title = trimmed.match(ARTICLE_TITLE);
+                if (PAGE_MARKER.test(trimmed)) {
+                    line.type = 'page-break';
+                } else if (RUNNING_HEADER.test(trimmed)) {
+                    line.type = 'header';
+                } else if (title) {
+                    // 同じ条が続くページの冒頭なら項・号はそのまま
+                    line.type = 'title';
+                    line.caption = title[2] || null;
+                    const article = StructureParser.formatArticle(title[1]);
+                    if (article !== context.article) {
+                        Object.assign(context, { article, paragraph: null, item: null });
+                    }
+                } else {
+                    const heading = StructureParser.readHeading(trimmed, context);
+                    if (heading) {
+                        line.type = heading.type;
+                        line.number = heading.number;
+                        line.bodyStart = start + heading.length;
+                    } else if (SUBITEM_HEADING.test(trimmed)) {
+                        line.type = 'subitem';
+                    }
+                }
+
+                line.context = { ...context };
+                lines.push(line);
+            }
+
+            return lines;
+        }
+
+        // 見出し行なら context（現在の条・項・号）を更新して { type, number, length（番号と空白の長さ） } を返す
+        static readHeading(line, context) {
+            const article = line.match(ARTICLE_HEADING);
+            if (article) {
+                Object.assign(context, { article: StructureParser.formatArticle(article[1]), paragraph: 1, item: null });
+                return { type: 'article', number: 1, length: article[0].length };
+            }
+
+            const paragraph = line.match(PARAGRAPH_HEADING);
+            const number = paragraph ? Number(paragraph[1].normalize('NFKC')) : null;
+            // 半角数字で始まる行は表の行のこともあるため、直前の項の次の番号のときだけ項とみなす
+            if (paragraph && (/^[０-９]/.test(paragraph[1]) || number === context.paragraph + 1)) {
+                Object.assign(context, { paragraph: number, item: null });
+                return { type: 'paragraph', number, length: paragraph[0].length };
+            }
+
+            const item = line.match(ITEM_HEADING);
+            if (item) {
+                context.item = Number(TextNormalizer.normalize(item[1]));
+                return { type: 'item', number: context.item, length: item[0].length };
+            }
+
+            return null;
+        }
+
+        // 条番号の表記をそろえる（例: 第 1 条の 2 → 第1条の2）
+        static formatArticle(text) {
+            return text.replace(/\s/g, '').normalize('NFKC');
+        }
+
+        // 条・項・号の表記（例: 第37条 第2項 第1号。第1項は省く）
+        static formatLabel({ article, paragraph, item }) {
+            const parts = [];
+            if (article) parts.push(article);
+            if (paragraph && paragraph > 1) parts.push(`第${paragraph}項`);
+            if (item) parts.push(`第${item}号`);
+            return parts.join(' ');
+        }
+
+        // 本文を 条 → 項 → 号 の木にする
+        //   { articles: [{ number, caption, start, end, paragraphs: [段落] }] }
+        //   段落: { number, text, pieces, start, end, items: [{ number, text, pieces, start, end }] }
+        // text は改行を整えた本文（番号を除く）。号の細分（イ、ロ…）や表の行は改行で区切る。
+        // pieces は text の各部分と元の本文上の位置の対応（toTextRange で使う）
+        static parse(content) {
+            const lines = StructureParser.scanLines(content);
+            const articles = [];
+            let article = null;
+            let paragraph = null;
+            let block = null;
+            let previous = null;
+            let caption = null;
+
+            const startArticle = (number, line) => {
+                article = { number, caption, start: line.start, end: line.end, paragraphs: [] };
+                articles.push(article);
+                caption = null;
+                paragraph = null;
+                block = null;
+            };
+
+            lines.forEach((line, i) => {
+                switch (line.type) {
+                    case 'page-break':
+                    case 'header':
+                        // ページをまたいで続く行は、改ページが無いものとしてつなげる
+                        return;
+
+                    case 'title':
+                        if (!article || article.number !== line.context.article) {
+                            caption = line.caption;
+                            startArticle(line.context.article, line);
+                            previous = null;
+                        }
+                        return;
+
+                    case 'article':
+                        if (!article || article.number !== line.context.article || article.paragraphs.length > 0) {
+                            startArticle(line.context.article, line);
+                        }
+                        if (!article.caption && caption) article.caption = caption;
+                        paragraph = StructureParser.createBlock(1, line);
+                        article.paragraphs.push(paragraph);
+                        block = paragraph;
+                        break;
+
+                    case 'paragraph':
+                        if (!article) return;
+                        paragraph = StructureParser.createBlock(line.number, line);
+                        article.paragraphs.push(paragraph);
+                        block = paragraph;
+                        break;
+
+                    case 'item':
+                        if (!article) return;
+                        if (!paragraph) {
+                            paragraph = StructureParser.createBlock(1, { start: line.start, end: line.start });
+                            article.paragraphs.push(paragraph);
+                        }
+                        block = StructureParser.createBlock(line.number, line);
+                        paragraph.items.push(block);
+                        break;
+
+                    case 'subitem':
+                    case 'text': {
+                        if (!block) {
+                            // 条の前の見出し（次の行が条の見出しのもの）
+                            const match = line.text.match(CAPTION);
+                            if (match && lines.slice(i + 1).find(next => next.type !== 'page-break' && next.type !== 'header')?.type === 'article') {
+                                caption = match[1];
+                            }
+                            return;
+                        }
+                        // 次の条の前の見出し
+                        const match = line.text.match(CAPTION);
+                        const next = lines[i + 1];
+                        if (match && next && next.type === 'article' && next.context.article !== article.number) {
+                            caption = match[1];
+                            return;
+                        }
+
+                        const wrapped = line.type === 'text' && previous && StructureParser.displayWidth(previous.text) >= WRAP_WIDTH;
+                        StructureParser.appendText(block, line.text, line.start, wrapped ? '' : '\n');
+                        break;
+                    }
+                }
+
+                block.end = line.end;
+                if (paragraph) paragraph.end = Math.max(paragraph.end, line.end);
+                article.end = line.end;
+                previous = line;
+            });
+
+            return { articles };
+        }
+
+        // 版どうしを比べるための本文: ページ番号・各ページ冒頭の資料名と条の題名の繰り返しを除き、
+        // 行の途中での改行をつなげる（改ページや折り返しの位置が違うだけの版を同じとみなせるように）
+        static toPlainText(content) {
+            let text = '';
+            let previous = null;
+            let article = null;
+
+            for (const line of StructureParser.scanLines(content)) {
+                if (line.type === 'page-break' || line.type === 'header') continue;
+                if (line.type === 'title') {
+                    if (line.context.article === article) continue;
+                    article = line.context.article;
+                }
+                if (line.type === 'article') article = line.context.article;
+
+                const wrapped = line.type === 'text' && previous && previous.type !== 'title' &&
+                    StructureParser.displayWidth(previous.text) >= WRAP_WIDTH;
+                if (previous) text += wrapped ? '' : '\n';
+                text += line.text;
+                previous = line;
+            }
+
+            return text;
+        }
+
+        // 見出し行から段落・号を作る（番号の後ろが本文）
+        static createBlock(number, line) {
+            const block = { number, text: '', pieces: [], start: line.start, end: line.end, items: [] };
+            if (line.bodyStart !== undefined && line.bodyStart < line.end) {
+                StructureParser.appendText(block, line.text.slice(line.bodyStart - line.start), line.bodyStart, '');
+            }
+            return block;
+        }
+
+        static appendText(block, text, start, separator) {
+            if (block.text.length > 0) block.text += separator;
+            block.pieces.push({ offset: block.text.length, start, length: text.length });
+            block.text += text;
+        }
+
+        // 行の幅（全角1・半角0.5）
+        static displayWidth(text) {
+            let width = 0;
+            for (const char of text) {
+                width += char.charCodeAt(0) < 0x80 || /[｡-ﾟ]/.test(char) ? 0.5 : 1;
+            }
+            return width;
+        }
+
+        // 元の本文上の範囲を、段落・号の text 上の範囲に変換する（text に含まれない部分にかかる場合は null）
+        static toTextRange(block, start, end) {
+            const find = (position, isEnd) => block.pieces.find(piece =>
+                isEnd
+                    ? piece.start < position && position <= piece.start + piece.length
+                    : piece.start <= position && position < piece.start + piece.length
+            );
+
+            const first = find(start, false);
+            const last = find(end, true);
+            if (!first || !last) return null;
+            return {
+                start: first.offset + (start - first.start),
+                end: last.offset + (end - last.start)
+            };
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StructureParser;
+    } else {
+        root.StructureParser = StructureParser;
+    }
+})(typeof self !== 'undefined' ? self : this);
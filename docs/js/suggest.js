@@ -0,0 +1,193 @@
+// ========================================
+// もしかして（入力ミス・誤変換の候補）
+// ========================================
+// 資料のタイトル・キーワード・本文中の語と同義語辞書から語彙を作り、
+// 一致する資料が無かった語に近い語（編集距離・n-gram の類似度）を探す。
+// 例: ヘッドライド → ヘッドライト、制同装置 → 制動装置
+
+(function (root) {
+    'use strict';
+
+    const TextNormalizer = typeof module !== 'undefined' && module.exports
+        ? require('./normalizer.js')
+        : root.TextNormalizer;
+
+    // 本文から語彙として取り出す語（カタカナ語と漢字の複合語）
+    const WORD_PATTERNS = [/[ァ-ヺー]{3,}/g, /[一-龥々]{2,8}/g];
+
+    // これより長いタイトルは語として扱わない
+    const MAX_TITLE_LENGTH = 12;
+
+    // 本文にしか現れない語は、この回数以上出てくるものだけを語彙に入れる
+    const MIN_BODY_FREQUENCY = 2;
+
+    // タイトル・キーワード・同義語辞書の語は本文中の語より優先する
+    const PREFERRED_WEIGHT = 10;
+
+    class SpellingSuggester {
+        // words: [{ word, weight }]（同じ語は正規化後にまとめる）
+        constructor(words) {
+            this.entries = new Map();
+            for (const { word, weight } of words) {
+                const normalized = TextNormalizer.normalize(word);
+                if (normalized.length < 2) continue;
+
+                const entry = this.entries.get(normalized);
+                if (entry) {
+                    entry.weight += weight;
+                    // 表示には重みの大きい元の表記を使う
+                    if (weight > entry.surfaceWeight) {
+                        entry.surface = word;
+                        entry.surfaceWeight = weight;
+                    }
+                } else {
+                    this.entries.set(normalized, { normalized, surface: word, weight, surfaceWeight: weight });
+                }
+            }
+
+            // 候補を絞り込むための 文字/2-gram → 語 の索引
+            this.byGram = new Map();
+            for (const entry of this.entries.values()) {
+                for (const gram of new Set(SpellingSuggester.grams(entry.normalized))) {
+                    if (!this.byGram.has(gram)) this.byGram.set(gram, []);
+                    this.byGram.get(gram).push(entry);
+                }
+            }
+        }
+
+        // 検索対象の文書（SearchIndex.collectDocuments の結果）と同義語辞書の組（SynonymDictionary の entries）から語彙を作る
+        static fromDocuments(documents, synonyms = []) {
+            const words = [];
+            const bodyCounts = new Map();
+
+            for (const doc of documents) {
+                // タイトル（例:（燃料の規格））は括弧を外した全体と、その中の語
+                const title = doc.fields.title.replace(/^[（(]|[）)]$/g, '');
+                if (title.length <= MAX_TITLE_LENGTH) words.push({ word: title, weight: PREFERRED_WEIGHT });
+                for (const pattern of WORD_PATTERNS) {
+                    for (const match of title.matchAll(pattern)) {
+                        words.push({ word: match[0], weight: PREFERRED_WEIGHT });
+                    }
+                }
+
+                for (const keyword of doc.fields.keywords.split('、')) {
+                    if (keyword) words.push({ word: keyword, weight: PREFERRED_WEIGHT });
+                }
+                for (const pattern of WORD_PATTERNS) {
+                    for (const match of doc.fields.body.matchAll(pattern)) {
+                        bodyCounts.set(match[0], (bodyCounts.get(match[0]) || 0) + 1);
+                    }
+                }
+            }
+
+            for (const [word, count] of bodyCounts) {
+                if (count >= MIN_BODY_FREQUENCY) words.push({ word, weight: count });
+            }
+
+            for (const { term, aliases } of synonyms) {
+                for (const word of [term, ...aliases]) {
+                    words.push({ word, weight: PREFERRED_WEIGHT });
+                }
+            }
+
+            return new SpellingSuggester(words);
+        }
+
+        // 語に近い語彙を近い順に返す: [{ word（元の表記）, distance }]
+        suggest(term, { limit = 5 } = {}) {
+            const normalized = TextNormalizer.normalize(term);
+            if (normalized.length < 2 || this.entries.has(normalized)) return [];
+
+            // ひらがなで入力されたカタカナ語（例: ぶれーき → ブレーキ）
+            const katakana = TextNormalizer.normalize(SpellingSuggester.toKatakana(term));
+            if (katakana !== normalized && this.entries.has(katakana)) {
+                return [{ word: this.entries.get(katakana).surface, distance: 0 }];
+            }
+
+            const maxDistance = SpellingSuggester.maxDistance(normalized);
+            const termGrams = SpellingSuggester.grams(normalized);
+            const candidates = new Set();
+            for (const gram of termGrams) {
+                for (const entry of this.byGram.get(gram) || []) {
+                    if (Math.abs(entry.normalized.length - normalized.length) <= maxDistance) {
+                        candidates.add(entry);
+                    }
+                }
+            }
+
+            const scored = [];
+            for (const entry of candidates) {
+                const distance = SpellingSuggester.editDistance(normalized, entry.normalized, maxDistance);
+                if (distance > maxDistance) continue;
+                scored.push({
+                    entry,
+                    distance,
+                    similarity: SpellingSuggester.similarity(termGrams, SpellingSuggester.grams(entry.normalized))
+                });
+            }
+
+            scored.sort((a, b) =>
+                a.distance - b.distance ||
+                b.similarity - a.similarity ||
+                b.entry.weight - a.entry.weight
+            );
+
+            return scored.slice(0, limit).map(({ entry, distance }) => ({ word: entry.surface, distance }));
+        }
+
+        static toKatakana(text) {
+            return text.replace(/[ぁ-ゖ]/g, c => String.fromCharCode(c.charCodeAt(0) + 0x60));
+        }
+
+        // 許容する編集距離（短い語ほど厳しく）
+        static maxDistance(text) {
+            return Math.max(1, Math.floor(text.length / 3));
+        }
+
+        // 候補の絞り込みに使う単位: 3文字以下の語は1文字ずつ、それより長い語は2-gram
+        static grams(text) {
+            if (text.length <= 3) return text.split('');
+            const grams = [];
+            for (let i = 0; i + 2 <= text.length; i++) grams.push(text.substr(i, 2));
+            return grams;
+        }
+
+        // 2-gram の Dice 係数
+        static similarity(a, b) {
+            const setB = new Set(b);
+            const shared = new Set(a.filter(gram => setB.has(gram))).size;
+            return (2 * shared) / (new Set(a).size + setB.size);
+        }
+
+        // 編集距離（隣接文字の入れ替えも1回と数える）。limit を超えたら limit + 1 を返す
+        static editDistance(a, b, limit = Infinity) {
+            if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+            let previousPrevious = null;
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        value = Math.min(value, previousPrevious[j - 2] + 1);
+                    }
+                    current.push(value);
+                    rowMin = Math.min(rowMin, value);
+                }
+                if (rowMin > limit) return limit + 1;
+                previousPrevious = previous;
+                previous = current;
+            }
+            return previous[b.length];
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SpellingSuggester;
+    } else {
+        root.SpellingSuggester = SpellingSuggester;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,96 @@
+// ========================================
+// チームの同義語
+// ========================================
+// 同義語辞書（data/synonyms.json）に無い、チームで使っている言い回しを同義語の組として追加する。
+// ブラウザの localStorage に保存し（サーバーには送らない）、データの読み込み時に辞書に加える（synonyms.js を参照）。
+// 書き出す JSON は synonyms.json と同じ形式なので、別のブラウザで読み込んだり、辞書に取り込んだりできる。
+
+const LOCAL_SYNONYMS_KEY = 'vehicle-law-search:synonyms';
+
+class LocalSynonymStore {
+    constructor() {
+        this.storage = LocalSynonymStore.openStorage();
+    }
+
+    // localStorage（使えない環境では null）
+    static openStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.setItem(`${LOCAL_SYNONYMS_KEY}:test`, '1');
+            storage.removeItem(`${LOCAL_SYNONYMS_KEY}:test`);
+            return storage;
+        } catch (error) {
+            console.warn('⚠️ チームの同義語を保存できません:', error);
+            return null;
+        }
+    }
+
+    get available() {
+        return this.storage !== null;
+    }
+
+    // 保存した組（追加した順）: [{ term, aliases, weight, match, scope }]
+    // 形式の正しくない組は除く
+    getEntries() {
+        if (!this.storage) return [];
+        try {
+            const data = JSON.parse(this.storage.getItem(LOCAL_SYNONYMS_KEY) || 'null');
+            return data ? LocalSynonymStore.readEntries(data).entries : [];
+        } catch (error) {
+            console.warn('⚠️ チームの同義語を読み込めません:', error);
+            return [];
+        }
+    }
+
+    // synonyms.json と同じ形式のデータから組を取り出す: { entries, skipped（除いた組の数） }
+    static readEntries(data) {
+        const { valid, value, errors, warnings } = DataSchema.validate('synonyms', data);
+        if (!valid || !Array.isArray(value.entries)) {
+            throw new Error(`同義語の形式が正しくありません${errors.length > 0 ? `（${errors[0]}）` : ''}`);
+        }
+        return {
+            entries: value.entries.map(entry => SynonymDictionary.normalizeEntry(entry)),
+            skipped: warnings.length
+        };
+    }
+
+    write(entries) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(LOCAL_SYNONYMS_KEY, JSON.stringify(LocalSynonymStore.toData(entries)));
+        } catch (error) {
+            console.warn('⚠️ チームの同義語を保存できません:', error);
+        }
+    }
+
+    static toData(entries) {
+        return { version: SynonymDictionary.SYNONYMS_VERSION, entries };
+    }
+
+    // 組を加えた後の組の配列（見出し語が同じ組は置き換える、保存はしない）
+    withEntries(entries) {
+        const terms = new Set(entries.map(entry => TextNormalizer.normalize(entry.term)));
+        return [
+            ...this.getEntries().filter(existing => !terms.has(TextNormalizer.normalize(existing.term))),
+            ...entries.map(entry => SynonymDictionary.normalizeEntry(entry))
+        ];
+    }
+
+    save(entries) {
+        this.write(this.withEntries(entries));
+    }
+
+    remove(index) {
+        const entries = this.getEntries();
+        entries.splice(index, 1);
+        this.write(entries);
+    }
+
+    // 書き出す内容（synonyms.json と同じ形式）
+    exportData() {
+        return LocalSynonymStore.toData(this.getEntries());
+    }
+}
+
+// グローバルインスタンス
+const synonymStore = new LocalSynonymStore();
@@ -0,0 +1,246 @@
+// ========================================
+// 同義語辞書
+// ========================================
+// 同義語の組（見出し語と別名）ごとに、重み・一致のしかた・対象の資料の種類を持つ。
+// 組の語はどれで検索しても、組のすべての語に展開する（見出し語 ⇔ 別名のどちら向きにも）。
+// data/synonyms.json の組に、チームの同義語（ブラウザに保存したもの）を加えて使う。
+// ブラウザ（<script>・Worker）と Node（tools/）の両方から読み込める。
+
+(function (root) {
+    'use strict';
+
+    const TextNormalizer = typeof module !== 'undefined' && module.exports
+        ? require('./normalizer.js')
+        : root.TextNormalizer;
+
+    // 一致のしかた
+    //   partial: 検索語が組の語を含めば展開する（例: 「前照灯の照射」→ 前照灯の組）
+    //   exact:   検索語が組の語と同じときだけ展開する（短い語・他の語の一部になりやすい語に使う）
+    const MATCH_TYPES = ['partial', 'exact'];
+
+    // 重みを省略した組の重み（検索語そのものに一致したときを 1 とした、同義語に一致したときのスコアの割合）
+    const DEFAULT_WEIGHT = 0.8;
+
+    // scope に書ける資料の種類（絞り込みの「資料の種類」と同じ）
+    const SCOPE_TYPES = ['法律', '省令', '保安基準', '細目告示', '別添', 'その他'];
+
+    // 部分一致で展開する語の最短の長さ（これより短い語は、たいていの検索語に含まれてしまう）
+    const PARTIAL_MIN_LENGTH = 2;
+
+    // synonyms.json の形式の版
+    const SYNONYMS_VERSION = 2;
+
+    class SynonymDictionary {
+        // entries: [{ term, aliases, weight, match, scope }]（fromData・normalizeEntry で既定値を補ったもの）
+        constructor(entries = []) {
+            this.entries = entries;
+            this.prepared = entries.map(entry => ({ entry, words: SynonymDictionary.wordsOf(entry) }));
+        }
+
+        // synonyms.json の内容から組の配列を作る
+        // { version: 2, entries: [...] } のほか、以前の { 見出し語: [別名, ...] } の形も読める
+        static fromData(data) {
+            if (!data) return [];
+            if (Array.isArray(data.entries)) {
+                return data.entries.map(entry => SynonymDictionary.normalizeEntry(entry));
+            }
+            return Object.entries(data)
+                .filter(([, aliases]) => Array.isArray(aliases))
+                .map(([term, aliases]) => SynonymDictionary.normalizeEntry({ term, aliases }));
+        }
+
+        // 省略された項目に既定値を補う（scope が空なら null = すべての資料）
+        static normalizeEntry({ term, aliases = [], weight = DEFAULT_WEIGHT, match = 'partial', scope = null }) {
+            return {
+                term,
+                aliases,
+                weight,
+                match,
+                scope: Array.isArray(scope) && scope.length > 0 ? scope : null
+            };
+        }
+
+        // 組の語（見出し語と別名、正規化済み・重複なし）
+        static wordsOf(entry) {
+            const words = [entry.term, ...entry.aliases].map(word => TextNormalizer.normalize(word));
+            return Array.from(new Set(words.filter(word => word.length > 0)));
+        }
+
+        // チームの同義語を加えた組の配列（見出し語が同じ組はチームの同義語で置き換える）
+        static merge(entries, localEntries = []) {
+            const localTerms = new Set(localEntries.map(entry => TextNormalizer.normalize(entry.term)));
+            return [
+                ...entries.filter(entry => !localTerms.has(TextNormalizer.normalize(entry.term))),
+                ...localEntries
+            ];
+        }
+
+        get size() {
+            return this.entries.length;
+        }
+
+        // 検索語の展開: [{ term（正規化済み）, weight, scope（資料の種類の配列、null ならすべて） }]
+        // 先頭は検索語そのもの（重み 1）。複数の組から同じ語になる場合は、重みは大きいほう・scope は合わせたもの
+        expand(word) {
+            const normalized = TextNormalizer.normalize(word);
+            const expansions = new Map([[normalized, { term: normalized, weight: 1, scope: null }]]);
+
+            for (const { entry, words } of this.prepared) {
+                const matches = entry.match === 'exact'
+                    ? words.includes(normalized)
+                    : words.some(candidate => normalized.includes(candidate));
+                if (!matches) continue;
+
+                for (const term of words) {
+                    const existing = expansions.get(term);
+                    if (!existing) {
+                        expansions.set(term, { term, weight: entry.weight, scope: entry.scope });
+                        continue;
+                    }
+                    existing.weight = Math.max(existing.weight, entry.weight);
+                    existing.scope = existing.scope && entry.scope
+                        ? Array.from(new Set([...existing.scope, ...entry.scope]))
+                        : null;
+                }
+            }
+
+            return Array.from(expansions.values());
+        }
+
+        // 辞書の検査: [{ level（'error' / 'warning'）, message, entries（関係する組の番号） }]
+        //   error:   見出し語の重複、組どうしの循環、複数の組に含まれる語、不正な重み・一致のしかた・資料の種類
+        //   warning: 見出し語と同じ別名・重複した別名、部分一致で意図しない検索語まで展開される語
+        static lint(entries) {
+            const issues = [];
+            const report = (level, indexes, message) => issues.push({ level, message, entries: indexes });
+            const label = index => `「${entries[index].term}」`;
+            const words = entries.map(entry => SynonymDictionary.wordsOf(entry));
+
+            // 正規化した語 → 辞書での表記（メッセージは辞書での表記で出す）
+            const spellings = new Map();
+            for (const entry of entries) {
+                for (const word of [entry.term, ...entry.aliases]) {
+                    const normalized = TextNormalizer.normalize(word);
+                    if (!spellings.has(normalized)) spellings.set(normalized, word);
+                }
+            }
+            const spell = word => `「${spellings.get(word) || word}」`;
+
+            entries.forEach((entry, i) => {
+                const term = TextNormalizer.normalize(entry.term);
+                if (term.length === 0) {
+                    report('error', [i], `${i + 1}番目の組: 見出し語が空です`);
+                    return;
+                }
+                if (!(entry.weight > 0 && entry.weight <= 1)) {
+                    report('error', [i], `${label(i)}: 重み ${entry.weight} は0より大きく1以下にしてください`);
+                }
+                if (!MATCH_TYPES.includes(entry.match)) {
+                    report('error', [i], `${label(i)}: 一致のしかた "${entry.match}" は ${MATCH_TYPES.join(' / ')} のいずれかにしてください`);
+                }
+                for (const type of (entry.scope || []).filter(type => !SCOPE_TYPES.includes(type))) {
+                    report('error', [i], `${label(i)}: 資料の種類「${type}」はありません（${SCOPE_TYPES.join('・')}）`);
+                }
+
+                const seen = new Set();
+                for (const alias of entry.aliases) {
+                    const normalized = TextNormalizer.normalize(alias);
+                    if (normalized === term) {
+                        report('warning', [i], `${label(i)}: 別名「${alias}」が見出し語と同じです`);
+                    } else if (seen.has(normalized)) {
+                        report('warning', [i], `${label(i)}: 別名「${alias}」が重複しています`);
+                    }
+                    seen.add(normalized);
+                }
+
+                if (entry.match !== 'partial') return;
+                for (const word of words[i]) {
+                    const longer = words[i].find(other => other !== word && other.includes(word));
+                    if (word.length < PARTIAL_MIN_LENGTH) {
+                        report('warning', [i], `${label(i)}: ${spell(word)}は短いため、部分一致ではたいていの検索語で展開されます（exact にしてください）`);
+                    } else if (longer) {
+                        report('warning', [i], `${label(i)}: ${spell(word)}は${spell(longer)}の一部のため、部分一致では${spell(word)}を含む別の語でも展開されます（exact にしてください）`);
+                    }
+                }
+            });
+
+            // 見出し語の重複
+            const termIndexes = new Map();
+            entries.forEach((entry, i) => {
+                const term = TextNormalizer.normalize(entry.term);
+                if (!term) return;
+                if (termIndexes.has(term)) {
+                    report('error', [termIndexes.get(term), i], `見出し語「${entry.term}」の組が複数あります`);
+                } else {
+                    termIndexes.set(term, i);
+                }
+            });
+
+            // 循環（別名が別の組の見出し語で、その組の別名をたどると元の組に戻る）
+            const cycleIndexes = new Set();
+            const aliasTargets = entries.map((entry, i) => words[i]
+                .map(word => termIndexes.get(word))
+                .filter(target => target !== undefined && target !== i));
+            const states = new Map();
+            const visit = (i, path) => {
+                states.set(i, 'visiting');
+                for (const target of aliasTargets[i]) {
+                    if (states.get(target) === 'visiting') {
+                        const cycle = path.slice(path.indexOf(target));
+                        cycle.forEach(index => cycleIndexes.add(index));
+                        report('error', cycle, `同義語が循環しています: ${[...cycle, target].map(label).join(' → ')}`);
+                    } else if (!states.has(target)) {
+                        visit(target, [...path, target]);
+                    }
+                }
+                states.set(i, 'done');
+            };
+            entries.forEach((entry, i) => {
+                if (!states.has(i)) visit(i, [i]);
+            });
+
+            // 複数の組に含まれる語（どちらの組に展開するか決まらない）
+            const wordIndexes = new Map();
+            words.forEach((list, i) => {
+                for (const word of list) {
+                    if (!wordIndexes.has(word)) wordIndexes.set(word, []);
+                    wordIndexes.get(word).push(i);
+                }
+            });
+            for (const [word, indexes] of wordIndexes) {
+                if (indexes.length < 2) continue;
+                if (indexes.every(i => cycleIndexes.has(i))) continue;
+                if (indexes.every(i => TextNormalizer.normalize(entries[i].term) === word)) continue;
+                report('error', indexes, `${spell(word)}が複数の組（${indexes.map(label).join('・')}）に含まれています`);
+            }
+
+            // 部分一致の語が、別の組の語の一部になっている（その語で検索すると両方の組に展開される）
+            words.forEach((list, i) => {
+                if (entries[i].match !== 'partial') return;
+                for (const word of list) {
+                    if (word.length < PARTIAL_MIN_LENGTH) continue;
+                    words.forEach((otherList, j) => {
+                        if (j === i) return;
+                        const longer = otherList.find(other => other !== word && other.includes(word));
+                        if (!longer) return;
+                        const group = longer === TextNormalizer.normalize(entries[j].term) ? '' : `（${label(j)}の組）`;
+                        report('warning', [i, j], `${spell(longer)}${group}で検索すると、${spell(word)}を含むため${label(i)}の組にも展開されます`);
+                    });
+                }
+            });
+
+            return issues;
+        }
+    }
+
+    SynonymDictionary.MATCH_TYPES = MATCH_TYPES;
+    SynonymDictionary.DEFAULT_WEIGHT = DEFAULT_WEIGHT;
+    SynonymDictionary.SCOPE_TYPES = SCOPE_TYPES;
+    SynonymDictionary.SYNONYMS_VERSION = SYNONYMS_VERSION;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SynonymDictionary;
+    } else {
+        root.SynonymDictionary = SynonymDictionary;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,225 @@
+// ========================================
+// 本文の差分（文字単位）
+// ========================================
+// 改正前後の版の違いを示すため、2つのテキストの差分を文字単位で求める（Myers の差分アルゴリズム）。
+// 日本語の本文は単語の区切りが無いため文字単位で比べるが、長い本文全体を文字で比べると重いので、
+// まず行単位で比べ、変わった行のまとまりの中だけを文字単位で比べる。
+
+(function (root) {
+    'use strict';
+
+    // 文字単位で比べる変更の量（編集距離）の上限。これを超えるまとまりは丸ごと削除・追加として扱う
+    const MAX_EDIT_COST = 1000;
+
+    // 変更に挟まれたこれより短い一致（「の」「る」など）は、細切れの表示にならないよう変更に含める
+    const MIN_EQUAL_LENGTH = 3;
+
+    class TextDiff {
+        // 差分: [{ type: 'equal' | 'delete' | 'insert', text }]（同じ種類は連続しない）
+        static diff(oldText, newText) {
+            const a = oldText || '';
+            const b = newText || '';
+
+            // 共通の先頭・末尾は比べずに一致とする
+            let prefix = 0;
+            while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+            let suffix = 0;
+            while (suffix < a.length - prefix && suffix < b.length - prefix &&
+                a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+            const segments = [];
+            if (prefix > 0) segments.push({ type: 'equal', text: a.slice(0, prefix) });
+            segments.push(...TextDiff.diffLines(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)));
+            if (suffix > 0) segments.push({ type: 'equal', text: a.slice(a.length - suffix) });
+
+            return TextDiff.cleanup(segments);
+        }
+
+        // 行単位で比べ、変わった行のまとまりを文字単位で比べ直す
+        static diffLines(oldText, newText) {
+            const oldLines = TextDiff.splitLines(oldText);
+            const newLines = TextDiff.splitLines(newText);
+            const segments = [];
+            let deleted = '';
+            let inserted = '';
+
+            const flush = () => {
+                if (deleted.length === 0 && inserted.length === 0) return;
+                segments.push(...TextDiff.diffChars(deleted, inserted));
+                deleted = '';
+                inserted = '';
+            };
+
+            let oldIndex = 0;
+            let newIndex = 0;
+            for (const [type, count] of TextDiff.editScript(oldLines, newLines)) {
+                if (type === 'equal') {
+                    flush();
+                    segments.push({ type, text: oldLines.slice(oldIndex, oldIndex + count).join('') });
+                    oldIndex += count;
+                    newIndex += count;
+                } else if (type === 'delete') {
+                    deleted += oldLines.slice(oldIndex, oldIndex + count).join('');
+                    oldIndex += count;
+                } else {
+                    inserted += newLines.slice(newIndex, newIndex + count).join('');
+                    newIndex += count;
+                }
+            }
+            flush();
+
+            return segments;
+        }
+
+        // 文字単位の差分（変更が多すぎる場合は丸ごと削除・追加）
+        static diffChars(oldText, newText) {
+            const oldChars = Array.from(oldText);
+            const newChars = Array.from(newText);
+            const script = TextDiff.editScript(oldChars, newChars, MAX_EDIT_COST);
+            if (!script) {
+                return [
+                    { type: 'delete', text: oldText },
+                    { type: 'insert', text: newText }
+                ].filter(segment => segment.text.length > 0);
+            }
+
+            const segments = [];
+            let oldIndex = 0;
+            let newIndex = 0;
+            for (const [type, count] of script) {
+                if (type === 'insert') {
+                    segments.push({ type, text: newChars.slice(newIndex, newIndex + count).join('') });
+                    newIndex += count;
+                } else {
+                    segments.push({ type, text: oldChars.slice(oldIndex, oldIndex + count).join('') });
+                    oldIndex += count;
+                    if (type === 'equal') newIndex += count;
+                }
+            }
+            return segments;
+        }
+
+        // 改行を含めたまま行に分ける
+        static splitLines(text) {
+            return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+        }
+
+        // 2つの列を同じにする最短の編集: [[type, 個数]]（maxCost を超える場合は null）
+        static editScript(a, b, maxCost = a.length + b.length) {
+            const n = a.length;
+            const m = b.length;
+            const offset = n + m + 1;
+            const v = new Int32Array(2 * offset + 1);
+            // trace[d] は d 回の編集で届く位置（対角線 k = x - y の -d…d）
+            const trace = [];
+
+            for (let d = 0; d <= Math.min(maxCost, n + m); d++) {
+                for (let k = -d; k <= d; k += 2) {
+                    let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                        ? v[offset + k + 1]
+                        : v[offset + k - 1] + 1;
+                    let y = x - k;
+                    while (x < n && y < m && a[x] === b[y]) {
+                        x++;
+                        y++;
+                    }
+                    v[offset + k] = x;
+                }
+                trace.push(v.slice(offset - d, offset + d + 1));
+                if (v[offset + n - m] >= n && Math.abs(n - m) <= d && (n - m + d) % 2 === 0) {
+                    return TextDiff.backtrack(trace, n, m);
+                }
+            }
+            return null;
+        }
+
+        // 編集の経路をたどり直して編集の列にする
+        static backtrack(trace, n, m) {
+            const operations = [];
+            const push = (type, count) => {
+                if (count === 0) return;
+                const last = operations[operations.length - 1];
+                if (last && last[0] === type) {
+                    last[1] += count;
+                } else {
+                    operations.push([type, count]);
+                }
+            };
+
+            let x = n;
+            let y = m;
+            for (let d = trace.length - 1; d > 0; d--) {
+                const previous = trace[d - 1];
+                const at = k => previous[k + d - 1];
+                const k = x - y;
+                const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+                const previousX = at(previousK);
+                const previousY = previousX - previousK;
+                const isInsert = previousK === k + 1;
+
+                // 1つ前の位置から追加（下へ）か削除（右へ）で1つ進み、その後は一致が続く
+                push('equal', x - previousX - (isInsert ? 0 : 1));
+                push(isInsert ? 'insert' : 'delete', 1);
+                x = previousX;
+                y = previousY;
+            }
+            push('equal', x);
+
+            return operations.reverse();
+        }
+
+        // 短い一致を変更に含め、連続する削除・追加を1つずつにまとめる
+        static cleanup(segments) {
+            const absorbed = segments.map((segment, i) => {
+                const isBetweenChanges = i > 0 && i < segments.length - 1;
+                if (segment.type === 'equal' && isBetweenChanges && Array.from(segment.text).length < MIN_EQUAL_LENGTH) {
+                    return [{ type: 'delete', text: segment.text }, { type: 'insert', text: segment.text }];
+                }
+                return [segment];
+            }).flat();
+
+            // 一致の間にある変更を、削除 → 追加 の順にまとめる
+            const result = [];
+            let deleted = '';
+            let inserted = '';
+            const flush = () => {
+                if (deleted.length > 0) result.push({ type: 'delete', text: deleted });
+                if (inserted.length > 0) result.push({ type: 'insert', text: inserted });
+                deleted = '';
+                inserted = '';
+            };
+            for (const segment of absorbed) {
+                if (segment.text.length === 0) continue;
+                if (segment.type === 'delete') {
+                    deleted += segment.text;
+                } else if (segment.type === 'insert') {
+                    inserted += segment.text;
+                } else {
+                    flush();
+                    const last = result[result.length - 1];
+                    if (last && last.type === 'equal') {
+                        last.text += segment.text;
+                    } else {
+                        result.push({ ...segment });
+                    }
+                }
+            }
+            flush();
+            return result;
+        }
+
+        // 追加・削除された文字数
+        static summarize(segments) {
+            const count = type => segments
+                .filter(segment => segment.type === type)
+                .reduce((sum, segment) => sum + Array.from(segment.text).length, 0);
+            return { inserted: count('insert'), deleted: count('delete') };
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TextDiff;
+    } else {
+        root.TextDiff = TextDiff;
+    }
+})(typeof self !== 'undefined' ? self : this);
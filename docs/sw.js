@@ -0,0 +1,233 @@
+// ========================================
+// Service Worker（オフライン対応）
+// ========================================
+// アプリ本体と法令データをキャッシュし、通信できない場所でも検索できるようにする。
+// 法令データのキャッシュは DATA_REVISION・検索インデックスの形式・pdf_content.json の version / lastUpdated ごとに分け、
+// 新しいデータが公開されたら裏で取得してページに通知する。
+
+// 検索インデックスの形式（INDEX_FORMAT_VERSION）をキャッシュ名に含めるため
+importScripts('js/normalizer.js', 'js/passages.js', 'js/search-index.js');
+
+// アプリ本体のキャッシュ（アプリのファイルを変更したら番号を上げる）
+const APP_CACHE = 'app-shell-v28';
+
+// 法令データのキャッシュ名の接頭辞（後ろにデータの版と version・lastUpdated が付く）
+const DATA_CACHE_PREFIX = 'law-data-';
+
+// pdf_content.json 以外のデータ（synonyms.json・search_index.json など）の版
+// pdf_content.json の version / lastUpdated を変えずにそれらを更新したら番号を上げる
+const DATA_REVISION = 1;
+const DATA_CACHE_REVISION = `${DATA_CACHE_PREFIX}r${DATA_REVISION}-i${SearchIndex.FORMAT_VERSION}-`;
+
+// 現在使っている法令データのキャッシュ名を保存する場所
+const META_CACHE = 'data-meta';
+const ACTIVE_DATA_KEY = 'active-data-cache';
+
+// 新しいデータの確認間隔
+const UPDATE_CHECK_INTERVAL = 10 * 60 * 1000;
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/style.css',
+    'js/normalizer.js',
+    'js/data-schema.js',
+    'js/render.js',
+    'js/structure.js',
+    'js/passages.js',
+    'js/search-index.js',
+    'js/query-parser.js',
+    'js/citation.js',
+    'js/references.js',
+    'js/bm25.js',
+    'js/suggest.js',
+    'js/completion.js',
+    'js/text-diff.js',
+    'js/facets.js',
+    'js/synonyms.js',
+    'js/search.js',
+    'js/search-client.js',
+    'js/search-worker.js',
+    'js/bookmarks.js',
+    'js/search-history.js',
+    'js/synonym-store.js',
+    'js/export.js',
+    'js/app.js'
+];
+
+// pdf_content.json は版の判定に使うため別扱い
+const DATA_CONTENT_FILE = 'data/pdf_content.json';
+const DATA_FILES = [
+    'data/laws.json',
+    'data/synonyms.json',
+    'data/pdf_metadata.json',
+    'data/search_index.json',
+    'data/references.json'
+];
+
+let lastUpdateCheck = 0;
+
+// ========================================
+// インストール・有効化
+// ========================================
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_FILES);
+
+        // 初回と、データの版・インデックスの形式が変わったときは法令データも取得（以降は更新確認で差し替える）
+        const activeName = await getActiveDataCacheName();
+        if (!activeName || !activeName.startsWith(DATA_CACHE_REVISION)) {
+            await downloadData();
+        }
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('app-shell-') && name !== APP_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// ページからの指示（新しいアプリ本体への切り替え）
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// ========================================
+// リクエストの処理
+// ========================================
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const scopePath = new URL(self.registration.scope).pathname;
+    const path = url.pathname.startsWith(scopePath) ? url.pathname.slice(scopePath.length) : url.pathname;
+
+    if (path.startsWith('data/') && path.endsWith('.json')) {
+        event.respondWith(respondWithData(request));
+        if (path === DATA_CONTENT_FILE) {
+            event.waitUntil(checkForDataUpdate());
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        // ?q= などのクエリが付いていても index.html を返す
+        event.respondWith(respondFromCache(request, { ignoreSearch: true }, 'index.html'));
+        return;
+    }
+
+    event.respondWith(respondFromCache(request));
+});
+
+// アプリ本体: キャッシュ優先、無ければネットワーク
+async function respondFromCache(request, options = {}, fallbackPath = null) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request, options) || (fallbackPath && await cache.match(fallbackPath));
+    if (cached) return cached;
+    return fetch(request);
+}
+
+// 法令データ: 現在のデータキャッシュ優先、無ければネットワークから取得してキャッシュ
+async function respondWithData(request) {
+    const name = await getActiveDataCacheName();
+    if (name) {
+        const cached = await (await caches.open(name)).match(request);
+        if (cached) return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok && name) {
+        const cache = await caches.open(name);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// ========================================
+// 法令データの取得と更新確認
+// ========================================
+async function getActiveDataCacheName() {
+    const meta = await caches.open(META_CACHE);
+    const entry = await meta.match(ACTIVE_DATA_KEY);
+    return entry ? entry.text() : null;
+}
+
+async function setActiveDataCacheName(name) {
+    const meta = await caches.open(META_CACHE);
+    await meta.put(ACTIVE_DATA_KEY, new Response(name));
+}
+
+function dataCacheName({ version, lastUpdated }) {
+    return `${DATA_CACHE_REVISION}${version || 'unknown'}-${lastUpdated || 'unknown'}`;
+}
+
+// 最新の法令データ一式を新しいキャッシュに取得し、現在のデータとして切り替える
+async function downloadData(contentResponse = null) {
+    const response = contentResponse || await fetch(DATA_CONTENT_FILE, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`${DATA_CONTENT_FILE} の取得に失敗しました (${response.status})`);
+    }
+
+    const { version, lastUpdated } = await response.clone().json();
+    const name = dataCacheName({ version, lastUpdated });
+    const cache = await caches.open(name);
+    await cache.put(DATA_CONTENT_FILE, response);
+
+    // 存在しないファイル（404）は保存しない
+    await Promise.all(DATA_FILES.map(async (file) => {
+        try {
+            const fileResponse = await fetch(file, { cache: 'no-store' });
+            if (fileResponse.ok) {
+                await cache.put(file, fileResponse);
+            }
+        } catch (error) {
+            console.warn(`⚠️ ${file} をキャッシュできませんでした:`, error);
+        }
+    }));
+
+    await setActiveDataCacheName(name);
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(oldName => oldName.startsWith(DATA_CACHE_PREFIX) && oldName !== name)
+        .map(oldName => caches.delete(oldName)));
+
+    return { version, lastUpdated };
+}
+
+// 公開中のデータの版を確認し、新しければ取得してページに通知
+async function checkForDataUpdate() {
+    const now = Date.now();
+    if (now - lastUpdateCheck < UPDATE_CHECK_INTERVAL) return;
+    lastUpdateCheck = now;
+
+    try {
+        const response = await fetch(DATA_CONTENT_FILE, { cache: 'no-store' });
+        if (!response.ok) return;
+
+        const latest = await response.clone().json();
+        if (dataCacheName(latest) === await getActiveDataCacheName()) return;
+
+        const { version, lastUpdated } = await downloadData(response);
+        const clients = await self.clients.matchAll({ type: 'window' });
+        for (const client of clients) {
+            client.postMessage({ type: 'data-updated', version, lastUpdated });
+        }
+    } catch (error) {
+        // オフライン時などは次回に再確認
+        console.warn('⚠️ 法令データの更新確認に失敗しました:', error);
+    }
+}
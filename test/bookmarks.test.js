@@ -0,0 +1,80 @@
+// ========================================
+// BookmarkStore のテスト
+// ========================================
+// bookmarks.js はブラウザ用のスクリプトのため、テスト用の IndexedDB（fake-indexeddb.js）とともに vm で読み込む。
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const DataSchema = require('../docs/js/data-schema.js');
+const { createFakeIndexedDB, IDBRequest } = require('./fake-indexeddb.js');
+
+function createStore() {
+    const context = vm.createContext({
+        console,
+        structuredClone,
+        DataSchema,
+        IDBRequest,
+        indexedDB: createFakeIndexedDB()
+    });
+    const source = fs.readFileSync(path.join(__dirname, '..', 'docs', 'js', 'bookmarks.js'), 'utf8');
+    vm.runInContext(source, context, { filename: 'bookmarks.js' });
+    return vm.runInContext('bookmarkStore', context);
+}
+
+const headlamp = { kind: 'pdf', id: 'S042', displayName: '細目告示 第42条', title: '（前照灯等）' };
+const inspection = {
+    kind: 'article',
+    lawId: '326AC0000000185',
+    lawName: '道路運送車両法',
+    articleNumber: '第58条',
+    title: '自動車の検査及び自動車検査証'
+};
+
+describe('ブックマークの書き出し・読み込み', () => {
+    test('書き出したデータを同じ保存先に読み込み直しても重複させない', async () => {
+        const store = createStore();
+        await store.addBookmark(headlamp);
+        await store.addNote(headlamp, '配光可変型前照灯の基準', '配光可変型前照灯');
+        const exported = JSON.parse(JSON.stringify(await store.exportData()));
+
+        const imported = await store.importData(exported);
+        assert.deepEqual({ ...imported }, { bookmarks: 0, notes: 0, skipped: 0 });
+        assert.equal((await store.getBookmarks()).length, 1);
+        assert.equal((await store.getNotes()).length, 1);
+    });
+
+    test('既にあるブックマークと新しいブックマークが混ざっていても、新しいものだけ加える', async () => {
+        const source = createStore();
+        await source.addBookmark(headlamp);
+        await source.addBookmark(inspection);
+        const exported = JSON.parse(JSON.stringify(await source.exportData()));
+
+        const store = createStore();
+        await store.addBookmark(headlamp);
+        const imported = await store.importData(exported);
+        assert.equal(imported.bookmarks, 1);
+        assert.deepEqual((await store.getBookmarks()).map(bookmark => bookmark.key).sort(),
+            ['article:326AC0000000185:第58条', 'pdf:S042']);
+    });
+
+    test('形式の正しくないファイルはエラーにする', async () => {
+        const store = createStore();
+        await assert.rejects(store.importData({ version: 1, bookmarks: 'x' }), /ブックマークのファイルとして読み込めません/);
+    });
+});
+
+describe('保存の失敗', () => {
+    test('トランザクションが中断したときは Error で失敗する', async () => {
+        const store = createStore();
+        await store.addBookmark(headlamp);
+        const [bookmark] = await store.getBookmarks();
+
+        const failure = store.transaction('bookmarks', 'readwrite', objects => objects.add(bookmark));
+        // vm の中で作られた Error は、このファイルの Error とは別のもの
+        await assert.rejects(failure, error => error !== null && error.name === 'Error' && error.message.length > 0);
+        assert.equal((await store.getBookmarks()).length, 1);
+    });
+});
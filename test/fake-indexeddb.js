@@ -0,0 +1,199 @@
+// ========================================
+// テスト用の IndexedDB（メモリ上）
+// ========================================
+// bookmarks.js が使う範囲（open・transaction・objectStore の add / put / get / getAll / delete・index）だけを持つ。
+// リクエストのエラーはブラウザと同じく request.onerror → transaction.onerror の順に伝わり、
+// preventDefault されなければトランザクションを中断する（onerror の時点では transaction.error は null）。
+
+class FakeRequest {
+    constructor() {
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+    }
+}
+
+class FakeTransaction {
+    constructor(db, storeNames) {
+        this.db = db;
+        this.storeNames = [].concat(storeNames);
+        this.error = null;
+        this.pending = 0;
+        this.finished = false;
+        this.aborted = false;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        // リクエストが1つも無いトランザクションも完了させる
+        setTimeout(() => this.finishIfIdle(), 0);
+    }
+
+    objectStore(name) {
+        if (!this.storeNames.includes(name)) throw new Error(`NotFoundError: ${name}`);
+        return new FakeObjectStore(this, this.db.stores.get(name));
+    }
+
+    // operation の戻り値を結果とするリクエスト（例外はリクエストのエラー）
+    request(operation) {
+        const request = new FakeRequest();
+        this.pending++;
+        setTimeout(() => {
+            if (this.aborted) return;
+            try {
+                request.result = operation();
+                if (request.onsuccess) request.onsuccess({ type: 'success', target: request });
+            } catch (error) {
+                request.error = error;
+                this.dispatchError(request);
+            }
+            this.pending--;
+            this.finishIfIdle();
+        }, 0);
+        return request;
+    }
+
+    dispatchError(request) {
+        let prevented = false;
+        let stopped = false;
+        const event = {
+            type: 'error',
+            target: request,
+            preventDefault() { prevented = true; },
+            stopPropagation() { stopped = true; }
+        };
+        if (request.onerror) request.onerror(event);
+        if (!stopped && this.onerror) this.onerror(event);
+        if (!prevented) this.abort(request.error);
+    }
+
+    abort(error) {
+        if (this.finished) return;
+        this.finished = true;
+        this.aborted = true;
+        this.error = error;
+        this.db.rollback(this);
+        if (this.onabort) this.onabort({ type: 'abort', target: this });
+    }
+
+    finishIfIdle() {
+        if (this.finished || this.pending > 0) return;
+        this.finished = true;
+        this.db.snapshots.delete(this);
+        if (this.oncomplete) this.oncomplete({ type: 'complete', target: this });
+    }
+}
+
+class FakeObjectStore {
+    constructor(transaction, store) {
+        this.transaction = transaction;
+        this.store = store;
+    }
+
+    keyOf(value) {
+        return this.store.keyPath.split('.').reduce((object, name) => object && object[name], value);
+    }
+
+    write(value, overwrite) {
+        return this.transaction.request(() => {
+            const record = structuredClone(value);
+            let key = this.keyOf(record);
+            if (key === undefined && this.store.autoIncrement) {
+                key = ++this.store.lastKey;
+                record[this.store.keyPath] = key;
+            }
+            if (!overwrite && this.store.records.has(key)) {
+                const error = new Error('Key already exists in the object store.');
+                error.name = 'ConstraintError';
+                throw error;
+            }
+            this.transaction.db.remember(this.transaction, this.store);
+            this.store.records.set(key, record);
+            return key;
+        });
+    }
+
+    add(value) {
+        return this.write(value, false);
+    }
+
+    put(value) {
+        return this.write(value, true);
+    }
+
+    get(key) {
+        return this.transaction.request(() => structuredClone(this.store.records.get(key)));
+    }
+
+    getAll() {
+        return this.transaction.request(() => structuredClone([...this.store.records.values()]));
+    }
+
+    delete(key) {
+        return this.transaction.request(() => {
+            this.transaction.db.remember(this.transaction, this.store);
+            this.store.records.delete(key);
+        });
+    }
+
+    index(name) {
+        const keyPath = this.store.indexes.get(name);
+        const keyOf = value => keyPath.split('.').reduce((object, part) => object && object[part], value);
+        return {
+            getAll: key => this.transaction.request(() =>
+                structuredClone([...this.store.records.values()].filter(value => keyOf(value) === key)))
+        };
+    }
+}
+
+class FakeDatabase {
+    constructor() {
+        this.stores = new Map();
+        // 中断したときに戻すため、トランザクションごとに変更前のストアの内容を残す
+        this.snapshots = new Map();
+    }
+
+    createObjectStore(name, { keyPath, autoIncrement = false }) {
+        const store = { keyPath, autoIncrement, lastKey: 0, records: new Map(), indexes: new Map() };
+        this.stores.set(name, store);
+        return { createIndex: (indexName, indexKeyPath) => store.indexes.set(indexName, indexKeyPath) };
+    }
+
+    transaction(storeNames) {
+        return new FakeTransaction(this, storeNames);
+    }
+
+    remember(transaction, store) {
+        if (!this.snapshots.has(transaction)) this.snapshots.set(transaction, new Map());
+        const snapshot = this.snapshots.get(transaction);
+        if (!snapshot.has(store)) snapshot.set(store, { records: new Map(store.records), lastKey: store.lastKey });
+    }
+
+    rollback(transaction) {
+        for (const [store, { records, lastKey }] of this.snapshots.get(transaction) || []) {
+            store.records = records;
+            store.lastKey = lastKey;
+        }
+        this.snapshots.delete(transaction);
+    }
+}
+
+// indexedDB の代わり（createFakeIndexedDB() ごとに空のデータベース）
+function createFakeIndexedDB() {
+    const databases = new Map();
+    return {
+        open(name) {
+            const request = new FakeRequest();
+            setTimeout(() => {
+                const isNew = !databases.has(name);
+                if (isNew) databases.set(name, new FakeDatabase());
+                request.result = databases.get(name);
+                if (isNew && request.onupgradeneeded) request.onupgradeneeded({ target: request });
+                if (request.onsuccess) request.onsuccess({ target: request });
+            }, 0);
+            return request;
+        }
+    };
+}
+
+module.exports = { createFakeIndexedDB, IDBRequest: FakeRequest };
@@ -0,0 +1,36 @@
+// ========================================
+// 検索順位の確認（ゴールデンクエリ）
+// ========================================
+// test/fixtures/golden-queries.json の検索語ごとに、期待する資料が上位に入っているかを確かめる。
+//   expected: 上位 within 件に入っているべき資料（PDF資料は文書ID、条文は「法令ID:条番号」）
+//   excluded: 検索結果に入ってはいけない資料
+//   filters:  検索条件（省略した項目は既定値）
+// スコアの計算・同義語辞書を変えたときは、ここで順位が変わっていないかを確かめる。
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchEngine, createEngine, readFixture, resultKey } = require('./helpers.js');
+
+const { cases } = readFixture('golden-queries.json');
+
+let engine;
+before(async () => {
+    ({ engine } = await createEngine());
+});
+
+for (const { query, filters = {}, expected = [], within = 3, excluded = [], note = '' } of cases) {
+    const name = `${query}${Object.keys(filters).length > 0 ? ` ${JSON.stringify(filters)}` : ''}${note ? `（${note}）` : ''}`;
+
+    test(name, () => {
+        const results = engine.search(query, { ...SearchEngine.DEFAULT_FILTERS, ...filters });
+        const ranked = results.ranked.map(resultKey);
+        const top = ranked.slice(0, within);
+
+        for (const id of expected) {
+            assert.ok(top.includes(id), `${id} が上位${within}件にありません: ${ranked.join(', ') || '（結果なし）'}`);
+        }
+        for (const id of excluded) {
+            assert.ok(!ranked.includes(id), `${id} が検索結果に含まれています: ${ranked.join(', ')}`);
+        }
+    });
+}
@@ -0,0 +1,54 @@
+// ========================================
+// テスト用の検索エンジン
+// ========================================
+// test/fixtures/ の小さなデータ（保安基準・細目告示の抜粋と法令の条文）を読み込んだ SearchEngine を作る。
+
+const fs = require('fs');
+const path = require('path');
+const SearchEngine = require('../docs/js/search.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// ログを出さない（警告・エラーは記録してテストから確かめられるようにする）
+function createLogger() {
+    const messages = { warn: [], error: [] };
+    return {
+        messages,
+        log() {},
+        warn(...args) {
+            messages.warn.push(args.join(' '));
+        },
+        error(...args) {
+            messages.error.push(args.join(' '));
+        }
+    };
+}
+
+function readFixture(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fileName), 'utf8'));
+}
+
+// データファイルごとの内容（loadFromData に渡す形、テストごとに読み直すので書き換えてよい）
+function loadFixtures() {
+    return {
+        laws: readFixture('laws.json'),
+        synonyms: readFixture('synonyms.json'),
+        pdfMetadata: readFixture('pdf_metadata.json'),
+        pdfContent: readFixture('pdf_content.json')
+    };
+}
+
+// overrides: 差し替えるデータ（null で読み込めなかったことにする）
+async function createEngine({ overrides = {}, localSynonyms = [] } = {}) {
+    const logger = createLogger();
+    const engine = new SearchEngine({ logger });
+    const loaded = await engine.loadFromData({ ...loadFixtures(), ...overrides }, { localSynonyms });
+    return { engine, loaded, logger };
+}
+
+// 検索結果の識別子（PDF資料は文書ID、条文は「法令ID:条番号」）
+function resultKey(result) {
+    return result.kind === 'article' ? `${result.lawId}:${result.articleNumber}` : result.id;
+}
+
+module.exports = { SearchEngine, createEngine, loadFixtures, readFixture, resultKey };
@@ -0,0 +1,58 @@
+// ========================================
+// TextNormalizer のテスト
+// ========================================
+// 実行: node --test test/*.test.js
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const TextNormalizer = require('../docs/js/normalizer.js');
+const { createEngine, loadFixtures } = require('./helpers.js');
+
+describe('漢数字', () => {
+    test('条・項・号・日付と助数詞の前、「第」の後の漢数字は算用数字にする', () => {
+        assert.equal(TextNormalizer.normalize('第十七条の二第三項第二号'), '第17条の2第3項第2号');
+        assert.equal(TextNormalizer.normalize('令和四年十二月一日'), '令和4年12月1日');
+        assert.equal(TextNormalizer.normalize('二〇二二年'), '2022年');
+        assert.equal(TextNormalizer.normalize('前部霧灯は二個以下'), '前部霧灯は2個以下');
+        assert.equal(TextNormalizer.normalize('第一種'), '第1種');
+    });
+
+    test('漢数字だけの語は算用数字にする', () => {
+        assert.equal(TextNormalizer.normalize('十七'), '17');
+        assert.equal(TextNormalizer.normalize('（一）'), '(1)');
+    });
+
+    test('行頭の号の番号は算用数字にする', () => {
+        assert.equal(TextNormalizer.normalize('次に掲げる装置\n一 始動装置\n二 制動装置'), '次に掲げる装置1始動装置2制動装置');
+    });
+
+    test('語の中の漢数字はそのまま残す', () => {
+        for (const word of ['一般', '統一', '一部', '一定', '十分', '一時停止', '同一の構造']) {
+            assert.equal(TextNormalizer.normalize(word), word);
+        }
+        assert.equal(TextNormalizer.normalize('一般の自動車は第一号に'), '一般の自動車は第1号に');
+    });
+
+    test('漢数字を残した場合も元の文字位置に戻せる', () => {
+        const offsets = TextNormalizer.normalizeWithOffsets('統一 された第二条');
+        const index = offsets.text.indexOf('第2条');
+        assert.deepEqual(TextNormalizer.toOriginalRange(offsets, index, index + 3), { start: 6, end: 9 });
+        assert.deepEqual(TextNormalizer.toOriginalRange(offsets, 0, 2), { start: 0, end: 2 });
+    });
+
+    test('漢数字の検索語は、漢数字・算用数字のどちらで書かれた本文にも一致する', async () => {
+        const pdfContent = loadFixtures().pdfContent;
+        pdfContent.standards.push(
+            { id: 'H017', title: '（燃料装置）', content: '道路運送車両の保安基準\n第十七条 自動車の燃料装置は、' },
+            { id: 'H018', title: '（車枠及び車体）', content: '道路運送車両の保安基準\n第18条 自動車の車枠は、第17条の燃料装置と' }
+        );
+        const { engine } = await createEngine({ overrides: { pdfContent } });
+
+        for (const query of ['十七', '17']) {
+            const ids = engine.search(query).pdfs.map(result => result.id);
+            assert.ok(ids.includes('H017'), query);
+            assert.ok(ids.includes('H018'), query);
+        }
+        assert.equal(engine.highlightText('第十七条', ['十七']), '第<span class="highlight">十七</span>条');
+    });
+});
@@ -0,0 +1,27 @@
+// ========================================
+// HtmlRenderer のテスト
+// ========================================
+// 実行: node --test test/*.test.js
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const HtmlRenderer = require('../docs/js/render.js');
+
+const mark = (start, end) => ({ start, end, open: '<mark>', close: '</mark>' });
+
+describe('範囲をタグで囲む', () => {
+    test('入れ子の範囲と、重なってはみ出す範囲', () => {
+        const html = HtmlRenderer.decorate('前照灯の基準', [mark(0, 6), mark(0, 3), mark(2, 5)]);
+        assert.equal(html, '<mark><mark>前照灯</mark>の基準</mark>');
+    });
+
+    test('テキストはエスケープする', () => {
+        assert.equal(HtmlRenderer.decorate('<b>&', [mark(0, 3)]), '<mark>&lt;b&gt;</mark>&amp;');
+    });
+
+    test('空の範囲は除く', () => {
+        assert.equal(HtmlRenderer.decorate('前照灯', [mark(1, 1)]), '前照灯');
+        assert.equal(HtmlRenderer.decorate('前照灯', [mark(0, 3), mark(3, 3), mark(1, 1)]), '<mark>前照灯</mark>');
+        assert.equal(HtmlRenderer.decorate('', [mark(0, 0)]), '');
+    });
+});
@@ -0,0 +1,322 @@
+// ========================================
+// SearchEngine のテスト
+// ========================================
+// 実行: node --test test/*.test.js
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchEngine, createEngine, loadFixtures, resultKey } = require('./helpers.js');
+
+const findDocIndex = (engine, id) => engine.documents.findIndex(doc => doc.kind === 'pdf' && doc.pdf.id === id);
+
+describe('データの読み込み', () => {
+    test('渡したデータで検索できる状態になる', async () => {
+        const { engine, loaded } = await createEngine();
+        assert.equal(loaded, true);
+        assert.deepEqual(engine.getStats(), {
+            lawCount: 2,
+            articleCount: 4,
+            synonymCount: 7,
+            standardsCount: 5,
+            detailsCount: 5,
+            appendicesCount: 0,
+            otherCount: 0
+        });
+        assert.equal(engine.getStatus().degraded, false);
+    });
+
+    test('無いデータは読み込めなかったものとして扱い、残りのデータで検索する', async () => {
+        const { engine, loaded } = await createEngine({ overrides: { laws: null } });
+        assert.equal(loaded, true);
+
+        const status = engine.getStatus();
+        assert.equal(status.degraded, true);
+        const laws = status.corpusStatus.find(corpus => corpus.key === 'laws');
+        assert.equal(laws.loaded, false);
+        assert.equal(engine.search('自動車検査証').ranked.length, 0);
+        assert.ok(engine.search('前照灯').pdfs.length > 0);
+    });
+
+    test('形式の正しくない資料は除いて読み込む', async () => {
+        const pdfContent = loadFixtures().pdfContent;
+        delete pdfContent.details[0].content;
+        const { engine, logger } = await createEngine({ overrides: { pdfContent } });
+
+        assert.equal(engine.getStats().detailsCount, 4);
+        assert.equal(engine.sourceStatus.pdfContent.skipped, 1);
+        assert.equal(engine.getStatus().degraded, true);
+        assert.equal(logger.messages.warn.length, 1);
+    });
+
+    test('法令もPDF資料も無ければ読み込みに失敗する', async () => {
+        const { engine, loaded, logger } = await createEngine({ overrides: { laws: null, pdfContent: { standards: 'x' } } });
+        assert.equal(loaded, false);
+        assert.equal(engine.isReady, false);
+        assert.equal(logger.messages.error.length, 1);
+    });
+});
+
+describe('検索式の解釈', () => {
+    test('除外する語（-）とフレーズ（"..."）', async () => {
+        const engine = new SearchEngine();
+        const parsed = engine.parseSearchQuery('前照灯 -霧灯 "走行用前照灯"');
+        assert.equal(parsed.type, 'and');
+        assert.deepEqual(parsed.children.map(node => node.type), ['term', 'not', 'term']);
+        assert.equal(parsed.children[1].child.value, '霧灯');
+        assert.equal(parsed.children[2].phrase, true);
+    });
+
+    test('解釈できない検索式は結果を返さずエラーを返す', async () => {
+        const { engine } = await createEngine();
+        const results = engine.search('(前照灯');
+        assert.equal(results.ranked.length, 0);
+        assert.ok(results.error);
+    });
+});
+
+describe('同義語の展開', () => {
+    test('別名で検索すると見出し語に重みを付けて展開する', async () => {
+        const { engine } = await createEngine();
+        const expansions = engine.expandTerm(engine.parseSearchQuery('ヘッドライト'));
+
+        assert.equal(expansions[0].weight, 1);
+        const headlamp = expansions.find(expansion => expansion.term === '前照灯');
+        assert.equal(headlamp.weight, 0.8);
+    });
+
+    test('フレーズは展開しない', async () => {
+        const { engine } = await createEngine();
+        assert.equal(engine.expandTerm(engine.parseSearchQuery('"ヘッドライト"')).length, 1);
+    });
+
+    test('完全一致の組は、組の語を含むだけの検索語では展開しない', async () => {
+        const { engine } = await createEngine();
+        const terms = engine.expandTerm(engine.parseSearchQuery('ブレーキ液')).map(expansion => expansion.term);
+        assert.ok(!terms.includes('制動装置'));
+        assert.ok(engine.expandTerm(engine.parseSearchQuery('ブレーキ')).some(expansion => expansion.term === '制動装置'));
+    });
+
+    test('資料の種類を限った組は、その種類の資料だけに展開する', async () => {
+        const { engine } = await createEngine();
+        const ids = engine.search('フォグランプ').ranked.map(resultKey);
+        assert.ok(ids.includes('S121'));
+        assert.ok(!ids.includes('H033'));
+    });
+
+    test('検索語ごとの重み（複数の検索語から同じ語になる場合は大きいほう）', async () => {
+        const { engine } = await createEngine();
+        const weights = engine.collectTermWeights(engine.parseSearchQuery('ヘッドライト 前照灯'));
+        assert.equal(weights.get('前照灯'), 1);
+    });
+
+    test('チームの同義語を加えて検索する', async () => {
+        const localSynonyms = [{ term: 'ハイビーム', aliases: ['走行用前照灯'], match: 'exact' }];
+        const { engine } = await createEngine({ localSynonyms });
+        assert.equal(engine.getStats().synonymCount, 8);
+        assert.ok(engine.search('ハイビーム').ranked.map(resultKey).includes('H032'));
+
+        engine.setLocalSynonyms([]);
+        assert.equal(engine.search('ハイビーム').ranked.length, 0);
+    });
+
+    test('同義語辞書と矛盾するチームの同義語を検査する', async () => {
+        const { engine } = await createEngine();
+        const issues = engine.checkSynonyms([{ term: 'ライト', aliases: ['前照灯'] }]);
+        assert.ok(issues.some(issue => issue.level === 'error'));
+        const accepted = engine.checkSynonyms([{ term: 'ハイビーム', aliases: ['走行用前照灯'], match: 'exact' }]);
+        assert.ok(accepted.every(issue => issue.level === 'warning'));
+    });
+});
+
+describe('スコア', () => {
+    test('同義語の重みの割合でスコアを下げる', async () => {
+        const { engine } = await createEngine();
+        const docIndex = findDocIndex(engine, 'H032');
+        const { score } = engine.calculateScore(docIndex, ['前照灯']);
+        const weighted = engine.calculateScore(docIndex, ['前照灯'], new Map([['前照灯', 0.8]]));
+
+        assert.ok(score > 0);
+        assert.ok(Math.abs(weighted.score - score * 0.8) < 1e-9);
+    });
+
+    test('別名で検索したときは見出し語で検索したときよりスコアが低い', async () => {
+        const { engine } = await createEngine();
+        const byTerm = engine.search('前照灯').pdfs.find(result => result.id === 'S042');
+        const byAlias = engine.search('ヘッドライト').pdfs.find(result => result.id === 'S042');
+        assert.ok(byAlias.score < byTerm.score);
+    });
+
+    test('一致した語のあるパッセージを返す', async () => {
+        const { engine } = await createEngine();
+        const { passages } = engine.calculateScore(findDocIndex(engine, 'S042'), ['配光可変型前照灯']);
+        assert.ok(passages.length > 0);
+        assert.ok(passages[0].score > 0);
+    });
+});
+
+describe('検索', () => {
+    test('検索条件で法律の条文を除く', async () => {
+        const { engine } = await createEngine();
+        assert.equal(engine.search('自動車検査証').articles.length, 1);
+        const filters = { ...SearchEngine.DEFAULT_FILTERS, law: false };
+        assert.equal(engine.search('自動車検査証', filters).articles.length, 0);
+    });
+
+    test('検索条件で細目告示を除く', async () => {
+        const { engine } = await createEngine();
+        const filters = { ...SearchEngine.DEFAULT_FILTERS, details: false };
+        const ids = engine.search('ブレーキ', filters).ranked.map(resultKey);
+        assert.ok(ids.includes('H012'));
+        assert.ok(ids.every(id => !id.startsWith('S')));
+    });
+
+    test('改正日の新しい順に並べる', async () => {
+        const { engine } = await createEngine();
+        const filters = { ...SearchEngine.DEFAULT_FILTERS, sort: 'date-desc' };
+        const dates = engine.search('前照灯', filters).pdfs.map(result => result.revisionDate).filter(Boolean);
+        assert.ok(dates.length > 1);
+        assert.deepEqual(dates, dates.slice().sort().reverse());
+    });
+
+    test('引用表記の資料を先頭に置く', async () => {
+        const { engine } = await createEngine();
+        const results = engine.search('細目告示第42条');
+        assert.equal(results.citation.id, 'S042');
+        assert.equal(resultKey(results.ranked[0]), 'S042');
+        assert.equal(results.citationResult.id, 'S042');
+    });
+
+    test('大文字・3桁の番号でない文書IDは引用表記とみなさない', async () => {
+        const { engine } = await createEngine();
+        for (const query of ['h32', 'H32', 's042']) {
+            const results = engine.search(query);
+            assert.equal(results.citation, null, query);
+            assert.equal(results.citationResult, null, query);
+        }
+        assert.equal(engine.search('H032').citationResult.id, 'H032');
+    });
+
+    test('引用表記の資料も検索条件で絞り込む', async () => {
+        const { engine } = await createEngine();
+        const withoutDetails = engine.search('細目告示第42条', { ...SearchEngine.DEFAULT_FILTERS, details: false });
+        assert.equal(withoutDetails.citation.id, 'S042');
+        assert.equal(withoutDetails.citationResult, null);
+        assert.ok(!withoutDetails.ranked.map(resultKey).includes('S042'));
+
+        // 施行日の指定より後に改正された資料は、その時点の版があればその版を置く
+        const asOf = { ...SearchEngine.DEFAULT_FILTERS, asOf: '2019-01-01' };
+        assert.equal(engine.search('細目告示第127条', asOf).citationResult, null);
+        const cited = engine.search('細目告示第121条', asOf).citationResult;
+        assert.equal(cited.id, 'S121');
+        assert.equal(cited.asOfVersion.revisionDate, '2017-06-22');
+        assert.match(cited.fullContent, /2個以下/);
+    });
+
+    test('検索式として解釈できない入力でも、引用表記なら該当する資料を返す', async () => {
+        const { engine } = await createEngine();
+        const results = engine.search('"細目告示第42条');
+        assert.equal(results.error, null);
+        assert.equal(results.citationResult.id, 'S042');
+    });
+
+    test('施行日を指定すると、その日より後に改正された資料はその時点の版で検索する', async () => {
+        const { engine } = await createEngine();
+        const filters = { ...SearchEngine.DEFAULT_FILTERS, asOf: '2019-01-01' };
+
+        assert.equal(engine.search('2個以下').pdfs.length, 0);
+        const results = engine.search('2個以下', filters);
+        const [result] = results.pdfs;
+        assert.equal(result.id, 'S121');
+        assert.equal(result.revisionDate, '2017-06-22');
+        assert.deepEqual(result.asOfVersion, { index: 0, revisionDate: '2017-06-22' });
+        assert.ok(result.score > 0);
+        assert.match(result.highlightedContent, /<span class="highlight">2個以下<\/span>/);
+        assert.equal(results.excludedByDate, 0);
+
+        // 現行の版にしか無い語は、その時点の版では一致しない
+        assert.ok(engine.search('3個以上').pdfs.some(pdf => pdf.id === 'S121'));
+        assert.ok(!engine.search('3個以上', filters).pdfs.some(pdf => pdf.id === 'S121'));
+    });
+
+    test('施行日の時点の版のデータが無い資料は除き、その件数を返す', async () => {
+        const { engine } = await createEngine();
+        const results = engine.search('番号灯', { ...SearchEngine.DEFAULT_FILTERS, asOf: '2019-01-01' });
+        assert.ok(!results.pdfs.some(pdf => pdf.id === 'S127'));
+        assert.equal(results.excludedByDate, 1);
+
+        // 過去の版より前の日付では、過去の版のある資料も除く
+        const earlier = engine.search('前部霧灯', { ...SearchEngine.DEFAULT_FILTERS, asOf: '2016-01-01' });
+        assert.ok(!earlier.pdfs.some(pdf => pdf.id === 'S121'));
+        assert.ok(earlier.pdfs.some(pdf => pdf.id === 'H033'));
+        assert.ok(earlier.excludedByDate >= 1);
+    });
+
+    test('結果が無ければ入力ミスを直した検索式を提案する', async () => {
+        const { engine } = await createEngine();
+        const results = engine.search('ヘッドライ');
+        assert.equal(results.ranked.length, 0);
+        assert.equal(results.suggestion.query, 'ヘッドライト');
+    });
+
+    test('許可していないURLは検索結果のリンクにしない', async () => {
+        const { engine } = await createEngine();
+        const pdfs = engine.search('番号灯').pdfs;
+        assert.equal(pdfs.find(result => result.id === 'S127').url, null);
+        assert.equal(engine.search('前部霧灯').pdfs.find(result => result.id === 'S121').url,
+            'https://www.mlit.go.jp/jidosha/content/S121.pdf');
+    });
+});
+
+describe('過去の版', () => {
+    const StructureParser = require('../docs/js/structure.js');
+
+    test('版の一覧は改正日の古い順で、最後が現行の版', async () => {
+        const { engine } = await createEngine();
+        assert.deepEqual(engine.getDocumentDetail('S121').versions, [
+            { index: 0, revisionDate: '2017-06-22', current: false },
+            { index: 1, revisionDate: '2020-09-25', current: true }
+        ]);
+        assert.equal(engine.getDocumentDetail('H033').versions.length, 1);
+    });
+
+    test('改正日の無い版は本文の【改正日】を使う', async () => {
+        const pdfContent = loadFixtures().pdfContent;
+        delete pdfContent.details.find(pdf => pdf.id === 'S121').versions[0].revisionDate;
+        const { engine } = await createEngine({ overrides: { pdfContent } });
+        assert.equal(engine.getDocumentDetail('S121').versions[0].revisionDate, '2017-06-22');
+    });
+
+    test('2つの版の本文の差分', async () => {
+        const { engine } = await createEngine();
+        const diff = engine.getVersionDiff('S121', 0, 1);
+        assert.deepEqual(diff.from, { index: 0, revisionDate: '2017-06-22', current: false });
+        assert.deepEqual(diff.to, { index: 1, revisionDate: '2020-09-25', current: true });
+        assert.ok(diff.inserted > 0);
+        assert.ok(diff.deleted > 0);
+        assert.ok(diff.changes.some(change => change.type === 'delete' && change.text.includes('2個以下')));
+
+        // 差分から両方の版の本文を組み立て直せる
+        const [previous, current] = engine.getVersions(findDocIndex(engine, 'S121'));
+        const join = type => diff.changes.filter(change => change.type !== type).map(change => change.text).join('');
+        assert.equal(join('insert'), StructureParser.toPlainText(previous.content));
+        assert.equal(join('delete'), StructureParser.toPlainText(current.content));
+    });
+
+    test('詳細表示で過去の版の本文を返す', async () => {
+        const { engine } = await createEngine();
+        const detail = engine.getDocumentDetail('S121', '2個以下', 0);
+        assert.match(detail.fullContent, /2個以下/);
+        assert.equal(detail.highlights.length, 1);
+        assert.equal(detail.fullContent.slice(detail.highlights[0].start, detail.highlights[0].end), '2個以下');
+
+        // 無い版を指定したときは現行の版
+        assert.equal(engine.getDocumentDetail('S121', '', 5).fullContent, engine.getDocumentDetail('S121').fullContent);
+        assert.equal(engine.getCitedResult({ id: 'S121' }, 5).asOfVersion, undefined);
+    });
+
+    test('無い版・無い資料の差分は null', async () => {
+        const { engine } = await createEngine();
+        assert.equal(engine.getVersionDiff('S121', 0, 2), null);
+        assert.equal(engine.getVersionDiff('S999', 0, 1), null);
+    });
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// ========================================
+// 検索インデックスの生成
+// ========================================
+// 使い方: node tools/build-index.js
+// docs/data/ の法令・PDFデータから docs/data/search_index.json を作成する
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('../docs/js/search-index.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'docs', 'data');
+const OUTPUT_FILE = path.join(DATA_DIR, 'search_index.json');
+
+function readJSON(fileName, fallback) {
+    const filePath = path.join(DATA_DIR, fileName);
+    if (!fs.existsSync(filePath)) {
+        console.warn(`⚠️ ${fileName} が見つかりません（スキップします）`);
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function main() {
+    const laws = readJSON('laws.json', { laws: [] }).laws || [];
+    const pdfContent = readJSON('pdf_content.json', {});
+
+    const documents = SearchIndex.collectDocuments(laws, pdfContent);
+    const index = SearchIndex.build(documents, {
+        source: {
+            version: pdfContent.version || null,
+            lastUpdated: pdfContent.lastUpdated || null
+        }
+    });
+
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(index.toJSON()));
+
+    const size = fs.statSync(OUTPUT_FILE).size;
+    console.log(`✅ インデックス生成完了: ${documents.length}文書 → ${path.relative(process.cwd(), OUTPUT_FILE)}（${(size / 1024).toFixed(0)} KB）`);
+}
+
+main();
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// ========================================
+// 相互参照グラフの生成
+// ========================================
+// 使い方: node tools/build-references.js
+// docs/data/pdf_content.json の本文から条文の引用を抽出し、docs/data/references.json を作成する
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('../docs/js/search-index.js');
+const { ReferenceGraph } = require('../docs/js/references.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'docs', 'data');
+const INPUT_FILE = path.join(DATA_DIR, 'pdf_content.json');
+const OUTPUT_FILE = path.join(DATA_DIR, 'references.json');
+
+function main() {
+    const pdfContent = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf8'));
+    const pdfs = SearchIndex.PDF_CATEGORIES.flatMap(category => pdfContent[category.key] || []);
+
+    const graph = ReferenceGraph.build(pdfs, {
+        source: {
+            version: pdfContent.version || null,
+            lastUpdated: pdfContent.lastUpdated || null
+        }
+    });
+
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(graph.toJSON(), null, 2));
+
+    const edgeCount = Object.values(graph.references).reduce((sum, targets) => sum + targets.length, 0);
+    console.log(`✅ 参照グラフ生成完了: ${Object.keys(graph.references).length}文書から${edgeCount}件の参照 → ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main();
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// ========================================
+// PDF からの資料データの生成
+// ========================================
+// 使い方: node tools/ingest-pdfs.js <PDFのディレクトリ> [--keywords <キーワードのJSON>] [--base-url <URL>] [--dry-run]
+// ダウンロードした保安基準・細目告示・別添の PDF から本文を抽出し、docs/data/pdf_content.json と
+// docs/data/pdf_metadata.json を作り直す。現在のデータと比べて追加・削除・変更された資料を表示する。
+// 本文の抽出には poppler の pdftotext を使う（別の場所にある場合は環境変数 PDFTOTEXT でコマンドを指定）。
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SearchIndex = require('../docs/js/search-index.js');
+const CitationParser = require('../docs/js/citation.js');
+const DataSchema = require('../docs/js/data-schema.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'docs', 'data');
+const CONTENT_FILE = path.join(DATA_DIR, 'pdf_content.json');
+const METADATA_FILE = path.join(DATA_DIR, 'pdf_metadata.json');
+
+// 国土交通省の PDF の置き場所（pdf_metadata.json に URL が無い資料は、これとファイル名から作る）
+const DEFAULT_BASE_URL = 'https://www.mlit.go.jp/jidosha/content/';
+
+// pdf_content.json に入れる本文の最大文字数（全体の文字数は fullTextLength に入れる）
+const CONTENT_LENGTH = 5000;
+
+// PDF の1行目（例: 道路運送車両の保安基準【2003.4.1】）と2行目（例: 第1条の2（燃料の規格））
+const HEADER_PATTERN = /^(.+?)【\s*\d{4}\s*\.\s*\d{1,2}\s*\.\s*\d{1,2}\s*】/;
+const ARTICLE_HEADER_PATTERN = /^(第\s*\d+\s*条(?:\s*の\s*\d+)*)\s*(?:[（(](.+)[）)])?$/;
+// 本文の条の見出しの行（例: （燃料の規格））
+const CAPTION_PATTERN = /^[（(]([^（()）]+)[）)]$/;
+
+const USAGE = '使い方: node tools/ingest-pdfs.js <PDFのディレクトリ> [--keywords <キーワードのJSON>] [--base-url <URL>] [--dry-run]';
+
+function parseArgs(argv) {
+    const options = { dir: null, keywords: null, baseUrl: DEFAULT_BASE_URL, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--keywords') {
+            options.keywords = argv[++i];
+        } else if (arg === '--base-url') {
+            options.baseUrl = argv[++i];
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (!options.dir && !arg.startsWith('--')) {
+            options.dir = arg;
+        } else {
+            return null;
+        }
+    }
+    return options.dir && options.baseUrl ? options : null;
+}
+
+function readJSON(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// PDF の本文（ページ区切りと空行を除き、行末の空白を取る）
+function extractText(file) {
+    const command = process.env.PDFTOTEXT || 'pdftotext';
+    const output = execFileSync(command, ['-enc', 'UTF-8', file, '-'], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        maxBuffer: 64 * 1024 * 1024
+    });
+    return output
+        .split(/[\r\n\f]+/)
+        .map(line => line.trimEnd())
+        .filter(line => line.trim().length > 0)
+        .join('\n');
+}
+
+// 抽出した本文から資料を作る（文書IDが分からない場合は null）
+// 文書IDはファイル名（H001-2.pdf、S120.pdf、別添5.pdf など）から、無理なら本文の見出しから決める
+function parseDocument(fileName, text) {
+    const lines = text.split('\n');
+    const header = lines[0] && lines[0].match(HEADER_PATTERN);
+    const article = header && lines[1] ? lines[1].trim().match(ARTICLE_HEADER_PATTERN) : null;
+
+    const citation = CitationParser.parse(path.basename(fileName, path.extname(fileName))) ||
+        (article ? CitationParser.parse(`${header[1]}${article[1]}`) : null);
+    if (!citation) return null;
+
+    // 題名は本文の条の見出し（例: （燃料の規格））、無ければ2行目の見出し、見出しの無い条は条番号、
+    // 別添は1行目の次の行（2行目の見出しはページの見出しで、別の条のものになっていることがある）
+    let title;
+    if (article) {
+        const captionLine = lines.slice(2).find((line, i, rest) =>
+            CAPTION_PATTERN.test(line.trim()) && !rest.slice(0, i).some(previous => /^第\s*\d/.test(previous.trim())));
+        const caption = captionLine ? captionLine.trim().match(CAPTION_PATTERN)[1] : article[2];
+        title = caption ? `（${caption.trim()}）` : article[1].replace(/\s+/g, '');
+    } else {
+        title = (lines[header ? 1 : 0] || '').trim() || CitationParser.formatDisplayName(citation.id);
+    }
+
+    return {
+        category: citation.category,
+        pdf: {
+            id: citation.id,
+            title,
+            content: text.slice(0, CONTENT_LENGTH),
+            keywords: [],
+            fullTextLength: text.length
+        }
+    };
+}
+
+// 資料ごとの変更点（題名・改正日・本文）
+function describeChanges(previous, pdf) {
+    const changes = [];
+    if (previous.title !== pdf.title) changes.push(`題名 ${previous.title} → ${pdf.title}`);
+
+    const previousDate = SearchIndex.extractRevisionDate(previous.content);
+    const date = SearchIndex.extractRevisionDate(pdf.content);
+    if (previousDate !== date) changes.push(`改正日 ${previousDate || 'なし'} → ${date || 'なし'}`);
+
+    if (previous.content !== pdf.content) {
+        changes.push(`本文 ${previous.fullTextLength || previous.content.length}文字 → ${pdf.fullTextLength}文字`);
+    }
+    return changes;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const files = fs.readdirSync(options.dir)
+        .filter(name => /\.pdf$/i.test(name))
+        .sort();
+
+    let curatedKeywords = {};
+    if (options.keywords) {
+        const result = DataSchema.validate('keywords', readJSON(options.keywords, null));
+        if (!result.valid) {
+            console.error(`❌ キーワードのファイルが正しくありません: ${result.errors.join(' / ')}`);
+            process.exit(1);
+        }
+        curatedKeywords = result.value;
+    }
+
+    const previousContent = readJSON(CONTENT_FILE, {});
+    const previousMetadata = readJSON(METADATA_FILE, { details: [], appendices: [] });
+    const previousDocuments = new Map();
+    for (const category of SearchIndex.PDF_CATEGORIES) {
+        for (const pdf of previousContent[category.key] || []) previousDocuments.set(pdf.id, pdf);
+    }
+
+    // PDF から資料を作る
+    const extracted = new Map(SearchIndex.PDF_CATEGORIES.map(category => [category.key, []]));
+    const fileNames = new Map();
+    let failed = 0;
+    for (const fileName of files) {
+        let text;
+        try {
+            text = extractText(path.join(options.dir, fileName));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.error('❌ pdftotext が見つかりません（poppler をインストールするか、環境変数 PDFTOTEXT で指定してください）');
+                process.exit(1);
+            }
+            console.warn(`⚠️ ${fileName} の本文を抽出できません: ${String(error.stderr || error.message).trim()}`);
+            failed++;
+            continue;
+        }
+
+        const parsed = parseDocument(fileName, text);
+        if (!parsed) {
+            console.warn(`⚠️ ${fileName} の文書IDが分かりません（スキップします）`);
+            failed++;
+            continue;
+        }
+        if (fileNames.has(parsed.pdf.id)) {
+            console.warn(`⚠️ ${fileName} は ${fileNames.get(parsed.pdf.id)} と同じ文書ID ${parsed.pdf.id} です（スキップします）`);
+            failed++;
+            continue;
+        }
+        fileNames.set(parsed.pdf.id, fileName);
+        extracted.get(parsed.category).push(parsed.pdf);
+    }
+
+    if (fileNames.size === 0) {
+        console.error(`❌ ${options.dir} から資料を作れませんでした`);
+        process.exit(1);
+    }
+
+    // 現在のデータと突き合わせる（PDF が1件も無い種類の資料は現在のデータのまま）
+    const pdfContent = {
+        version: previousContent.version || '1.0',
+        lastUpdated: previousContent.lastUpdated || null
+    };
+    const report = { added: [], removed: [], changed: [] };
+    for (const category of SearchIndex.PDF_CATEGORIES) {
+        const pdfs = extracted.get(category.key);
+        if (pdfs.length === 0) {
+            pdfContent[category.key] = previousContent[category.key] || [];
+            continue;
+        }
+
+        for (const pdf of pdfs) {
+            const previous = previousDocuments.get(pdf.id);
+            pdf.keywords = Array.from(new Set([
+                ...((previous && previous.keywords) || []),
+                ...(curatedKeywords[pdf.id] || [])
+            ]));
+            if (!previous) {
+                report.added.push(pdf.id);
+                continue;
+            }
+
+            // 改正された資料（本文の【改正日】が変わったもの）は、それまでの本文を過去の版に残す
+            // （改正日が同じなら抽出のしかたの違いとみなし、過去の版にはしない）
+            const versions = previous.versions || [];
+            const previousDate = SearchIndex.extractRevisionDate(previous.content);
+            if (previousDate !== SearchIndex.extractRevisionDate(pdf.content) &&
+                !versions.some(version => version.content === previous.content)) {
+                versions.push({
+                    revisionDate: previousDate,
+                    title: previous.title,
+                    content: previous.content
+                });
+                versions.sort((a, b) => (a.revisionDate || '').localeCompare(b.revisionDate || ''));
+            }
+            if (versions.length > 0) pdf.versions = versions;
+
+            const changes = describeChanges(previous, pdf);
+            if (changes.length > 0) report.changed.push({ id: pdf.id, changes });
+        }
+
+        const ids = new Set(pdfs.map(pdf => pdf.id));
+        for (const previous of previousContent[category.key] || []) {
+            if (!ids.has(previous.id)) report.removed.push(previous.id);
+        }
+        pdfContent[category.key] = pdfs;
+    }
+
+    const changed = report.added.length + report.removed.length + report.changed.length > 0;
+    if (changed) pdfContent.lastUpdated = new Date().toISOString().slice(0, 10);
+
+    // 細目告示・別添の URL・キーワード（手で整えたものは残し、新しい資料はファイル名から URL を作る）
+    const pdfMetadata = {};
+    for (const key of ['details', 'appendices']) {
+        if (extracted.get(key).length === 0) {
+            pdfMetadata[key] = previousMetadata[key] || [];
+            continue;
+        }
+        const previousMeta = new Map((previousMetadata[key] || []).map(meta => [meta.id, meta]));
+        pdfMetadata[key] = pdfContent[key].map(pdf => {
+            const meta = previousMeta.get(pdf.id);
+            if (meta) return meta;
+            return {
+                id: pdf.id,
+                title: pdf.title,
+                keywords: [],
+                url: fileNames.has(pdf.id) ? new URL(encodeURIComponent(fileNames.get(pdf.id)), options.baseUrl).href : null
+            };
+        });
+    }
+
+    // 書き込む前に形式を確認する（要素を1件でも除外するデータは書き込まない）
+    let invalid = false;
+    for (const [name, data] of [['pdfContent', pdfContent], ['pdfMetadata', pdfMetadata]]) {
+        const result = DataSchema.validate(name, data);
+        for (const message of [...result.errors, ...result.warnings]) {
+            console.error(`❌ ${name}: ${message}`);
+            invalid = true;
+        }
+    }
+    if (invalid) process.exit(1);
+
+    console.log(`📄 ${fileNames.size}件の PDF から資料を作りました${failed > 0 ? `（${failed}件は取り込めませんでした）` : ''}`);
+    console.log(`  追加: ${report.added.length}件${report.added.length > 0 ? ` ${report.added.join(', ')}` : ''}`);
+    console.log(`  削除: ${report.removed.length}件${report.removed.length > 0 ? ` ${report.removed.join(', ')}` : ''}`);
+    console.log(`  変更: ${report.changed.length}件`);
+    for (const { id, changes } of report.changed) {
+        console.log(`    ${id}: ${changes.join(' / ')}`);
+    }
+    for (const category of SearchIndex.PDF_CATEGORIES) {
+        if (extracted.get(category.key).length === 0 && (previousContent[category.key] || []).length > 0) {
+            console.warn(`⚠️ ${category.label}の PDF が無いため、${category.label}は現在のデータのままにしました`);
+        }
+    }
+
+    if (options.dryRun) {
+        console.log('ℹ️ --dry-run のため書き込みませんでした');
+        return;
+    }
+    if (!changed) {
+        console.log('✅ 現在のデータと同じです（書き込みませんでした）');
+        return;
+    }
+
+    fs.writeFileSync(CONTENT_FILE, JSON.stringify(pdfContent, null, 2));
+    fs.writeFileSync(METADATA_FILE, JSON.stringify(pdfMetadata, null, 4));
+    console.log(`✅ ${path.relative(process.cwd(), CONTENT_FILE)} と ${path.relative(process.cwd(), METADATA_FILE)} を更新しました`);
+    console.log('   検索インデックスと参照グラフも作り直してください（node tools/build-index.js / node tools/build-references.js）');
+}
+
+main();
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// ========================================
+// 同義語辞書の検査
+// ========================================
+// 使い方: node tools/lint-synonyms.js [synonyms.json]
+// 同義語辞書（既定は docs/data/synonyms.json）の形式と内容を検査する。
+// 見出し語の重複・組どうしの循環・複数の組に含まれる語などはエラー、
+// 部分一致で意図しない検索語まで展開される語などは警告として表示し、エラーがあれば終了コード 1 で終わる。
+
+const fs = require('fs');
+const path = require('path');
+const DataSchema = require('../docs/js/data-schema.js');
+const SynonymDictionary = require('../docs/js/synonyms.js');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'docs', 'data', 'synonyms.json');
+
+function main() {
+    const filePath = process.argv[2] || DEFAULT_FILE;
+    const fileName = path.relative(process.cwd(), filePath);
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${fileName} を読み込めません: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { valid, value, errors, warnings } = DataSchema.validate('synonyms', data);
+    if (!valid) {
+        console.error(`❌ ${fileName} の形式が正しくありません: ${errors.join(' / ')}`);
+        process.exit(1);
+    }
+    for (const message of warnings) {
+        console.error(`❌ ${message}`);
+    }
+    if (!Array.isArray(value.entries)) {
+        console.warn('⚠️ 以前の形式（{ 見出し語: [別名, ...] }）です。重み・一致のしかた・対象の資料を書ける { "version": 2, "entries": [...] } の形式に移してください');
+    }
+
+    const entries = SynonymDictionary.fromData(value);
+    const issues = SynonymDictionary.lint(entries);
+    const lintErrors = issues.filter(issue => issue.level === 'error');
+    const lintWarnings = issues.filter(issue => issue.level === 'warning');
+    for (const issue of lintErrors) {
+        console.error(`❌ ${issue.message}`);
+    }
+    for (const issue of lintWarnings) {
+        console.warn(`⚠️ ${issue.message}`);
+    }
+
+    const errorCount = warnings.length + lintErrors.length;
+    if (errorCount > 0) {
+        console.error(`❌ ${fileName}: ${entries.length}組、エラー${errorCount}件・警告${lintWarnings.length}件`);
+        process.exit(1);
+    }
+    console.log(`✅ ${fileName}: ${entries.length}組${lintWarnings.length > 0 ? `（警告${lintWarnings.length}件）` : '、問題はありません'}`);
+}
+
+main();
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// ========================================
+// 過去の版の取り込み
+// ========================================
+// 使い方: node tools/merge-versions.js <以前の pdf_content.json> [...]
+// 以前に公開した pdf_content.json の本文を、docs/data/pdf_content.json の同じIDの資料の
+// versions（過去の版）に加える。本文が現行の版や取り込み済みの版と同じものは加えない。
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('../docs/js/search-index.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'docs', 'data');
+const CONTENT_FILE = path.join(DATA_DIR, 'pdf_content.json');
+
+function main() {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('使い方: node tools/merge-versions.js <以前の pdf_content.json> [...]');
+        process.exit(1);
+    }
+
+    const pdfContent = JSON.parse(fs.readFileSync(CONTENT_FILE, 'utf8'));
+    const documents = new Map();
+    for (const category of SearchIndex.PDF_CATEGORIES) {
+        for (const pdf of pdfContent[category.key] || []) documents.set(pdf.id, pdf);
+    }
+
+    let added = 0;
+    let unknown = 0;
+    for (const file of files) {
+        const previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const category of SearchIndex.PDF_CATEGORIES) {
+            for (const old of previous[category.key] || []) {
+                const pdf = documents.get(old.id);
+                if (!pdf) {
+                    unknown++;
+                    continue;
+                }
+
+                const versions = pdf.versions || [];
+                if (old.content === pdf.content || versions.some(version => version.content === old.content)) continue;
+
+                versions.push({
+                    revisionDate: SearchIndex.extractRevisionDate(old.content),
+                    title: old.title,
+                    content: old.content
+                });
+                versions.sort((a, b) => (a.revisionDate || '').localeCompare(b.revisionDate || ''));
+                pdf.versions = versions;
+                added++;
+            }
+        }
+    }
+
+    fs.writeFileSync(CONTENT_FILE, JSON.stringify(pdfContent, null, 2));
+
+    console.log(`✅ 過去の版を${added}件追加しました → ${path.relative(process.cwd(), CONTENT_FILE)}`);
+    if (unknown > 0) {
+        console.warn(`⚠️ 現行のデータに無いIDの資料${unknown}件は取り込みませんでした`);
+    }
+}
+
+main();